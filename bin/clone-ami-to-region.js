@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * @fileOverview Command line entry point.
+ */
+
+// Local.
+var cli = require('../lib/cli');
+
+// The AWS SDK otherwise writes an end of support notice to stderr on every run,
+// which would break the JSON lines written there by the --log and --progress
+// options. Only invalid command line arguments are still written as text.
+require('aws-sdk/lib/maintenance_mode_message').suppress = true;
+
+cli.run(
+  process.argv.slice(2),
+  process.stdout,
+  process.stderr,
+  function (exitCode) {
+    // Setting the exit code rather than calling process.exit() allows output
+    // to be flushed.
+    process.exitCode = exitCode;
+  }
+);
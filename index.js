@@ -3,7 +3,11 @@
  */
 
 // Local.
+var constants = require('./lib/constants');
+var errors = require('./lib/errors');
+var FileStateStore = require('./lib/fileStateStore');
 var ImageCloner = require('./lib/imageCloner');
+var runReport = require('./lib/runReport');
 
 /**
  * Clone the image. Yields a report on success or failure:
@@ -11,19 +15,125 @@ var ImageCloner = require('./lib/imageCloner');
  * {
  *   'eu-west-1': {
  *     imageId: 'ami-11223344',
+ *     reused: false,
  *     success: true
  *   },
  *   'us-west-2': {
- *     error: new Error(''),
+ *     error: new CloneError(''),
  *     success: false
  *   },
  *   ...
  * }
  *
+ * If the sourceImages option is provided, the report is keyed by source image
+ * ID, and then by region. If the destinationAccounts option is provided, the
+ * report is keyed by account ID, and then by region.
+ *
+ * If no callback is provided, a promise is returned instead. It resolves to the
+ * report, or on failure is rejected with an error that carries the report as
+ * error.results.
+ *
  * @param {Object} config Configuration object.
- * @param {Function} callback Of the form function (error, object).
+ * @param {Function} [callback] Of the form function (error, object).
+ * @return {Promise|undefined} A promise if no callback is provided.
  */
 exports.cloneImage = function (config, callback) {
   var imageCloner = new ImageCloner(config);
-  imageCloner.cloneImage(callback);
+  return imageCloner.cloneImage(callback);
+};
+
+/**
+ * Resume an interrupted clone from the state saved in the file given by the
+ * stateFile option. Regions pick up after the last step they finished. Yields
+ * the same report as cloneImage.
+ *
+ * @param {Object} config Configuration object, the same as for the
+ *   interrupted run.
+ * @param {Function} [callback] Of the form function (error, object).
+ * @return {Promise|undefined} A promise if no callback is provided.
+ */
+exports.resumeCloneImage = function (config, callback) {
+  var imageCloner = new ImageCloner(config);
+  return imageCloner.resumeCloneImage(callback);
+};
+
+/**
+ * Delete the clones recorded in the report of an earlier run: deregister each
+ * image and delete the snapshots backing it. Yields a report of each deletion,
+ * of the same shape as the report of the earlier run:
+ *
+ * {
+ *   'eu-west-1': {
+ *     success: true,
+ *     imageId: 'ami-11223344',
+ *     deregistered: true,
+ *     deletedSnapshotIds: ['snap-11223344']
+ *   },
+ *   ...
+ * }
+ *
+ * @param {Object} config Configuration object. Only the options for API
+ *   requests, such as clientOptions, are used.
+ * @param {Object} results The report of an earlier run.
+ * @param {Function} [callback] Of the form function (error, object).
+ * @return {Promise|undefined} A promise if no callback is provided.
+ */
+exports.cleanUp = function (config, results, callback) {
+  var imageCloner = new ImageCloner(config);
+  return imageCloner.cleanUp(results, callback);
+};
+
+/**
+ * Prune old clones in each destination region, keeping those given by the
+ * retention option and any that are in use. Yields a report by region of the
+ * clones kept, in use, and pruned. See ImageCloner.pruneImages.
+ *
+ * If the dryRun option is set, nothing is deleted, and the report lists the
+ * clones that would be pruned.
+ *
+ * @param {Object} config Configuration object, which must include the
+ *   destinationRegions and retention options.
+ * @param {Function} [callback] Of the form function (error, object).
+ * @return {Promise|undefined} A promise if no callback is provided.
+ */
+exports.pruneImages = function (config, callback) {
+  var imageCloner = new ImageCloner(config);
+  return imageCloner.pruneImages(callback);
 };
+
+/**
+ * The ImageCloner class, which emits the progress events listed in
+ * constants.events while cloning, and gives the report of a run:
+ *
+ * var imageCloner = new ImageCloner(config);
+ * imageCloner.on('copyStarted', function (event) { ... });
+ * imageCloner.cloneImage(function (error, results) {
+ *   var report = imageCloner.getReport(results);
+ * });
+ */
+exports.ImageCloner = ImageCloner;
+
+/**
+ * The FileStateStore class, which saves progress to a JSON file. A custom
+ * state store with the same load and save methods can be assigned to
+ * ImageCloner.stateStore instead.
+ */
+exports.FileStateStore = FileStateStore;
+
+/**
+ * Constants, including the progress event names.
+ */
+exports.constants = constants;
+
+/**
+ * Formatting of run reports as JSON, Markdown, and JUnit XML. See
+ * lib/runReport.js.
+ */
+exports.runReport = runReport;
+
+/**
+ * The error classes of failed regions. An AwsError is a CloneError for a failed
+ * AWS API request. See lib/errors.js.
+ */
+exports.AwsError = errors.AwsError;
+exports.CloneError = errors.CloneError;
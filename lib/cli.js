@@ -0,0 +1,747 @@
+/**
+ * @fileOverview Command line interface.
+ *
+ * The command line options are derived from the configuration schema, so that
+ * every configuration property has a corresponding option, apart from logger,
+ * which is replaced by the --log option. The property
+ * sourceImageId becomes --source-image-id, for example. Array properties are
+ * given by repeating the singular form of the option, such as
+ * --destination-region, and object properties are given as JSON strings. The
+ * items of arrays of arrays, such as --region-wave, are given as
+ * comma-separated lists.
+ */
+
+// Core.
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+var minimist = require('minimist');
+var yaml = require('js-yaml');
+
+// Local.
+var ConfigValidator = require('./configValidator');
+var constants = require('./constants');
+var errors = require('./errors');
+var ImageCloner = require('./imageCloner');
+var logger = require('./logger');
+var runReport = require('./runReport');
+var utilities = require('./utilities');
+
+// Options that are not configuration properties.
+var CONFIG_FILE_OPTION = 'config';
+var HELP_OPTION = 'help';
+var LOG_OPTION = 'log';
+var OUTPUT_OPTION = 'output';
+var PROGRESS_OPTION = 'progress';
+var PRUNE_OPTION = 'prune';
+var RESUME_OPTION = 'resume';
+
+// Configuration properties that cannot be given on the command line.
+var EXCLUDED_PROPERTIES = ['logger'];
+
+// Output formats of the run report, which pruning does not have.
+var REPORT_OUTPUT_FORMATS = [
+  constants.outputFormats.REPORT,
+  constants.outputFormats.MARKDOWN,
+  constants.outputFormats.JUNIT
+];
+
+// --------------------------------------------------------------------------
+// Functions.
+// --------------------------------------------------------------------------
+
+/**
+ * Obtain descriptions of the configuration options accepted on the command
+ * line, one for each configuration property:
+ *
+ * [
+ *   {
+ *     // The configuration property.
+ *     property: 'destinationRegions',
+ *     // The accepted option names.
+ *     names: ['destination-region', 'destination-regions'],
+ *     // The schema type of the configuration property.
+ *     type: 'array',
+ *     // For arrays, the schema type of the items.
+ *     itemType: 'string'
+ *   },
+ *   ...
+ * ]
+ *
+ * @return {Object[]} Option descriptions.
+ */
+exports.getConfigOptions = function () {
+  var configValidator = new ConfigValidator();
+
+  var properties = _.omit(
+    configValidator.configSchema.properties,
+    EXCLUDED_PROPERTIES
+  );
+
+  return _.map(properties, function (schema, property) {
+    var name = _.kebabCase(property);
+    var names = [name];
+
+    if (schema.type === 'array' && /s$/.test(name)) {
+      names.unshift(name.replace(/s$/, ''));
+    }
+
+    return {
+      property: property,
+      names: names,
+      type: schema.type,
+      itemType: schema.items && schema.items.type
+    };
+  });
+};
+
+/**
+ * Obtain the usage message.
+ *
+ * @return {String} The usage message.
+ */
+exports.getUsage = function () {
+  var lines = [
+    'Usage: clone-ami-to-region [options]',
+    '',
+    'Options:',
+    '',
+    '  --config <file>         JSON or YAML configuration file. Options given',
+    '                          on the command line override its values.',
+    '  --output <format>       Results format: ' + _.values(
+      constants.outputFormats
+    ).join(', ') + '. Defaults to table.',
+    '                          The report, markdown, and junit formats give',
+    '                          the run report, with timings, for cloning.',
+    '  --log                   Write a log of AWS API calls and progress to',
+    '                          stderr as JSON lines.',
+    '  --progress              Write progress events to stderr as JSON lines.',
+    '  --prune                 Prune old clones in the destination regions',
+    '                          according to --retention, instead of cloning.',
+    '  --resume                Resume an interrupted run from its state file,',
+    '                          given by --state-file.',
+    '  --help                  Show this message.',
+    '',
+    'Configuration options:',
+    ''
+  ];
+
+  _.each(exports.getConfigOptions(), function (option) {
+    var usage = '  --' + option.names[0];
+
+    if (option.type === 'array' && option.itemType === 'object') {
+      usage += ' <json> (repeatable)';
+    }
+    else if (option.type === 'array' && option.itemType === 'array') {
+      usage += ' <value,...> (repeatable)';
+    }
+    else if (option.type === 'array') {
+      usage += ' <value> (repeatable)';
+    }
+    else if (option.type === 'object') {
+      usage += ' <json>';
+    }
+    else if (option.type !== 'boolean') {
+      usage += ' <value>';
+    }
+
+    lines.push(usage);
+  });
+
+  lines.push(
+    '',
+    'Exit codes:',
+    '',
+    util.format('  %s  All destination regions succeeded.', constants.exitCodes.SUCCESS),
+    util.format('  %s  Some destination regions failed.', constants.exitCodes.PARTIAL_FAILURE),
+    util.format('  %s  All destination regions failed.', constants.exitCodes.TOTAL_FAILURE),
+    util.format('  %s  Invalid arguments or configuration.', constants.exitCodes.INVALID_USAGE),
+    ''
+  );
+
+  return lines.join('\n');
+};
+
+/**
+ * Load a configuration file, which may be JSON or YAML.
+ *
+ * @param {String} filePath Path to the file.
+ * @param {Function} callback Of the form function (error, config).
+ */
+exports.loadConfigFile = function (filePath, callback) {
+  fs.readFile(filePath, 'utf8', function (error, contents) {
+    var config;
+
+    if (error) {
+      return callback(new Error(util.format(
+        'Failed to read configuration file %s: %s',
+        filePath,
+        error.message
+      )));
+    }
+
+    try {
+      if (/\.ya?ml$/i.test(path.extname(filePath))) {
+        config = yaml.safeLoad(contents);
+      }
+      else {
+        config = JSON.parse(contents);
+      }
+    }
+    catch (e) {
+      return callback(new Error(util.format(
+        'Failed to parse configuration file %s: %s',
+        filePath,
+        e.message
+      )));
+    }
+
+    if (!_.isPlainObject(config)) {
+      return callback(new Error(util.format(
+        'Configuration file %s does not contain an object.',
+        filePath
+      )));
+    }
+
+    callback(null, config);
+  });
+};
+
+/**
+ * Convert an option value given on the command line to the type of its
+ * configuration property.
+ *
+ * All options are parsed as strings, so an option given without a value has
+ * the empty string as its value. That is a valid value only for boolean
+ * options, where it means true. Object values, including the items of arrays
+ * of objects, are parsed as JSON. The items of arrays of arrays are parsed as
+ * comma-separated lists.
+ *
+ * @param {Object} option The option description.
+ * @param {String|Boolean|Array} value The value or values provided.
+ * @return {Mixed} The converted value, or an Error instance.
+ */
+exports.convertOptionValue = function (option, value) {
+  var values = _.flatten([value]);
+  var missingValueError = new Error(util.format(
+    'Missing value for --%s.',
+    option.names[0]
+  ));
+
+  if (option.type === 'array') {
+    if (_.includes(values, '')) {
+      return missingValueError;
+    }
+
+    if (option.itemType === 'array') {
+      return _.map(values, function (item) {
+        return _.compact(_.map(item.split(','), _.trim));
+      });
+    }
+
+    if (option.itemType !== 'object') {
+      return values;
+    }
+
+    return _.reduce(values, function (result, item) {
+      if (result instanceof Error) {
+        return result;
+      }
+
+      try {
+        return result.concat(JSON.parse(item));
+      }
+      catch (e) {
+        return new Error(util.format(
+          'Invalid value for --%s: %s',
+          option.names[0],
+          item
+        ));
+      }
+    }, []);
+  }
+
+  // The remaining types are not repeatable, so take the last value given.
+  value = _.last(values);
+
+  if (option.type === 'boolean') {
+    if (value === true || value === '' || value === 'true') {
+      return true;
+    }
+    if (value === false || value === 'false') {
+      return false;
+    }
+  }
+  else if (value === '') {
+    return missingValueError;
+  }
+  else if (option.type === 'number' || option.type === 'integer') {
+    if (_.isFinite(Number(value))) {
+      return Number(value);
+    }
+  }
+  else if (option.type === 'object') {
+    try {
+      return JSON.parse(value);
+    }
+    catch (e) {
+      // Fall through to the error below.
+    }
+  }
+  else {
+    return value;
+  }
+
+  return new Error(util.format(
+    'Invalid value for --%s: %s',
+    option.names[0],
+    value
+  ));
+};
+
+/**
+ * Parse the command line arguments. Yields an object of the form:
+ *
+ * {
+ *   // The configuration for the image cloner.
+ *   config: {},
+ *   // True if the usage message should be shown.
+ *   help: false,
+ *   // True if a log should be written.
+ *   log: false,
+ *   // One of the constants.outputFormats values.
+ *   output: 'table',
+ *   // True if progress events should be written.
+ *   progress: false,
+ *   // True if old clones should be pruned instead of cloning.
+ *   prune: false,
+ *   // True if an interrupted run should be resumed.
+ *   resume: false
+ * }
+ *
+ * @param {String[]} argv The arguments, without the node and script paths.
+ * @param {Function} callback Of the form function (error, object).
+ */
+exports.parseArguments = function (argv, callback) {
+  var configOptions = exports.getConfigOptions();
+  var booleanNames = [
+    HELP_OPTION,
+    LOG_OPTION,
+    PROGRESS_OPTION,
+    PRUNE_OPTION,
+    RESUME_OPTION
+  ];
+  var knownNames = [CONFIG_FILE_OPTION, OUTPUT_OPTION];
+  var unknownArguments = [];
+  var args;
+
+  _.each(configOptions, function (option) {
+    knownNames = knownNames.concat(option.names);
+  });
+
+  args = minimist(argv, {
+    // Everything is parsed as a string so that IDs and the like are not turned
+    // into numbers; conversion happens based on the configuration schema.
+    string: knownNames,
+    boolean: booleanNames,
+    unknown: function (arg) {
+      unknownArguments.push(arg);
+      return false;
+    }
+  });
+
+  if (unknownArguments.length) {
+    return callback(new Error(util.format(
+      'Unknown arguments: %s',
+      unknownArguments.join(' ')
+    )));
+  }
+
+  var output = _.last(_.flatten([args[OUTPUT_OPTION] || constants.outputFormats.TABLE]));
+  if (!_.includes(_.values(constants.outputFormats), output)) {
+    return callback(new Error(util.format('Invalid output format: %s', output)));
+  }
+
+  var configFile = _.last(_.flatten([args[CONFIG_FILE_OPTION]]));
+  var loadConfig = function (loadCallback) {
+    if (!configFile) {
+      return loadCallback(null, {});
+    }
+
+    exports.loadConfigFile(configFile, loadCallback);
+  };
+
+  loadConfig(function (error, config) {
+    if (error) {
+      return callback(error);
+    }
+
+    var conversionError = _.reduce(configOptions, function (result, option) {
+      var given = _.filter(option.names, function (name) {
+        return _.has(args, name);
+      });
+
+      if (result || !given.length) {
+        return result;
+      }
+
+      var value = exports.convertOptionValue(
+        option,
+        _.flatten(_.map(given, function (name) {
+          return args[name];
+        }))
+      );
+
+      if (value instanceof Error) {
+        return value;
+      }
+
+      config[option.property] = value;
+    }, undefined);
+
+    if (conversionError) {
+      return callback(conversionError);
+    }
+
+    if (args[RESUME_OPTION] && !config.stateFile) {
+      return callback(new Error('The --resume option requires --state-file.'));
+    }
+
+    if (args[RESUME_OPTION] && args[PRUNE_OPTION]) {
+      return callback(new Error(
+        'The --resume and --prune options cannot be used together.'
+      ));
+    }
+
+    if (args[PRUNE_OPTION] && _.includes(REPORT_OUTPUT_FORMATS, output)) {
+      return callback(new Error(util.format(
+        'The %s output format cannot be used with --prune.',
+        output
+      )));
+    }
+
+    callback(null, {
+      config: config,
+      help: args[HELP_OPTION],
+      log: args[LOG_OPTION],
+      output: output,
+      progress: args[PROGRESS_OPTION],
+      prune: args[PRUNE_OPTION],
+      resume: args[RESUME_OPTION]
+    });
+  });
+};
+
+/**
+ * Replace any errors within an object with their messages, so that it can be
+ * serialized as JSON.
+ *
+ * @param {Object} object The object.
+ * @return {Object} A serializable copy of the object.
+ */
+exports.serializeErrors = function (object) {
+  return _.cloneDeepWith(object, function (value) {
+    if (value instanceof Error) {
+      return value.message;
+    }
+  });
+};
+
+/**
+ * Convert results, or a progress event, to a form that can be serialized as
+ * JSON. Errors are replaced with their serialized form, as given by
+ * CloneError.toJSON, so that properties such as code and step are kept.
+ *
+ * @param {Object} results The results yielded by cloning, or an event.
+ * @return {Object} Serializable results.
+ */
+exports.serializeResults = function (results) {
+  return _.cloneDeepWith(results, function (value) {
+    if (value instanceof Error) {
+      return errors.fromError(value).toJSON();
+    }
+  });
+};
+
+/**
+ * Format results as a human-readable table.
+ *
+ * @param {Object} results The results yielded by cloning.
+ * @return {String} The table.
+ */
+exports.formatResultsTable = function (results) {
+  var regionResults = utilities.listRegionResults(
+    exports.serializeErrors(results)
+  );
+  var hasSourceImages = _.some(regionResults, 'sourceImageId');
+  var hasAccounts = _.some(regionResults, 'accountId');
+  var rows = [['Region', 'Success', 'Image ID', 'Reused', 'Error']];
+
+  if (hasSourceImages) {
+    rows[0].unshift('Source Image');
+  }
+  else if (hasAccounts) {
+    rows[0].unshift('Account');
+  }
+
+  _.each(regionResults, function (regionResult) {
+    var result = regionResult.result;
+    var row = [
+      regionResult.region,
+      result.success ? 'yes' : 'no',
+      result.imageId || '-',
+      result.reused ? 'yes' : 'no',
+      result.error || '-'
+    ];
+
+    if (hasSourceImages) {
+      row.unshift(regionResult.sourceImageId);
+    }
+    else if (hasAccounts) {
+      row.unshift(regionResult.accountId);
+    }
+
+    rows.push(row);
+  });
+
+  return exports.formatTable(rows);
+};
+
+/**
+ * Format pruning results as a human-readable table, with a row for each image.
+ *
+ * @param {Object} results The results yielded by pruning.
+ * @return {String} The table.
+ */
+exports.formatPruneResultsTable = function (results) {
+  var rows = [['Region', 'Image ID', 'Name', 'Created', 'Action', 'Error']];
+
+  _.each(exports.serializeErrors(results), function (result, region) {
+    var imageRows = [];
+
+    function addRow (image, action) {
+      imageRows.push([
+        region,
+        image.imageId,
+        image.name || '-',
+        image.creationDate || '-',
+        action,
+        image.error || '-'
+      ]);
+    }
+
+    _.each(result.kept, function (image) {
+      addRow(image, 'keep');
+    });
+    _.each(result.inUse, function (image) {
+      addRow(image, 'in use: ' + image.usages.join(', '));
+    });
+    _.each(result.pruned, function (image) {
+      addRow(image, result.dryRun ? 'would prune' : 'prune');
+    });
+
+    // Show errors that do not belong to an image, such as a failure to find
+    // images.
+    if (result.error && !_.some(result.pruned, 'error')) {
+      imageRows.push([region, '-', '-', '-', '-', result.error]);
+    }
+    else if (!imageRows.length) {
+      imageRows.push([region, '-', '-', '-', 'none found', '-']);
+    }
+
+    rows = rows.concat(imageRows);
+  });
+
+  return exports.formatTable(rows);
+};
+
+/**
+ * Format rows as a table with aligned columns.
+ *
+ * @param {Array[]} rows The rows, starting with the headings.
+ * @return {String} The table.
+ */
+exports.formatTable = function (rows) {
+  var widths = _.map(rows[0], function (heading, index) {
+    return _.max(_.map(rows, function (row) {
+      return String(row[index]).length;
+    }));
+  });
+
+  return _.map(rows, function (row) {
+    return _.trimEnd(_.map(row, function (cell, index) {
+      return _.padEnd(cell, widths[index]);
+    }).join('  '));
+  }).join('\n');
+};
+
+/**
+ * Format results for output.
+ *
+ * @param {Object} results The results yielded by cloning.
+ * @param {String} format One of the constants.outputFormats values.
+ * @param {Object} [report] The run report, as given by
+ *   ImageCloner.getReport. Required for the report formats.
+ * @return {String} The formatted results.
+ */
+exports.formatResults = function (results, format, report) {
+  if (format === constants.outputFormats.JSON) {
+    return JSON.stringify(exports.serializeResults(results), null, '  ');
+  }
+
+  if (format === constants.outputFormats.REPORT) {
+    return runReport.formatJson(report);
+  }
+
+  if (format === constants.outputFormats.MARKDOWN) {
+    return runReport.formatMarkdown(report);
+  }
+
+  if (format === constants.outputFormats.JUNIT) {
+    return runReport.formatJUnit(report);
+  }
+
+  return exports.formatResultsTable(results);
+};
+
+/**
+ * Format pruning results for output.
+ *
+ * @param {Object} results The results yielded by pruning.
+ * @param {String} format One of the constants.outputFormats values.
+ * @return {String} The formatted results.
+ */
+exports.formatPruneResults = function (results, format) {
+  if (format === constants.outputFormats.JSON) {
+    return JSON.stringify(exports.serializeResults(results), null, '  ');
+  }
+
+  return exports.formatPruneResultsTable(results);
+};
+
+/**
+ * Determine the exit code for the outcome of cloning.
+ *
+ * @param {Error} error The error yielded by cloning, if any.
+ * @param {Object} results The results yielded by cloning.
+ * @return {Number} One of the constants.exitCodes values.
+ */
+exports.getExitCode = function (error, results) {
+  var regionResults = utilities.listRegionResults(results);
+  var successes = _.filter(regionResults, 'result.success').length;
+
+  if (!error && successes === regionResults.length) {
+    return constants.exitCodes.SUCCESS;
+  }
+  else if (successes) {
+    return constants.exitCodes.PARTIAL_FAILURE;
+  }
+
+  return constants.exitCodes.TOTAL_FAILURE;
+};
+
+/**
+ * Run the command line interface.
+ *
+ * @param {String[]} argv The arguments, without the node and script paths.
+ * @param {stream.Writable} stdout Stream for results.
+ * @param {stream.Writable} stderr Stream for errors and usage.
+ * @param {Function} callback Of the form function (exitCode).
+ */
+exports.run = function (argv, stdout, stderr, callback) {
+  exports.parseArguments(argv, function (error, options) {
+    if (error) {
+      stderr.write(util.format('%s\n\n%s\n', error.message, exports.getUsage()));
+      return callback(constants.exitCodes.INVALID_USAGE);
+    }
+
+    if (options.help) {
+      stdout.write(exports.getUsage() + '\n');
+      return callback(constants.exitCodes.SUCCESS);
+    }
+
+    // With --log or --progress, stderr carries JSON lines, and so errors are
+    // written to it as JSON lines too.
+    var jsonLinesLogger = options.log || options.progress ?
+      logger.createJsonLinesLogger(stderr) :
+      undefined;
+
+    function writeError (error) {
+      if (jsonLinesLogger) {
+        return jsonLinesLogger.error({
+          error: errors.fromError(error).toJSON()
+        }, error.message);
+      }
+
+      stderr.write(util.format('Error: %s\n', error.message));
+    }
+
+    if (options.log) {
+      options.config.logger = jsonLinesLogger;
+    }
+
+    var imageCloner = new ImageCloner(options.config);
+    var validationErrors = options.prune ?
+      imageCloner.configValidator.validatePrune(imageCloner.config) :
+      imageCloner.configValidator.validate(imageCloner.config);
+
+    if (validationErrors.length && jsonLinesLogger) {
+      jsonLinesLogger.error({
+        validationErrors: _.map(validationErrors, 'stack')
+      }, 'Invalid configuration');
+      return callback(constants.exitCodes.INVALID_USAGE);
+    }
+
+    if (validationErrors.length) {
+      stderr.write(util.format(
+        'Invalid configuration:\n\n%s\n\n%s\n',
+        _.map(validationErrors, function (validationError) {
+          return '  ' + validationError.stack;
+        }).join('\n'),
+        exports.getUsage()
+      ));
+      return callback(constants.exitCodes.INVALID_USAGE);
+    }
+
+    if (options.progress) {
+      _.each(constants.events, function (eventName) {
+        imageCloner.on(eventName, function (event) {
+          stderr.write(JSON.stringify(exports.serializeResults(event)) + '\n');
+        });
+      });
+    }
+
+    if (options.prune) {
+      return imageCloner.pruneImages(function (pruneError, results) {
+        if (pruneError) {
+          writeError(pruneError);
+        }
+
+        stdout.write(exports.formatPruneResults(results, options.output) + '\n');
+        callback(exports.getExitCode(pruneError, results));
+      });
+    }
+
+    var clone = options.resume ?
+      imageCloner.resumeCloneImage :
+      imageCloner.cloneImage;
+
+    clone.call(imageCloner, function (cloneError, results) {
+      if (cloneError) {
+        writeError(cloneError);
+      }
+
+      stdout.write(exports.formatResults(
+        results,
+        options.output,
+        _.includes(REPORT_OUTPUT_FORMATS, options.output) ?
+          imageCloner.getReport(results) :
+          undefined
+      ) + '\n');
+      callback(exports.getExitCode(cloneError, results));
+    });
+  });
+};
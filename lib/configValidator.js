@@ -4,6 +4,170 @@
 
 // NPM.
 var jsonschema = require('jsonschema');
+var _ = require('lodash');
+
+// Local.
+var constants = require('./constants');
+var template = require('./template');
+
+// A KMS key ID, key ARN, alias name, or alias ARN.
+var kmsKeyIdSchema = {
+  type: 'string',
+  pattern: new RegExp([
+    '^(',
+    '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}',
+    '|mrk-[0-9a-f]{32}',
+    '|alias/[a-zA-Z0-9/_-]+',
+    '|arn:aws[a-z-]*:kms:[a-z0-9-]+:[0-9]{12}:(key|alias)/[a-zA-Z0-9/_-]+',
+    ')$'
+  ].join('')),
+  required: false
+};
+
+// The region of a source image.
+var sourceRegionSchema = {
+  type: 'string',
+  minLength: 1,
+  required: false
+};
+
+// The regions to clone a source image to.
+var destinationRegionsSchema = {
+  type: 'array',
+  items: {
+    type: 'string',
+    minLength: 1
+  },
+  minItems: 1,
+  required: false
+};
+
+// Tags to add to clones, or to override those of the source, keyed by tag key.
+// Values are templates; see lib/template.js.
+var tagsSchema = {
+  type: 'object',
+  additionalProperties: {
+    type: 'string',
+    maxLength: 256
+  },
+  required: false
+};
+
+// Keys of source image tags to omit from clones.
+var removeTagsSchema = {
+  type: 'array',
+  items: {
+    type: 'string',
+    minLength: 1
+  },
+  required: false
+};
+
+// An HTTP or HTTPS URL, such as that of an endpoint or proxy.
+var urlSchema = {
+  type: 'string',
+  pattern: /^https?:\/\/[^\s/]+(\/\S*)?$/,
+  required: false
+};
+
+// Options for the clients of one region, merged with the global clientOptions.
+// These use the names of AWS.EC2 client options, apart from profile, which
+// names a profile in the shared credentials file to take credentials from.
+var regionClientOptionsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    endpoint: urlSchema,
+    profile: {
+      type: 'string',
+      minLength: 1,
+      required: false
+    },
+    maxRetries: {
+      type: 'integer',
+      minimum: 0,
+      required: false
+    },
+    httpOptions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        proxy: urlSchema,
+        connectTimeout: {
+          type: 'integer',
+          minimum: 0,
+          required: false
+        },
+        timeout: {
+          type: 'integer',
+          minimum: 0,
+          required: false
+        }
+      },
+      required: false
+    }
+  },
+  required: false
+};
+
+// Launch permissions to add to clones, in addition to those of the source.
+var launchPermissionsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    userIds: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: /^[0-9]{12}$/
+      }
+    },
+    organizationArns: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: /^arn:aws[a-z-]*:organizations::[0-9]{12}:organization\/o-[a-z0-9]{10,32}$/
+      }
+    },
+    organizationalUnitArns: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: /^arn:aws[a-z-]*:organizations::[0-9]{12}:ou\/o-[a-z0-9]{10,32}\/ou-[a-z0-9]{4,32}-[a-z0-9]{8,32}$/
+      }
+    },
+    public: {
+      type: 'boolean'
+    }
+  },
+  required: false
+};
+
+// A template for the names of clones. See lib/template.js.
+var nameTemplateSchema = {
+  type: 'string',
+  minLength: 1,
+  required: false
+};
+
+// A template for the descriptions of clones. See lib/template.js.
+var descriptionTemplateSchema = {
+  type: 'string',
+  required: false
+};
+
+// Values with which name and description templates are rendered to check that
+// they yield valid results. Source tags render as tagSampleValue.
+var templateSampleValues = {
+  destinationRegion: 'ap-southeast-2',
+  sourceImageId: 'ami-0123456789abcdef0',
+  sourceRegion: 'us-east-1',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  date: '2026-01-01',
+  sourceName: 'source-image',
+  sourceDescription: 'Source image'
+};
+var tagSampleValue = 'value';
 
 /**
  * @class The ConfigValidator class.
@@ -19,30 +183,19 @@ function ConfigValidator () {
     properties: {
 
       // ----------------------------------------------------------------------
-      // Required.
+      // Required, unless sourceImageFilter or sourceImages is given. See
+      // validateConstraints.
       // ----------------------------------------------------------------------
 
       sourceImageId: {
         type: 'string',
         minLength: 1,
-        required: true
+        required: false
       },
 
-      sourceRegion: {
-        type: 'string',
-        minLength: 1,
-        required: true
-      },
+      sourceRegion: sourceRegionSchema,
 
-      destinationRegions: {
-        type: 'array',
-        items: {
-          type: 'string',
-          minLength: 1
-        },
-        minItems: 1,
-        required: true
-      },
+      destinationRegions: destinationRegionsSchema,
 
       // ----------------------------------------------------------------------
       // Optional for the user, but we require them internally; they are set
@@ -55,6 +208,90 @@ function ConfigValidator () {
         required: true
       },
 
+      progressCheckBackoffMultiplier: {
+        type: 'number',
+        minimum: 1,
+        required: true
+      },
+
+      progressCheckMaxIntervalInSeconds: {
+        type: 'number',
+        minimum: 0,
+        required: true
+      },
+
+      apiMaxAttempts: {
+        type: 'integer',
+        minimum: 1,
+        required: true
+      },
+
+      apiRetryBaseDelayInMilliseconds: {
+        type: 'number',
+        minimum: 0,
+        required: true
+      },
+
+      apiRetryMaxDelayInMilliseconds: {
+        type: 'number',
+        minimum: 0,
+        required: true
+      },
+
+      backoffJitterRatio: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        required: true
+      },
+
+      maxCopyWaitInSeconds: {
+        type: 'number',
+        minimum: 0,
+        required: true
+      },
+
+      reuseExistingImages: {
+        type: 'boolean',
+        required: true
+      },
+
+      encrypted: {
+        type: 'boolean',
+        required: true
+      },
+
+      dryRun: {
+        type: 'boolean',
+        required: true
+      },
+
+      shareSnapshots: {
+        type: 'boolean',
+        required: true
+      },
+
+      // Whether clones are checked against the source image, and whether
+      // differences fail the region. One of constants.verificationModes.
+      verification: {
+        type: 'string',
+        enum: _.values(constants.verificationModes),
+        required: true
+      },
+
+      rollbackOnFailure: {
+        type: 'boolean',
+        required: true
+      },
+
+      // The number of failed regions tolerated before later region waves are
+      // skipped.
+      waveFailureThreshold: {
+        type: 'integer',
+        minimum: 0,
+        required: true
+      },
+
       // ----------------------------------------------------------------------
       // Actually optional.
       // ----------------------------------------------------------------------
@@ -62,6 +299,235 @@ function ConfigValidator () {
       clientOptions: {
         type: 'object',
         required: false
+      },
+
+      // A logger for API calls and progress, such as console or a pino or
+      // bunyan logger. See lib/logger.js.
+      logger: {
+        type: 'object',
+        required: false
+      },
+
+      // Selects the source image by name, description, and tags, in place of
+      // sourceImageId. Values may contain the * and ? wildcards.
+      sourceImageFilter: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          name: {
+            type: 'string',
+            minLength: 1
+          },
+          description: {
+            type: 'string'
+          },
+          // Tag values keyed by tag key.
+          tags: {
+            type: 'object',
+            additionalProperties: {
+              type: 'string'
+            }
+          },
+          // Account IDs, or self, amazon, or aws-marketplace.
+          owners: {
+            type: 'array',
+            items: {
+              type: 'string',
+              minLength: 1
+            },
+            minItems: 1
+          },
+          // If true, select the newest of several matching images. Otherwise
+          // exactly one image must match.
+          mostRecent: {
+            type: 'boolean'
+          }
+        },
+        required: false
+      },
+
+      // Image settings to copy from the source image to clones, from those
+      // in constants.copyableImageAttributes.
+      copyImageAttributes: {
+        type: 'array',
+        items: {
+          type: 'string',
+          enum: _.values(constants.copyableImageAttributes)
+        },
+        uniqueItems: true,
+        required: false
+      },
+
+      // Several images to clone in one run, in place of sourceImageId. Each
+      // falls back to the global sourceRegion and destinationRegions if it
+      // does not set its own.
+      sourceImages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            sourceImageId: {
+              type: 'string',
+              minLength: 1,
+              required: true
+            },
+            sourceRegion: sourceRegionSchema,
+            destinationRegions: destinationRegionsSchema
+          }
+        },
+        minItems: 1,
+        required: false
+      },
+
+      // Accounts to clone to, in place of the calling account. The source
+      // image is shared with each account, and a role in the account is
+      // assumed to clone it there. Each account falls back to the global
+      // destinationRegions if it does not set its own.
+      destinationAccounts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            accountId: {
+              type: 'string',
+              pattern: /^[0-9]{12}$/,
+              required: true
+            },
+            roleArn: {
+              type: 'string',
+              pattern: /^arn:aws[a-z-]*:iam::[0-9]{12}:role\/.+$/,
+              required: true
+            },
+            externalId: {
+              type: 'string',
+              minLength: 2,
+              maxLength: 1224,
+              required: false
+            },
+            destinationRegions: destinationRegionsSchema
+          }
+        },
+        minItems: 1,
+        required: false
+      },
+
+      // The maximum number of destination regions to clone to at once, across
+      // all source images. There is no limit if this is not set.
+      maxConcurrentCopies: {
+        type: 'integer',
+        minimum: 1,
+        required: false
+      },
+
+      // The maximum number of destination regions to clone a source image to
+      // at once. There is no limit if this is not set.
+      maxConcurrentRegions: {
+        type: 'integer',
+        minimum: 1,
+        required: false
+      },
+
+      // Groups of destination regions to clone to in order, each starting
+      // once the one before it is finished. Destination regions not in any
+      // wave are cloned to in a final wave.
+      regionWaves: {
+        type: 'array',
+        items: {
+          type: 'array',
+          items: {
+            type: 'string',
+            minLength: 1
+          },
+          minItems: 1
+        },
+        required: false
+      },
+
+      // Path to a file in which to save progress, so that an interrupted run
+      // can be resumed.
+      stateFile: {
+        type: 'string',
+        minLength: 1,
+        required: false
+      },
+
+      // Launch permissions to add to clones, merged with those of the source.
+      additionalLaunchPermissions: launchPermissionsSchema,
+
+      tags: tagsSchema,
+
+      removeTags: removeTagsSchema,
+
+      // The KMS key used to encrypt clones if encrypted is true. If omitted,
+      // the default EBS encryption key is used.
+      kmsKeyId: kmsKeyIdSchema,
+
+      // Templates for the name and description of clones. If omitted, the
+      // name and description of the source image are used.
+      nameTemplate: nameTemplateSchema,
+
+      descriptionTemplate: descriptionTemplateSchema,
+
+      // Which clones to prune, and which of them to keep. Only used when
+      // pruning. See validatePrune.
+      retention: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          // May include * and ? wildcards.
+          name: {
+            type: 'string',
+            minLength: 1
+          },
+          description: {
+            type: 'string'
+          },
+          // Tag values keyed by tag key.
+          tags: {
+            type: 'object',
+            additionalProperties: {
+              type: 'string'
+            }
+          },
+          // Keep this many of the newest clones in each region.
+          keepCount: {
+            type: 'integer',
+            minimum: 0
+          },
+          // Keep clones created within this many days.
+          keepNewerThanInDays: {
+            type: 'number',
+            minimum: 0
+          }
+        },
+        required: false
+      },
+
+      // Settings that override the above for specific destination regions,
+      // keyed by region.
+      regionOverrides: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            additionalLaunchPermissions: launchPermissionsSchema,
+            kmsKeyId: kmsKeyIdSchema,
+            tags: tagsSchema,
+            removeTags: removeTagsSchema,
+            nameTemplate: nameTemplateSchema,
+            descriptionTemplate: descriptionTemplateSchema,
+            clientOptions: regionClientOptionsSchema,
+            maxCopyWaitInSeconds: {
+              type: 'number',
+              minimum: 0,
+              required: false
+            }
+          }
+        },
+        required: false
       }
 
     },
@@ -77,11 +543,368 @@ function ConfigValidator () {
  * Validate the provided configuration.
  *
  * @param {Object} config Configuration.
- * @return {Error[]} An array of errors.
+ * @return {ValidationError[]} An array of errors.
  */
 ConfigValidator.prototype.validate = function (config) {
   var result = this.validator.validate(config, this.configSchema) || {};
-  return result.errors || [];
+  var errors = result.errors || [];
+
+  // Only check the constraints that the schema cannot express if the
+  // configuration is otherwise valid.
+  if (errors.length) {
+    return errors;
+  }
+
+  return this.validateConstraints(config);
+};
+
+/**
+ * Validate the provided configuration for pruning. Only destinationRegions and
+ * retention are required, and other constraints on cloning are not checked.
+ *
+ * @param {Object} config Configuration.
+ * @return {ValidationError[]} An array of errors.
+ */
+ConfigValidator.prototype.validatePrune = function (config) {
+  var result = this.validator.validate(config, this.configSchema) || {};
+  var errors = result.errors || [];
+  var retention = config.retention;
+
+  if (errors.length) {
+    return errors;
+  }
+
+  if (!config.destinationRegions) {
+    errors.push(new jsonschema.ValidationError(
+      'is required',
+      config.destinationRegions,
+      undefined,
+      'instance.destinationRegions'
+    ));
+  }
+
+  if (!retention) {
+    errors.push(new jsonschema.ValidationError(
+      'is required',
+      retention,
+      undefined,
+      'instance.retention'
+    ));
+    return errors;
+  }
+
+  // Pruning every image in a region is almost certainly a mistake.
+  if (
+    retention.name === undefined &&
+    retention.description === undefined &&
+    _.isEmpty(retention.tags)
+  ) {
+    errors.push(new jsonschema.ValidationError(
+      'requires at least one of name, description, or tags',
+      retention,
+      undefined,
+      'instance.retention'
+    ));
+  }
+
+  if (!_.has(retention, 'keepCount') && !_.has(retention, 'keepNewerThanInDays')) {
+    errors.push(new jsonschema.ValidationError(
+      'requires at least one of keepCount or keepNewerThanInDays',
+      retention,
+      undefined,
+      'instance.retention'
+    ));
+  }
+
+  return errors;
+};
+
+/**
+ * Check constraints that span configuration properties. This assumes that the
+ * configuration is valid according to the schema.
+ *
+ * @param {Object} config Configuration.
+ * @return {ValidationError[]} An array of errors.
+ */
+ConfigValidator.prototype.validateConstraints = function (config) {
+  var errors = [];
+
+  function requireProperty (value, path) {
+    if (value === undefined) {
+      errors.push(new jsonschema.ValidationError(
+        'is required',
+        value,
+        undefined,
+        path
+      ));
+    }
+  }
+
+  function forbidProperty (value, path, otherProperty) {
+    if (value !== undefined) {
+      errors.push(new jsonschema.ValidationError(
+        'cannot be used with ' + otherProperty,
+        value,
+        undefined,
+        path
+      ));
+    }
+  }
+
+  if (config.sourceImages) {
+    forbidProperty(
+      config.sourceImageId,
+      'instance.sourceImageId',
+      'sourceImages'
+    );
+    forbidProperty(
+      config.sourceImageFilter,
+      'instance.sourceImageFilter',
+      'sourceImages'
+    );
+
+    _.each(config.sourceImages, function (sourceImage, index) {
+      var path = 'instance.sourceImages[' + index + ']';
+
+      requireProperty(
+        sourceImage.sourceRegion || config.sourceRegion,
+        path + '.sourceRegion'
+      );
+      requireProperty(
+        sourceImage.destinationRegions || config.destinationRegions,
+        path + '.destinationRegions'
+      );
+
+      if (_.findIndex(config.sourceImages, {
+        sourceImageId: sourceImage.sourceImageId
+      }) !== index) {
+        errors.push(new jsonschema.ValidationError(
+          'is a duplicate',
+          sourceImage.sourceImageId,
+          undefined,
+          path + '.sourceImageId'
+        ));
+      }
+    });
+  }
+  else if (config.sourceImageFilter) {
+    forbidProperty(
+      config.sourceImageId,
+      'instance.sourceImageId',
+      'sourceImageFilter'
+    );
+
+    if (!_.some(['name', 'description', 'tags'], function (property) {
+      return _.has(config.sourceImageFilter, property);
+    })) {
+      errors.push(new jsonschema.ValidationError(
+        'requires at least one of name, description, or tags',
+        config.sourceImageFilter,
+        undefined,
+        'instance.sourceImageFilter'
+      ));
+    }
+
+    requireProperty(config.sourceRegion, 'instance.sourceRegion');
+  }
+  else {
+    requireProperty(config.sourceImageId, 'instance.sourceImageId');
+    requireProperty(config.sourceRegion, 'instance.sourceRegion');
+  }
+
+  if (config.destinationAccounts) {
+    forbidProperty(
+      config.sourceImages,
+      'instance.sourceImages',
+      'destinationAccounts'
+    );
+
+    _.each(config.destinationAccounts, function (account, index) {
+      var path = 'instance.destinationAccounts[' + index + ']';
+
+      requireProperty(
+        account.destinationRegions || config.destinationRegions,
+        path + '.destinationRegions'
+      );
+
+      if (account.roleArn.split(':')[4] !== account.accountId) {
+        errors.push(new jsonschema.ValidationError(
+          'is not a role in account ' + account.accountId,
+          account.roleArn,
+          undefined,
+          path + '.roleArn'
+        ));
+      }
+
+      if (_.findIndex(config.destinationAccounts, {
+        accountId: account.accountId
+      }) !== index) {
+        errors.push(new jsonschema.ValidationError(
+          'is a duplicate',
+          account.accountId,
+          undefined,
+          path + '.accountId'
+        ));
+      }
+    });
+  }
+  else if (!config.sourceImages) {
+    requireProperty(config.destinationRegions, 'instance.destinationRegions');
+  }
+
+  var allDestinationRegions = _.union(
+    config.destinationRegions,
+    _.flatMap(config.sourceImages, 'destinationRegions'),
+    _.flatMap(config.destinationAccounts, 'destinationRegions')
+  );
+
+  var waveRegions = [];
+
+  _.each(config.regionWaves, function (wave, waveIndex) {
+    _.each(wave, function (region, index) {
+      var path = 'instance.regionWaves[' + waveIndex + '][' + index + ']';
+
+      if (!_.includes(allDestinationRegions, region)) {
+        errors.push(new jsonschema.ValidationError(
+          'is not a destination region',
+          region,
+          undefined,
+          path
+        ));
+      }
+      else if (_.includes(waveRegions, region)) {
+        errors.push(new jsonschema.ValidationError(
+          'is in more than one wave',
+          region,
+          undefined,
+          path
+        ));
+      }
+
+      waveRegions.push(region);
+    });
+  });
+
+  function validateTemplateVariables (value, path) {
+    var unknownVariables = _.reject(
+      template.getVariableNames(value),
+      function (name) {
+        return (
+          _.includes(_.values(constants.templateVariables), name) ||
+          _.startsWith(name, constants.tagTemplateVariablePrefix)
+        );
+      }
+    );
+
+    if (unknownVariables.length) {
+      errors.push(new jsonschema.ValidationError(
+        'uses unknown template variables: ' + unknownVariables.join(', '),
+        value,
+        undefined,
+        path
+      ));
+    }
+
+    return !unknownVariables.length;
+  }
+
+  function validateTags (tags, path) {
+    _.each(tags, function (value, key) {
+      if (/^aws:/.test(key) || key.length > 128) {
+        errors.push(new jsonschema.ValidationError(
+          'is not a valid tag key',
+          key,
+          undefined,
+          path
+        ));
+      }
+
+      validateTemplateVariables(value, path + '.' + key);
+    });
+  }
+
+  // Render the name and description templates with sample values, so that a
+  // template that cannot yield a valid result fails before any request.
+  function validateNamingTemplates (settings, path) {
+    var name;
+    var description;
+
+    if (
+      settings.nameTemplate !== undefined &&
+      validateTemplateVariables(settings.nameTemplate, path + '.nameTemplate')
+    ) {
+      name = template.render(
+        settings.nameTemplate,
+        templateSampleValues,
+        tagSampleValue
+      );
+
+      if (!constants.imageNamePattern.test(name)) {
+        errors.push(new jsonschema.ValidationError(
+          'does not yield a valid image name: ' + name,
+          settings.nameTemplate,
+          undefined,
+          path + '.nameTemplate'
+        ));
+      }
+    }
+
+    if (
+      settings.descriptionTemplate !== undefined &&
+      validateTemplateVariables(
+        settings.descriptionTemplate,
+        path + '.descriptionTemplate'
+      )
+    ) {
+      description = template.render(
+        settings.descriptionTemplate,
+        templateSampleValues,
+        tagSampleValue
+      );
+
+      if (description.length > constants.maxImageDescriptionLength) {
+        errors.push(new jsonschema.ValidationError(
+          'does not yield a valid image description',
+          settings.descriptionTemplate,
+          undefined,
+          path + '.descriptionTemplate'
+        ));
+      }
+    }
+  }
+
+  validateTags(config.tags, 'instance.tags');
+  validateNamingTemplates(config, 'instance');
+  _.each(config.regionOverrides, function (overrides, region) {
+    var path = 'instance.regionOverrides.' + region;
+
+    validateTags(overrides.tags, path + '.tags');
+    validateNamingTemplates(overrides, path);
+  });
+
+  if (!config.encrypted) {
+    if (config.kmsKeyId) {
+      errors.push(new jsonschema.ValidationError(
+        'requires encrypted to be true',
+        config.kmsKeyId,
+        undefined,
+        'instance.kmsKeyId'
+      ));
+    }
+
+    _.each(config.regionOverrides, function (overrides, region) {
+      if (overrides.kmsKeyId) {
+        errors.push(new jsonschema.ValidationError(
+          'requires encrypted to be true',
+          overrides.kmsKeyId,
+          undefined,
+          'instance.regionOverrides.' + region + '.kmsKeyId'
+        ));
+      }
+    });
+  }
+
+  return errors;
 };
 
 // --------------------------------------------------------------------------
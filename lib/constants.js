@@ -5,13 +5,254 @@
 // Only the attributes we care about; there are others. See:
 // http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/EC2.html#describeImageAttribute-property
 exports.imageAttributes = {
-  LAUNCH_PERMISSION: 'launchPermission'
+  LAUNCH_PERMISSION: 'launchPermission',
+  DESCRIPTION: 'description',
+  BOOT_MODE: 'bootMode',
+  TPM_SUPPORT: 'tpmSupport',
+  IMDS_SUPPORT: 'imdsSupport',
+  DEREGISTRATION_PROTECTION: 'deregistrationProtection'
 };
 // The property name in the returned attribute data.
 exports.describeImageAttributesProperty = {
-  launchPermission: 'LaunchPermissions'
+  launchPermission: 'LaunchPermissions',
+  description: 'Description',
+  bootMode: 'BootMode',
+  tpmSupport: 'TpmSupport',
+  imdsSupport: 'ImdsSupport',
+  deregistrationProtection: 'DeregistrationProtection'
 };
-// The property name in the modification parameters.
+// The property name in the modification parameters. Other attributes cannot be
+// modified.
 exports.modifyImageAttributesProperty = {
-  launchPermission: 'LaunchPermission'
+  launchPermission: 'LaunchPermission',
+  description: 'Description',
+  imdsSupport: 'ImdsSupport'
+};
+
+// The image settings that can be copied to clones with the copyImageAttributes
+// option. The deprecation time and deregistration protection are not image
+// attributes as far as describeImageAttribute is concerned, but are set by
+// their own requests.
+exports.copyableImageAttributes = {
+  DEPRECATION_TIME: 'deprecationTime',
+  DEREGISTRATION_PROTECTION: 'deregistrationProtection',
+  IMDS_SUPPORT: 'imdsSupport',
+  DESCRIPTION: 'description'
+};
+// The image settings that AWS copies to clones, which are checked after the
+// copy, mapped to their property in image data.
+exports.checkedImageAttributesProperty = {
+  bootMode: 'BootMode',
+  tpmSupport: 'TpmSupport'
+};
+// The only value that imdsSupport can be set to.
+exports.IMDS_SUPPORT_V2 = 'v2.0';
+// The deregistration protection of an image that keeps the protection for 24
+// hours after it is disabled.
+exports.DEREGISTRATION_PROTECTION_WITH_COOLDOWN = 'enabled-with-cooldown';
+
+// Only the snapshot attributes we care about; there are others. See:
+// http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/EC2.html#modifySnapshotAttribute-property
+exports.snapshotAttributes = {
+  CREATE_VOLUME_PERMISSION: 'createVolumePermission'
+};
+// The property name in the modification parameters.
+exports.modifySnapshotAttributesProperty = {
+  createVolumePermission: 'CreateVolumePermission'
+};
+
+// The steps of cloning to a destination region, in order. The last step
+// finished is recorded so that an interrupted run can be resumed.
+exports.cloneSteps = {
+  COPY_STARTED: 'copyStarted',
+  COPY_COMPLETED: 'copyCompleted',
+  TAGGED: 'tagged',
+  LAUNCH_PERMISSIONS_SET: 'launchPermissionsSet',
+  ATTRIBUTES_COPIED: 'attributesCopied',
+  SNAPSHOTS_SHARED: 'snapshotsShared',
+  VERIFIED: 'verified',
+  COMPLETED: 'completed'
+};
+
+// The steps of cloning to a region. Each is timed in the region's result, and
+// a failed step is recorded as the step property of the error. See
+// lib/errors.js.
+exports.regionSteps = {
+  FIND_EXISTING: 'findExisting',
+  COPY: 'copy',
+  AWAIT: 'await',
+  TAG: 'tag',
+  PERMISSIONS: 'permissions',
+  ATTRIBUTES: 'attributes',
+  SNAPSHOTS: 'snapshots',
+  VERIFY: 'verify',
+  COMPLETE: 'complete'
+};
+
+// The variables available to templates, such as tag values. See
+// lib/template.js.
+exports.templateVariables = {
+  // The region the clone is copied to.
+  DESTINATION_REGION: 'destinationRegion',
+  SOURCE_IMAGE_ID: 'sourceImageId',
+  SOURCE_REGION: 'sourceRegion',
+  // When the copy started, as an ISO 8601 string.
+  TIMESTAMP: 'timestamp',
+  // The date part of the timestamp, such as 2026-10-01.
+  DATE: 'date',
+  SOURCE_NAME: 'sourceName',
+  SOURCE_DESCRIPTION: 'sourceDescription'
+};
+// Templates may also use the value of a source image tag, such as {tag:Team}.
+// A tag that the source image does not have renders as an empty string.
+exports.tagTemplateVariablePrefix = 'tag:';
+
+// The constraints on image names and descriptions. See:
+// http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/EC2.html#copyImage-property
+exports.imageNamePattern = /^[A-Za-z0-9()[\] ./'@_-]{3,128}$/;
+exports.maxImageDescriptionLength = 255;
+
+// Image states. See:
+// http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/EC2.html#describeImages-property
+exports.imageStates = {
+  AVAILABLE: 'available',
+  PENDING: 'pending',
+  TRANSIENT: 'transient'
+};
+// States in which an image copy is still in progress. Any state other than
+// these and available means that the copy failed.
+exports.inProgressImageStates = [
+  exports.imageStates.PENDING,
+  exports.imageStates.TRANSIENT
+];
+
+// Codes of AWS errors that indicate throttling, and so are worth retrying.
+exports.throttlingErrorCodes = [
+  'EC2ThrottledException',
+  'PriorRequestNotComplete',
+  'RequestLimitExceeded',
+  'RequestThrottled',
+  'RequestThrottledException',
+  'Throttling',
+  'ThrottlingException',
+  'TooManyRequestsException'
+];
+
+// Codes assigned to errors that are not reported by AWS.
+exports.errorCodes = {
+  // The image copy reached a failed state, such as failed or error.
+  COPY_FAILED: 'CopyFailed',
+  // The image copy did not complete within the configured maximum wait.
+  COPY_TIMED_OUT: 'CopyTimedOut',
+  // No available image matched the source image filter.
+  SOURCE_IMAGE_NOT_FOUND: 'SourceImageNotFound',
+  // Several images matched the source image filter, but mostRecent was not
+  // set to choose between them.
+  SOURCE_IMAGE_AMBIGUOUS: 'SourceImageAmbiguous',
+  // The region was not attempted because too many regions failed in earlier
+  // waves.
+  REGION_SKIPPED: 'RegionSkipped',
+  // The clone differs from the source image, and the verification option is
+  // strict.
+  VERIFICATION_FAILED: 'VerificationFailed'
+};
+
+// The levels of log messages, in increasing severity. A logger given by the
+// logger option should have a method for each. See lib/logger.js.
+exports.logLevels = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error'
+};
+
+// How clones are checked against the source image once cloned. See
+// ImageCloner.verifyClone.
+exports.verificationModes = {
+  // Clones are not checked.
+  OFF: 'off',
+  // Differences are listed in the results.
+  REPORT: 'report',
+  // Differences are listed in the results and fail the region.
+  STRICT: 'strict'
+};
+// The image properties that a clone should share with its source image, keyed
+// by the name used to report differences.
+exports.verifiedImageProperties = {
+  architecture: 'Architecture',
+  virtualizationType: 'VirtualizationType',
+  rootDeviceName: 'RootDeviceName',
+  rootDeviceType: 'RootDeviceType',
+  enaSupport: 'EnaSupport',
+  sriovNetSupport: 'SriovNetSupport'
+};
+
+// The ways in which an image can be in use, which prevent it being pruned.
+exports.imageUsages = {
+  // An instance that is not terminated was launched from the image.
+  INSTANCE: 'instance',
+  // The default or latest version of a launch template uses the image.
+  LAUNCH_TEMPLATE: 'launchTemplate'
+};
+// Instance states in which an instance still uses its image.
+exports.inUseInstanceStates = [
+  'pending',
+  'running',
+  'shutting-down',
+  'stopping',
+  'stopped'
+];
+
+// The session name used when assuming a role in a destination account.
+exports.ROLE_SESSION_NAME = 'clone-ami-to-region';
+
+// A well-formed but nonexistent image ID, used as the target of dry runs for
+// operations on a clone that does not yet exist.
+exports.DRY_RUN_IMAGE_ID = 'ami-00000000000000000';
+
+// Exit codes for the command line interface.
+exports.exitCodes = {
+  SUCCESS: 0,
+  // At least one destination region succeeded, but not all.
+  PARTIAL_FAILURE: 1,
+  // No destination region succeeded.
+  TOTAL_FAILURE: 2,
+  // Invalid arguments or configuration; nothing was attempted.
+  INVALID_USAGE: 3
+};
+
+// Output formats for the command line interface.
+exports.outputFormats = {
+  JSON: 'json',
+  TABLE: 'table',
+  // The run report, as JSON, Markdown, or JUnit XML. See lib/runReport.js.
+  REPORT: 'report',
+  MARKDOWN: 'markdown',
+  JUNIT: 'junit'
+};
+
+// Events emitted by the ImageCloner as cloning progresses. Each is emitted with
+// a single object argument that includes the event name, the destination
+// region, the source image ID, and a timestamp, plus the event-specific
+// properties noted here.
+exports.events = {
+  // An existing clone was found for reuse: imageId, state.
+  EXISTING_IMAGE_FOUND: 'existingImageFound',
+  // A copy was started: imageId.
+  COPY_STARTED: 'copyStarted',
+  // The copy state was checked: imageId, state, elapsedInSeconds.
+  PROGRESS_CHECK: 'progressCheck',
+  // Tags were applied: imageId, tags.
+  TAGGED: 'tagged',
+  // Launch permissions were applied: imageId, launchPermissions.
+  LAUNCH_PERMISSIONS_SET: 'launchPermissionsSet',
+  // Backing snapshots were shared and tagged: imageId, snapshots.
+  SNAPSHOTS_SHARED: 'snapshotsShared',
+  // Cloning to the region failed: imageId if known, error.
+  FAILED: 'failed',
+  // Cloning to the region completed: the same properties as the region result.
+  COMPLETED: 'completed',
+  // A clone was deleted by rollback or cleanup: imageId, deregistered,
+  // deletedSnapshotIds.
+  CLONE_DELETED: 'cloneDeleted'
 };
@@ -12,6 +12,9 @@ var _ = require('lodash');
 
 // Local.
 var constants = require('./constants');
+var errors = require('./errors');
+var logger = require('./logger');
+var utilities = require('./utilities');
 
 // --------------------------------------------------------------------------
 // Class definition.
@@ -21,21 +24,110 @@ var constants = require('./constants');
  * @class EC2 utility class.
  *
  * @param {Object} config Configuration object.
+ * @param {AWS.Credentials} [credentials] Credentials for every client, such as
+ *   those of an assumed role. If omitted, the clientOptions option or the
+ *   default credentials are used.
  */
-function Ec2 (config) {
+function Ec2 (config, credentials) {
   this.config = config;
+  this.credentials = credentials;
+  this.logger = logger.wrap(config.logger);
+  // Only throttling and server errors are retried, with exponential backoff
+  // and jitter between attempts.
   this.retryConfig = {
-    times: 3,
-    interval: 100
+    times: config.apiMaxAttempts,
+    interval: function (retryCount) {
+      return utilities.getBackoffDelay(
+        retryCount,
+        config.apiRetryBaseDelayInMilliseconds,
+        2,
+        config.apiRetryMaxDelayInMilliseconds,
+        config.backoffJitterRatio
+      );
+    },
+    errorFilter: Ec2.isRetryableError
   };
+  // The number of retries of requests made with this instance, for the run
+  // report.
+  this.retryCount = 0;
 }
 
+// --------------------------------------------------------------------------
+// Static functions.
+// --------------------------------------------------------------------------
+
+/**
+ * Determine whether an error returned by the AWS API is worth retrying. Only
+ * throttling, server, and transport errors are retried; other errors, such as
+ * InvalidAMIID.NotFound or UnauthorizedOperation, will not go away on retry.
+ * Transport errors, such as NetworkingError, TimeoutError, or UnknownEndpoint,
+ * have no response status code and are flagged as retryable by the AWS SDK.
+ *
+ * @param {Error} error An error returned by an AWS client.
+ * @return {Boolean} True if the request should be retried.
+ */
+Ec2.isRetryableError = function (error) {
+  return (
+    _.includes(constants.throttlingErrorCodes, error.code) ||
+    error.statusCode >= 500 ||
+    (error.retryable === true && !error.statusCode)
+  );
+};
+
 // --------------------------------------------------------------------------
 // Methods.
 // --------------------------------------------------------------------------
 
+/**
+ * Obtain the options for the client of a region: the clientOptions option,
+ * deeply merged with the clientOptions of the region's overrides. The AWS SDK's
+ * own retries are disabled by default, so that the retry policy of request,
+ * given by apiMaxAttempts, is the one in effect. A maxRetries client option
+ * re-enables them, and each attempt by request then makes up to that many
+ * further SDK retries, which are not counted or logged. A profile
+ * option is replaced with the credentials of that profile in the shared
+ * credentials file, and the credentials given to this instance, if any, take
+ * precedence over both.
+ *
+ * @param {String} region The region.
+ * @return {Object} The options for an AWS.EC2 client.
+ */
+Ec2.prototype.getClientOptions = function (region) {
+  var options = _.merge(
+    {
+      maxRetries: 0
+    },
+    // Settings via config. Not recommended for credentials. Otherwise assuming
+    // the setting of credentials via environment variable, credentials file,
+    // role, etc.
+    typeof this.config.clientOptions === 'object' ?
+      this.config.clientOptions :
+      {},
+    _.get(this.config.regionOverrides, [region, 'clientOptions']),
+    {
+      region: region
+    }
+  );
+
+  if (options.profile) {
+    options.credentials = new AWS.SharedIniFileCredentials({
+      profile: options.profile
+    });
+  }
+  delete options.profile;
+
+  if (this.credentials) {
+    options.credentials = this.credentials;
+  }
+
+  return options;
+};
+
 /**
  * Obtain a client.
+ *
+ * @param {String} region The region.
+ * @return {AWS.EC2} The client.
  */
 Ec2.prototype.getClient = function (region) {
   // The AWS.EC2 client will be set here. It is exported for test purposes.
@@ -44,19 +136,210 @@ Ec2.prototype.getClient = function (region) {
   // in which you want to carry out different AWS actions with different
   // configurations in the same process. You can load this module up front and
   // it won't create the client until it is used.
-  if (typeof this.config.clientOptions === 'object') {
-    // Settings via config. Not recommended.
-    return new AWS.EC2(_.extend({}, this.config.clientOptions, {
-      region: region
-    }));
+  return new AWS.EC2(this.getClientOptions(region));
+};
+
+/**
+ * Obtain an Ec2 instance with the same configuration as this one, but which
+ * makes requests with the credentials of an assumed IAM role, such as a role
+ * in another account. The role is assumed using the credentials of this
+ * instance, and the temporary credentials are refreshed as they expire.
+ *
+ * @param {String} roleArn The ARN of the role to assume.
+ * @param {String} [externalId] The external ID required by the role.
+ * @return {Ec2} The Ec2 instance.
+ */
+Ec2.prototype.assumeRole = function (roleArn, externalId) {
+  var params = {
+    RoleArn: roleArn,
+    RoleSessionName: constants.ROLE_SESSION_NAME
+  };
+
+  if (externalId) {
+    params.ExternalId = externalId;
   }
-  else {
-    // Assuming the setting of credentials via environment variable,
-    // credentials file, role, etc.
-    return new AWS.EC2({
-      region: region
-    });
+
+  return new Ec2(this.config, new AWS.ChainableTemporaryCredentials({
+    params: params,
+    // If undefined, the default credentials are used.
+    masterCredentials: this.credentials ||
+      _.get(this.config.clientOptions, 'credentials')
+  }));
+};
+
+/**
+ * Send a request to the AWS API, retrying throttling and server errors. Retries
+ * are counted by the retryCount property.
+ *
+ * Each attempt is logged, at the debug level if it succeeds and the warn level
+ * if it fails, with these fields:
+ *
+ * {
+ *   operation: 'copyImage',
+ *   region: 'eu-west-1',
+ *   // Starting at 1.
+ *   attempt: 1,
+ *   durationInMilliseconds: 250,
+ *   // Undefined if the request was not answered.
+ *   requestId: '',
+ *   // Only present on failure.
+ *   errorCode: 'RequestLimitExceeded',
+ *   statusCode: 503
+ * }
+ *
+ * A failure is yielded as an AwsError, which carries the code, statusCode,
+ * requestId, and retryable properties of the AWS error. See lib/errors.js.
+ *
+ * @param {String} operation The client method, such as 'copyImage'.
+ * @param {String} region The region.
+ * @param {Object} params The request parameters.
+ * @param {Function} callback Of the form function (error, data).
+ */
+Ec2.prototype.request = function (operation, region, params, callback) {
+  var self = this;
+  var client = this.getClient(region);
+  var attempt = 0;
+
+  async.retry(
+    this.retryConfig,
+    function (retryCallback) {
+      var startTime = Date.now();
+      var fields = {
+        operation: operation,
+        region: region,
+        attempt: ++attempt
+      };
+
+      if (attempt > 1) {
+        self.retryCount++;
+      }
+
+      client[operation](params, function (error, data) {
+        // The AWS SDK invokes the callback with the response as this.
+        fields.durationInMilliseconds = Date.now() - startTime;
+        fields.requestId = _.get(this, 'requestId') || _.get(error, 'requestId');
+
+        if (error) {
+          fields.errorCode = error.code;
+          fields.statusCode = error.statusCode;
+          self.logger.warn(fields, 'AWS API call failed');
+        }
+        else {
+          self.logger.debug(fields, 'AWS API call');
+        }
+
+        retryCallback(error, data);
+      });
+    },
+    function (error, data) {
+      if (error) {
+        return callback(new errors.AwsError(operation, region, params, error));
+      }
+
+      callback(null, data);
+    }
+  );
+};
+
+/**
+ * Send a request for every page of a paginated AWS API operation, following
+ * NextToken until there are no more pages. Each page is requested as by
+ * request, so is retried in the same way.
+ *
+ * Unlike the other methods, this does not return a promise if the callback is
+ * omitted, since onPage would be taken for the callback.
+ *
+ * @param {String} operation The client method, such as 'describeInstances'.
+ * @param {String} region The region.
+ * @param {Object} params The request parameters, without NextToken.
+ * @param {Function} onPage Of the form function (data), invoked for each page.
+ * @param {Function} callback Of the form function (error).
+ */
+Ec2.prototype.requestAllPages = function (
+  operation,
+  region,
+  params,
+  onPage,
+  callback
+) {
+  var self = this;
+  var nextToken;
+
+  async.doWhilst(
+    function (asyncCallback) {
+      var pageParams = nextToken ? _.extend({}, params, {
+        NextToken: nextToken
+      }) : params;
+
+      self.request(operation, region, pageParams, function (error, data) {
+        if (error) {
+          return asyncCallback(error);
+        }
+
+        onPage(data);
+        nextToken = data.NextToken;
+        asyncCallback();
+      });
+    },
+    function () {
+      return Boolean(nextToken);
+    },
+    callback
+  );
+};
+
+/**
+ * Obtain the parameters for a copyImage request.
+ *
+ * The options have the form:
+ *
+ * {
+ *   // If true, encrypt the snapshots of the new image.
+ *   encrypted: true,
+ *   // Optional KMS key ID, key ARN, alias name, or alias ARN to encrypt with.
+ *   // If omitted, the default EBS encryption key is used.
+ *   kmsKeyId: 'alias/example',
+ *   // Optional idempotency token of up to 64 ASCII characters. Retries of the
+ *   // request carry the same token, so that AWS starts at most one copy.
+ *   clientToken: 'token'
+ * }
+ *
+ * @param {String} imageId The source image ID.
+ * @param {String} name The name of the new image.
+ * @param {String} description Description to apply to the new image.
+ * @param {String} sourceRegion The source region.
+ * @param {Object} options Copy options.
+ * @return {Object} The request parameters.
+ */
+Ec2.prototype.getCopyImageParams = function (
+  imageId,
+  name,
+  description,
+  sourceRegion,
+  options
+) {
+  var params = {
+    Name: name,
+    SourceImageId: imageId,
+    SourceRegion: sourceRegion,
+    Description: description
+  };
+
+  options = options || {};
+
+  if (options.clientToken) {
+    params.ClientToken = options.clientToken;
+  }
+
+  if (options.encrypted) {
+    params.Encrypted = true;
+
+    if (options.kmsKeyId) {
+      params.KmsKeyId = options.kmsKeyId;
+    }
   }
+
+  return params;
 };
 
 /**
@@ -67,6 +350,7 @@ Ec2.prototype.getClient = function (region) {
  * @param {String} description Description to apply to the new image.
  * @param {String} sourceRegion The source region.
  * @param {String} destinationRegion The destination region.
+ * @param {Object} options Copy options, as for getCopyImageParams.
  * @param {Function} callback Of the form function (error, imageId).
  */
 Ec2.prototype.copyImage = function (
@@ -75,36 +359,24 @@ Ec2.prototype.copyImage = function (
   description,
   sourceRegion,
   destinationRegion,
+  options,
   callback
 ) {
-  var client = this.getClient(destinationRegion);
-  var params = {
-    Name: name,
-    SourceImageId: imageId,
-    SourceRegion: sourceRegion,
-    //ClientToken: 'STRING_VALUE',
-    Description: description,
-    //DryRun: true || false,
-    //Encrypted: true || false,
-    //KmsKeyId: 'STRING_VALUE'
-  };
+  var params = this.getCopyImageParams(
+    imageId,
+    name,
+    description,
+    sourceRegion,
+    options
+  );
 
-  async.retry(
-    this.retryConfig,
-    function (retryCallback) {
-      client.copyImage(params, function (error, data) {
-        if (error) {
-          return retryCallback(new Error(util.format(
-            'Call to copyImage failed: %s',
-            error
-          )));
-        }
+  this.request('copyImage', destinationRegion, params, function (error, data) {
+    if (error) {
+      return callback(error);
+    }
 
-        retryCallback(null, data.ImageId);
-      })
-    },
-    callback
-  );
+    callback(null, data.ImageId);
+  });
 };
 
 /**
@@ -115,38 +387,154 @@ Ec2.prototype.copyImage = function (
  * @param {Function} callback Of the form function (error, image).
  */
 Ec2.prototype.describeImage = function (imageId, region, callback) {
-  var client = this.getClient(region);
   var params = {
     ImageIds: [imageId]
   };
 
-  async.retry(
-    this.retryConfig,
-    function (retryCallback) {
-      client.describeImages(params, retryCallback);
-    },
-    function (error, data) {
-      if (error) {
-        return callback(new Error(util.format(
-          'Call to describeImages failed: %s',
-          error
-        )));
-      }
+  this.request('describeImages', region, params, function (error, data) {
+    if (error) {
+      return callback(error);
+    }
 
-      if (!data.Images.length) {
-        return callback(new Error(util.format(
-          'No image found for image ID %s.',
-          imageId
-        )));
-      }
+    if (!data.Images.length) {
+      return callback(new errors.CloneError(util.format(
+        'No image found for image ID %s.',
+        imageId
+      ), {
+        region: region,
+        imageId: imageId
+      }));
+    }
+
+    callback(null, data.Images[0]);
+  });
+};
+
+/**
+ * Find which of a set of images are in use by instances that are not
+ * terminated, or by the default or latest versions of launch templates. Yields
+ * the usages of each image in use, keyed by image ID:
+ *
+ * {
+ *   'ami-11223344': ['instance', 'launchTemplate'],
+ *   ...
+ * }
+ *
+ * The usages are constants.imageUsages values.
+ *
+ * @param {String[]} imageIds The image IDs.
+ * @param {String} region The region of the images.
+ * @param {Function} callback Of the form function (error, object).
+ */
+Ec2.prototype.findImageUsages = function (imageIds, region, callback) {
+  var self = this;
+  var usages = {};
 
-      callback(null, data.Images[0]);
+  function addUsage (imageId, usage) {
+    if (_.includes(imageIds, imageId)) {
+      usages[imageId] = _.union(usages[imageId], [usage]);
     }
-  );
+  }
+
+  if (!imageIds.length) {
+    return callback(null, usages);
+  }
+
+  async.series([
+    function (asyncCallback) {
+      var params = {
+        Filters: [
+          {
+            Name: 'image-id',
+            Values: imageIds
+          },
+          {
+            Name: 'instance-state-name',
+            Values: constants.inUseInstanceStates
+          }
+        ]
+      };
+
+      self.requestAllPages('describeInstances', region, params, function (data) {
+        _.each(data.Reservations, function (reservation) {
+          _.each(reservation.Instances, function (instance) {
+            addUsage(instance.ImageId, constants.imageUsages.INSTANCE);
+          });
+        });
+      }, asyncCallback);
+    },
+    function (asyncCallback) {
+      var params = {
+        Versions: ['$Default', '$Latest'],
+        Filters: [
+          {
+            Name: 'image-id',
+            Values: imageIds
+          }
+        ]
+      };
+
+      self.requestAllPages(
+        'describeLaunchTemplateVersions',
+        region,
+        params,
+        function (data) {
+          _.each(data.LaunchTemplateVersions, function (version) {
+            addUsage(
+              _.get(version, 'LaunchTemplateData.ImageId'),
+              constants.imageUsages.LAUNCH_TEMPLATE
+            );
+          });
+        },
+        asyncCallback
+      );
+    }
+  ], function (error) {
+    callback(error, usages);
+  });
 };
 
 /**
- * Describe one image attribute.
+ * Deregister an image. This does not delete the snapshots backing it.
+ *
+ * @param {String} imageId The image ID.
+ * @param {String} region The image region.
+ * @param {Function} callback Of the form function (error).
+ */
+Ec2.prototype.deregisterImage = function (imageId, region, callback) {
+  var params = {
+    ImageId: imageId
+  };
+
+  this.request('deregisterImage', region, params, function (error) {
+    callback(error);
+  });
+};
+
+/**
+ * Delete a snapshot.
+ *
+ * @param {String} snapshotId The snapshot ID.
+ * @param {String} region The snapshot region.
+ * @param {Function} callback Of the form function (error).
+ */
+Ec2.prototype.deleteSnapshot = function (snapshotId, region, callback) {
+  var params = {
+    SnapshotId: snapshotId
+  };
+
+  this.request('deleteSnapshot', region, params, function (error) {
+    callback(error);
+  });
+};
+
+/**
+ * Describe one image attribute. Yields the launch permissions for the
+ * launchPermission attribute, and otherwise an object of the form:
+ *
+ * {
+ *   Value: 'uefi'
+ * }
  *
  * @param {String} imageId The image ID.
  * @param {String} region The image region.
@@ -159,42 +547,149 @@ Ec2.prototype.describeImageAttribute = function (
   attribute,
   callback
 ) {
-  var client = this.getClient(region);
   var params = {
     Attribute: attribute,
     ImageId: imageId
   };
 
-  async.retry(
-    this.retryConfig,
-    function (retryCallback) {
-      client.describeImageAttribute(params, retryCallback);
-    },
-    function (error, data) {
-      if (error) {
-        return callback(new Error(util.format(
-          'Call to describeImageAttribute failed: %s',
-          error
-        )));
-      }
+  this.request('describeImageAttribute', region, params, function (error, data) {
+    if (error) {
+      return callback(error);
+    }
 
-      var property = constants.describeImageAttributesProperty[attribute];
+    var property = constants.describeImageAttributesProperty[attribute];
 
-      if (!property) {
-        return callback(new Error(util.format(
-          'Invalid or unsupported attribute for describeImageAttribute: %s',
-          attribute
-        )));
-      }
+    if (!property) {
+      return callback(new Error(util.format(
+        'Invalid or unsupported attribute for describeImageAttribute: %s',
+        attribute
+      )));
+    }
+
+    callback(null, data[property]);
+  });
+};
+
+/**
+ * Set the time at which an image is deprecated. The time is rounded by AWS to
+ * the nearest minute, and cannot be in the past.
+ *
+ * @param {String} imageId The image ID.
+ * @param {String} region The image region.
+ * @param {Date} deprecateAt The deprecation time.
+ * @param {Function} callback Of the form function (error).
+ */
+Ec2.prototype.enableImageDeprecation = function (
+  imageId,
+  region,
+  deprecateAt,
+  callback
+) {
+  var params = {
+    ImageId: imageId,
+    DeprecateAt: deprecateAt
+  };
+
+  this.request('enableImageDeprecation', region, params, function (error) {
+    callback(error);
+  });
+};
+
+/**
+ * Protect an image from being deregistered.
+ *
+ * @param {String} imageId The image ID.
+ * @param {String} region The image region.
+ * @param {Boolean} withCooldown If true, the image remains protected for 24
+ *   hours after protection is disabled.
+ * @param {Function} callback Of the form function (error).
+ */
+Ec2.prototype.enableImageDeregistrationProtection = function (
+  imageId,
+  region,
+  withCooldown,
+  callback
+) {
+  var params = {
+    ImageId: imageId,
+    WithCooldown: withCooldown
+  };
 
-      callback(null, data[property]);
+  this.request(
+    'enableImageDeregistrationProtection',
+    region,
+    params,
+    function (error) {
+      callback(error);
     }
   );
 };
 
+/**
+ * Describe snapshots.
+ *
+ * @param {String[]} snapshotIds The snapshot IDs.
+ * @param {String} region The snapshot region.
+ * @param {Function} callback Of the form function (error, snapshots).
+ */
+Ec2.prototype.describeSnapshots = function (snapshotIds, region, callback) {
+  var params = {
+    SnapshotIds: snapshotIds
+  };
+
+  this.request('describeSnapshots', region, params, function (error, data) {
+    if (error) {
+      return callback(error);
+    }
+
+    callback(null, data.Snapshots);
+  });
+};
 
 /**
- * Find images by matching name, description, and tags.
+ * Send a request as a dry run, to check whether the caller is authorized to
+ * make it without actually carrying it out. Yields a result of the form:
+ *
+ * {
+ *   authorized: false,
+ *   // Only present if not authorized.
+ *   message: 'You are not authorized to perform this operation. ...'
+ * }
+ *
+ * Errors other than a lack of authorization, such as a nonexistent resource,
+ * are yielded as errors.
+ *
+ * @param {String} operation The client method, such as 'copyImage'.
+ * @param {String} region The region.
+ * @param {Object} params The request parameters, without DryRun.
+ * @param {Function} callback Of the form function (error, object).
+ */
+Ec2.prototype.dryRun = function (operation, region, params, callback) {
+  params = _.extend({}, params, {
+    DryRun: true
+  });
+
+  this.request(operation, region, params, function (error) {
+    // A dry run that would have succeeded still responds with an error.
+    if (!error || error.code === 'DryRunOperation') {
+      return callback(null, {
+        authorized: true
+      });
+    }
+
+    if (error.code === 'UnauthorizedOperation') {
+      return callback(null, {
+        authorized: false,
+        message: error.message
+      });
+    }
+
+    callback(error);
+  });
+};
+
+/**
+ * Find images owned by this account by matching name, description, and tags.
  *
  * Tags has the form:
  *
@@ -219,43 +714,85 @@ Ec2.prototype.findImages = function (
   region,
   callback
 ) {
-  var client = this.getClient(region);
+  this.findImagesByFilter(
+    {
+      name: name,
+      description: description,
+      tags: tags
+    },
+    region,
+    callback
+  );
+};
+
+/**
+ * Find images that match a filter of the form:
+ *
+ * {
+ *   // Values may contain the * and ? wildcards.
+ *   name: 'app-*',
+ *   description: 'description',
+ *   tags: [
+ *     {
+ *       Key: 'release',
+ *       Value: '2026.10'
+ *     },
+ *     ...
+ *   ],
+ *   // Account IDs, or self, amazon, or aws-marketplace. Defaults to self.
+ *   owners: ['self'],
+ *   // Image states, such as available.
+ *   states: ['available']
+ * }
+ *
+ * All properties are optional, and those omitted do not restrict the images
+ * found.
+ *
+ * @param {Object} filter The filter.
+ * @param {String} region The image region.
+ * @param {Function} callback Of the form function (error, object[]).
+ */
+Ec2.prototype.findImagesByFilter = function (filter, region, callback) {
   var params = {
-    Filters: [
-      {
-        Name: 'description',
-        Values: [description]
-      },
-      {
-        Name: 'name',
-        Values: [name]
-      }
-    ]
+    Owners: filter.owners || ['self'],
+    Filters: []
   };
 
-  _.each(tags, function (tag) {
+  if (filter.description !== undefined) {
+    params.Filters.push({
+      Name: 'description',
+      Values: [filter.description]
+    });
+  }
+
+  if (filter.name !== undefined) {
+    params.Filters.push({
+      Name: 'name',
+      Values: [filter.name]
+    });
+  }
+
+  if (filter.states) {
+    params.Filters.push({
+      Name: 'state',
+      Values: filter.states
+    });
+  }
+
+  _.each(filter.tags, function (tag) {
     params.Filters.push({
       Name: 'tag:' + tag.Key,
       Values: [tag.Value]
     });
   });
 
-  async.retry(
-    this.retryConfig,
-    function (retryCallback) {
-      client.describeImages(params, retryCallback);
-    },
-    function (error, data) {
-      if (error) {
-        return callback(new Error(util.format(
-          'Call to describeImages failed: %s',
-          error
-        )));
-      }
-
-      callback(null, data.Images);
+  this.request('describeImages', region, params, function (error, data) {
+    if (error) {
+      return callback(error);
     }
-  );
+
+    callback(null, data.Images);
+  });
 };
 
 /**
@@ -281,6 +818,12 @@ Ec2.prototype.findImages = function (
  *   ]
  * }
  *
+ * For the description and imdsSupport attributes it is:
+ *
+ * {
+ *   Value: 'v2.0'
+ * }
+ *
  * @param {String} imageId The image ID.
  * @param {String} region The image region.
  * @param {String} attribute The attribute to modify.
@@ -294,7 +837,6 @@ Ec2.prototype.modifyImageAttribute = function (
   value,
   callback
 ) {
-  var client = this.getClient(region);
   var params = {
     Attribute: attribute,
     ImageId: imageId
@@ -310,22 +852,57 @@ Ec2.prototype.modifyImageAttribute = function (
 
   params[property] = value;
 
-  async.retry(
-    this.retryConfig,
-    function (retryCallback) {
-      client.modifyImageAttribute(params, retryCallback);
-    },
-    function (error, data) {
-      if (error) {
-        return callback(new Error(util.format(
-          'Call to modifyImageAttribute failed: %s',
-          error
-        )));
-      }
+  this.request('modifyImageAttribute', region, params, function (error) {
+    callback(error);
+  });
+};
 
-      callback();
-    }
-  );
+/**
+ * Modify one snapshot attribute.
+ *
+ * For the createVolumePermission attribute the value has the form:
+ *
+ * {
+ *   Add: [
+ *     {
+ *       UserId: '111222333444',
+ *       Group: 'all'
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * @param {String} snapshotId The snapshot ID.
+ * @param {String} region The snapshot region.
+ * @param {String} attribute The attribute to modify.
+ * @param {Mixed} value The update to apply to the attribute.
+ * @param {Function} callback Of the form function (error).
+ */
+Ec2.prototype.modifySnapshotAttribute = function (
+  snapshotId,
+  region,
+  attribute,
+  value,
+  callback
+) {
+  var params = {
+    Attribute: attribute,
+    SnapshotId: snapshotId
+  };
+  var property = constants.modifySnapshotAttributesProperty[attribute];
+
+  if (!property) {
+    return callback(new Error(util.format(
+      'Invalid or unsupported attribute for modifySnapshotAttribute: %s',
+      attribute
+    )));
+  }
+
+  params[property] = value;
+
+  this.request('modifySnapshotAttribute', region, params, function (error) {
+    callback(error);
+  });
 };
 
 /**
@@ -352,30 +929,54 @@ Ec2.prototype.tagImage = function (
   tags,
   callback
 ) {
-  var client = this.getClient(region);
   var params = {
     Resources: [imageId],
     Tags: tags
   };
 
-  async.retry(
-    this.retryConfig,
-    function (retryCallback) {
-      client.createTags(params, function (error) {
-        if (error) {
-          return retryCallback(new Error(util.format(
-            'Call to createTags failed: %s',
-            error
-          )));
-        }
+  this.request('createTags', region, params, function (error) {
+    callback(error);
+  });
+};
 
-        retryCallback();
-      })
-    },
-    callback
-  );
+/**
+ * Tag a snapshot.
+ *
+ * @param {String} snapshotId The snapshot ID.
+ * @param {String} region The region.
+ * @param {Object[]} tags Tags in the form expected by tagImage.
+ * @param {Function} callback Of the form function (error).
+ */
+Ec2.prototype.tagSnapshot = function (
+  snapshotId,
+  region,
+  tags,
+  callback
+) {
+  this.tagImage(snapshotId, region, tags, callback);
 };
 
+// Methods that return a promise when invoked without a callback.
+utilities.allowPromises(Ec2.prototype, [
+  'copyImage',
+  'deleteSnapshot',
+  'deregisterImage',
+  'describeImage',
+  'describeImageAttribute',
+  'describeSnapshots',
+  'dryRun',
+  'enableImageDeprecation',
+  'enableImageDeregistrationProtection',
+  'findImageUsages',
+  'findImages',
+  'findImagesByFilter',
+  'modifyImageAttribute',
+  'modifySnapshotAttribute',
+  'request',
+  'tagImage',
+  'tagSnapshot'
+]);
+
 // --------------------------------------------------------------------------
 // Exports constructor.
 // --------------------------------------------------------------------------
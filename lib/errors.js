@@ -0,0 +1,124 @@
+/**
+ * @fileOverview Error classes for the failures of cloning.
+ *
+ * Errors yielded in results have a toJSON method, so that results can be
+ * serialized with JSON.stringify without the errors becoming {}. The code
+ * property, where set, is one of the constants.errorCodes values or the code
+ * of an AWS error.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+/**
+ * @class An error with properties that describe the failure, such as:
+ *
+ * {
+ *   code: 'CopyTimedOut',
+ *   region: 'eu-west-1',
+ *   imageId: 'ami-11223344',
+ *   // Set for a failure of cloning to a region. One of the
+ *   // constants.regionSteps values.
+ *   step: 'await'
+ * }
+ *
+ * @param {String} message The message.
+ * @param {Object} [properties] Properties to set on the error.
+ */
+function CloneError (message, properties) {
+  Error.call(this);
+  this.message = message;
+  Error.captureStackTrace(this, this.constructor);
+  _.extend(this, properties);
+}
+
+util.inherits(CloneError, Error);
+
+CloneError.prototype.name = 'CloneError';
+
+/**
+ * Obtain a form of the error that can be serialized as JSON, containing the
+ * name, message, and the properties that are set.
+ *
+ * @return {Object} The serializable error.
+ */
+CloneError.prototype.toJSON = function () {
+  return _.omitBy(_.assign({
+    name: this.name,
+    message: this.message
+  }, this), _.isUndefined);
+};
+
+/**
+ * @class A failed AWS API request, carrying the details of the AWS error:
+ *
+ * {
+ *   code: 'InvalidAMIID.NotFound',
+ *   statusCode: 400,
+ *   // Undefined if the request was not answered.
+ *   requestId: '',
+ *   retryable: false,
+ *   operation: 'describeImages',
+ *   region: 'eu-west-1',
+ *   // Undefined unless the request concerned a single image.
+ *   imageId: 'ami-11223344'
+ * }
+ *
+ * @param {String} operation The client method, such as 'copyImage'.
+ * @param {String} region The region.
+ * @param {Object} params The request parameters.
+ * @param {Error} awsError The error yielded by the AWS SDK.
+ */
+function AwsError (operation, region, params, awsError) {
+  CloneError.call(this, util.format(
+    'Call to %s failed: %s',
+    operation,
+    String(awsError)
+  ), {
+    code: awsError.code,
+    statusCode: awsError.statusCode,
+    requestId: awsError.requestId,
+    retryable: awsError.retryable,
+    operation: operation,
+    region: region,
+    imageId: params.ImageId || params.SourceImageId ||
+      (_.size(params.ImageIds) === 1 ? params.ImageIds[0] : undefined)
+  });
+}
+
+util.inherits(AwsError, CloneError);
+
+AwsError.prototype.name = 'AwsError';
+
+/**
+ * Convert an error to a CloneError if it is not one already, keeping its
+ * message, stack, and code, and set any of the given properties that the error
+ * does not already have.
+ *
+ * @param {Error} error The error.
+ * @param {Object} [properties] Properties to set on the error.
+ * @return {CloneError} The error.
+ */
+function fromError (error, properties) {
+  var cloneError = error;
+
+  if (!(error instanceof CloneError)) {
+    cloneError = new CloneError(error.message, {
+      code: error.code
+    });
+    cloneError.stack = error.stack;
+  }
+
+  return _.defaults(cloneError, properties);
+}
+
+// --------------------------------------------------------------------------
+// Exports.
+// --------------------------------------------------------------------------
+
+exports.AwsError = AwsError;
+exports.CloneError = CloneError;
+exports.fromError = fromError;
@@ -0,0 +1,99 @@
+/**
+ * @fileOverview A state store that persists cloning state as a JSON file.
+ */
+
+// Core.
+var fs = require('fs');
+var util = require('util');
+
+/**
+ * @class The FileStateStore class.
+ *
+ * A state store records the progress of cloning so that an interrupted run can
+ * be resumed. Any object with the same load and save methods can be used in
+ * place of this class by assigning it to ImageCloner.stateStore.
+ *
+ * @param {String} filePath Path to the state file.
+ */
+function FileStateStore (filePath) {
+  this.filePath = filePath;
+}
+
+// -------------------------------------------------------------------------
+// Methods.
+// -------------------------------------------------------------------------
+
+/**
+ * Load the saved state. Yields undefined if there is no saved state.
+ *
+ * @param {Function} callback Of the form function (error, state).
+ */
+FileStateStore.prototype.load = function (callback) {
+  var self = this;
+
+  fs.readFile(this.filePath, 'utf8', function (error, contents) {
+    var state;
+
+    if (error) {
+      if (error.code === 'ENOENT') {
+        return callback();
+      }
+
+      return callback(new Error(util.format(
+        'Failed to read state file %s: %s',
+        self.filePath,
+        error.message
+      )));
+    }
+
+    try {
+      state = JSON.parse(contents);
+    }
+    catch (e) {
+      return callback(new Error(util.format(
+        'Failed to parse state file %s: %s',
+        self.filePath,
+        e.message
+      )));
+    }
+
+    callback(null, state);
+  });
+};
+
+/**
+ * Save the state, replacing any previously saved state.
+ *
+ * The state is written to a temporary file that is then renamed, so that the
+ * state file is never left partially written if the process dies.
+ *
+ * @param {Object} state The state.
+ * @param {Function} callback Of the form function (error).
+ */
+FileStateStore.prototype.save = function (state, callback) {
+  var self = this;
+  var temporaryFilePath = this.filePath + '.tmp';
+
+  fs.writeFile(
+    temporaryFilePath,
+    JSON.stringify(state, null, '  '),
+    'utf8',
+    function (error) {
+      if (error) {
+        return callback(new Error(util.format(
+          'Failed to write state file %s: %s',
+          self.filePath,
+          error.message
+        )));
+      }
+
+      fs.rename(temporaryFilePath, self.filePath, callback);
+    }
+  );
+};
+
+// --------------------------------------------------------------------------
+// Exports constructor.
+// --------------------------------------------------------------------------
+
+module.exports = FileStateStore;
@@ -2,6 +2,11 @@
  * @fileOverview Class definition for the ImageCloner.
  */
 
+// Core.
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
 // NPM.
 var async = require('async');
 var _ = require('lodash');
@@ -10,27 +15,210 @@ var _ = require('lodash');
 var ConfigValidator = require('./configValidator');
 var constants = require('./constants');
 var Ec2 = require('./ec2');
+var errors = require('./errors');
+var FileStateStore = require('./fileStateStore');
+var logger = require('./logger');
+var runReport = require('./runReport');
+var template = require('./template');
+var utilities = require('./utilities');
+
+// The step of cloning to a region that each task of cloneImageToRegion
+// performs.
+var TASK_STEPS = {
+  findExistingImage: constants.regionSteps.FIND_EXISTING,
+  copyImage: constants.regionSteps.COPY,
+  awaitCompletion: constants.regionSteps.AWAIT,
+  tagImage: constants.regionSteps.TAG,
+  setLaunchPermissions: constants.regionSteps.PERMISSIONS,
+  copyAttributes: constants.regionSteps.ATTRIBUTES,
+  shareSnapshots: constants.regionSteps.SNAPSHOTS,
+  verify: constants.regionSteps.VERIFY
+};
 
 /**
  * @class The ImageCloner class.
  *
- * This runs the copy of an AMI to one or more other regions.
+ * This runs the copy of an AMI to one or more other regions. It emits the
+ * events listed in constants.events as cloning progresses.
  *
  * @param {Object} config Configuration object.
  */
 function ImageCloner (config) {
+  EventEmitter.call(this);
+
+  var self = this;
+
   this.config = this.fillConfigurationDefaults(config);
   this.configValidator = new ConfigValidator();
+  this.logger = logger.wrap(this.config.logger);
   this.ec2 = new Ec2(this.config);
+  // The EC2 utilities for the account that owns the source image. These differ
+  // from ec2 only for the image cloners created for each of several
+  // destination accounts, whose ec2 uses a role assumed in that account.
+  this.sourceEc2 = this.ec2;
+  // The account cloned to, if set by the destinationAccounts option.
+  this.destinationAccountId = undefined;
+  // Every account of the destinationAccounts option. The source image is
+  // shared with each so that it can be copied there, so their permissions to
+  // the source image are not copied to clones.
+  this.sharedAccountIds = [];
+
+  // The ID of the source image, either as given by the sourceImageId option or
+  // as selected by the sourceImageFilter option when cloning starts.
+  this.sourceImageId = this.config.sourceImageId;
+
+  // Records progress so that an interrupted run can be resumed. This can be
+  // replaced with any object that has the load and save methods of
+  // FileStateStore.
+  this.stateStore = this.config.stateFile ?
+    new FileStateStore(this.config.stateFile) :
+    undefined;
+  // The state of the current run, if there is a state store.
+  this.state = undefined;
+  // The details of the latest run for its report, as described for
+  // runReport.createReport. See getReport.
+  this.runDetails = undefined;
+  // The image cloners for each of several source images or destination
+  // accounts in the latest run, keyed by source image ID or account ID.
+  this.childImageCloners = undefined;
+  // Limits the number of destination regions cloned to at once. This is shared
+  // with the image cloners created for each of several source images or
+  // destination accounts, so that the limit applies across all of them.
+  this.copyQueue = async.queue(function (task, queueCallback) {
+    task(queueCallback);
+  }, this.config.maxConcurrentCopies || Infinity);
+  // Regions are cloned concurrently, so saves are queued to ensure that only
+  // one is in progress at a time. Saves requested while one is in progress are
+  // satisfied by a single later save of the then current state.
+  this.stateSaveCargo = async.cargo(function (tasks, cargoCallback) {
+    self.stateStore.save(self.state, cargoCallback);
+  });
 }
 
+util.inherits(ImageCloner, EventEmitter);
+
 // -------------------------------------------------------------------------
 // Methods.
 // -------------------------------------------------------------------------
 
+/**
+ * Emit a progress event for a destination region. The event is also logged,
+ * at the warn level for failures and the info level otherwise.
+ *
+ * @param {String} eventName One of the constants.events values.
+ * @param {String} region The destination region.
+ * @param {Object} data Event-specific properties.
+ */
+ImageCloner.prototype.emitEvent = function (eventName, region, data) {
+  var event = _.extend({
+    event: eventName,
+    region: region,
+    sourceImageId: this.sourceImageId,
+    timestamp: new Date().toISOString()
+  }, this.destinationAccountId ? {
+    accountId: this.destinationAccountId
+  } : {}, data);
+
+  this.logger[
+    eventName === constants.events.FAILED ?
+      constants.logLevels.WARN :
+      constants.logLevels.INFO
+  ](event, eventName);
+  this.emit(eventName, event);
+};
+
+/**
+ * Obtain the saved state for a destination region, which has the form:
+ *
+ * {
+ *   // The last step finished, one of the constants.cloneSteps values.
+ *   step: 'copyStarted',
+ *   imageId: 'ami-11223344',
+ *   reused: false,
+ *   // When the copy started, or the existing image was found.
+ *   copyStartedAt: '2026-10-01T10:00:00.000Z',
+ *   // Present once image attributes are copied. See replicateImageAttributes.
+ *   attributeReport: {},
+ *   // Present once snapshots are shared.
+ *   snapshots: [],
+ *   // Present once the clone is verified. See verifyClone.
+ *   differences: [],
+ *   // Present once the region is complete.
+ *   result: {}
+ * }
+ *
+ * An empty object is returned if there is no state for the region.
+ *
+ * @param {String} region The destination region.
+ * @return {Object} The region state.
+ */
+ImageCloner.prototype.getRegionState = function (region) {
+  return _.get(this.state, ['regions', region], {});
+};
+
+/**
+ * Determine whether a step was already finished for a destination region,
+ * either in this run or in the earlier run being resumed.
+ *
+ * @param {String} region The destination region.
+ * @param {String} step One of the constants.cloneSteps values.
+ * @return {Boolean} True if the step is finished.
+ */
+ImageCloner.prototype.isStepFinished = function (region, step) {
+  var steps = _.values(constants.cloneSteps);
+  var lastStep = this.getRegionState(region).step;
+
+  return _.includes(steps, lastStep) &&
+    _.indexOf(steps, lastStep) >= _.indexOf(steps, step);
+};
+
+/**
+ * Record a finished step for a destination region and save the state. Does
+ * nothing if there is no state store.
+ *
+ * @param {String} region The destination region.
+ * @param {String} step One of the constants.cloneSteps values.
+ * @param {Object} data Properties to add to the region state.
+ * @param {Function} callback Of the form function (error).
+ */
+ImageCloner.prototype.recordStep = function (region, step, data, callback) {
+  if (!this.state) {
+    return callback();
+  }
+
+  this.state.regions[region] = _.extend(
+    {},
+    this.getRegionState(region),
+    data,
+    {
+      step: step
+    }
+  );
+
+  this.saveState(callback);
+};
+
+/**
+ * Save the state of the current run to the state store.
+ *
+ * @param {Function} callback Of the form function (error).
+ */
+ImageCloner.prototype.saveState = function (callback) {
+  this.stateSaveCargo.push({}, function (error) {
+    callback(error);
+  });
+};
+
 /**
  * Wait for an image copy to complete. Expect this to take a few minutes.
  *
+ * Yields an error if the copy does not complete within the maximum wait for the
+ * region, or if it reaches a state other than pending or available. These
+ * errors are CloneErrors with a code property set to one of the
+ * constants.errorCodes values. A failed copy error also has the image state
+ * and the state reason provided by AWS, if any, as its state and stateReason
+ * properties.
+ *
  * @param {String} imageId The image ID.
  * @param {String} region The region.
  * @param {Function} callback callback Of the form function (error).
@@ -42,215 +230,2995 @@ ImageCloner.prototype.awaitImageCopyCompletion = function (
 ) {
   var self = this;
   var imageState;
+  var startTime = Date.now();
+  var maxWaitInSeconds = this.getMaxCopyWaitInSeconds(region);
+  var progressCheckCount = 0;
 
   async.doUntil(
     function (asyncCallback) {
       setTimeout(function () {
         self.ec2.describeImage(imageId, region, function (error, image) {
+          var elapsedInSeconds = (Date.now() - startTime) / 1000;
+          var stateReason;
+
           if (error) {
             return asyncCallback(error);
           }
 
           imageState = image.State;
+          self.emitEvent(constants.events.PROGRESS_CHECK, region, {
+            imageId: imageId,
+            state: imageState,
+            elapsedInSeconds: Math.round(elapsedInSeconds)
+          });
+
+          if (imageState === constants.imageStates.AVAILABLE) {
+            return asyncCallback();
+          }
+
+          if (!_.includes(constants.inProgressImageStates, imageState)) {
+            stateReason = image.StateReason || {};
+            return asyncCallback(new errors.CloneError(util.format(
+              'Copy of image %s in %s failed with state %s: %s',
+              imageId,
+              region,
+              imageState,
+              stateReason.Message || 'no reason given'
+            ), {
+              code: constants.errorCodes.COPY_FAILED,
+              region: region,
+              imageId: imageId,
+              state: imageState,
+              stateReason: image.StateReason
+            }));
+          }
+
+          if (elapsedInSeconds >= maxWaitInSeconds) {
+            return asyncCallback(new errors.CloneError(util.format(
+              'Copy of image %s in %s did not complete within %s seconds',
+              imageId,
+              region,
+              maxWaitInSeconds
+            ), {
+              code: constants.errorCodes.COPY_TIMED_OUT,
+              region: region,
+              imageId: imageId
+            }));
+          }
+
           asyncCallback();
         });
-      }, self.config.progressCheckIntervalInSeconds * 1000);
+      }, self.getProgressCheckDelayInSeconds(++progressCheckCount) * 1000);
     },
 
     // Test function. Loops until this returns true or the async function above
     // errors.
     function () {
-      return imageState && imageState !== 'pending';
+      return imageState === constants.imageStates.AVAILABLE;
     },
 
     callback
   );
-}
+};
 
 /**
- * Clone an image to one destination region. Yields the ID of the cloned image.
+ * Obtain the delay before a check on the progress of an image copy. The delay
+ * starts at the progress check interval and backs off exponentially, with
+ * jitter, so that copies to many regions do not cause throttling.
  *
- * @param {Object} image The image data.
- * @param {Object[]} launchPermissions The image launch permissions.
+ * @param {Number} progressCheckCount The progress check count, starting at 1.
+ * @return {Number} The delay in seconds.
+ */
+ImageCloner.prototype.getProgressCheckDelayInSeconds = function (
+  progressCheckCount
+) {
+  return utilities.getBackoffDelay(
+    progressCheckCount,
+    this.config.progressCheckIntervalInSeconds,
+    this.config.progressCheckBackoffMultiplier,
+    Math.max(
+      this.config.progressCheckIntervalInSeconds,
+      this.config.progressCheckMaxIntervalInSeconds
+    ),
+    this.config.backoffJitterRatio
+  );
+};
+
+/**
+ * Obtain the launch permissions for a clone in a destination region: those of
+ * the source image merged with any additional launch permissions configured
+ * globally and for the region. Duplicates are removed, as is any permission
+ * for the destination account, which owns the clone. Source image permissions
+ * for the accounts the source image is shared with by cloning, given by
+ * sharedAccountIds, are not copied.
+ *
+ * @param {Object[]} sourceLaunchPermissions The source image launch permissions.
+ * @param {String} destinationRegion The destination region.
+ * @return {Object[]} The launch permissions.
+ */
+ImageCloner.prototype.getLaunchPermissions = function (
+  sourceLaunchPermissions,
+  destinationRegion
+) {
+  var sharedAccountIds = this.sharedAccountIds;
+  var launchPermissions = _.reject(sourceLaunchPermissions, function (permission) {
+    return _.includes(sharedAccountIds, permission.UserId);
+  });
+  var additions = [
+    this.config.additionalLaunchPermissions,
+    _.get(this.config.regionOverrides, [
+      destinationRegion,
+      'additionalLaunchPermissions'
+    ])
+  ];
+
+  _.each(_.compact(additions), function (addition) {
+    _.each(addition.userIds, function (userId) {
+      launchPermissions.push({
+        UserId: userId
+      });
+    });
+    _.each(addition.organizationArns, function (organizationArn) {
+      launchPermissions.push({
+        OrganizationArn: organizationArn
+      });
+    });
+    _.each(addition.organizationalUnitArns, function (organizationalUnitArn) {
+      launchPermissions.push({
+        OrganizationalUnitArn: organizationalUnitArn
+      });
+    });
+    if (addition.public) {
+      launchPermissions.push({
+        Group: 'all'
+      });
+    }
+  });
+
+  launchPermissions = _.uniqWith(launchPermissions, _.isEqual);
+
+  if (!this.destinationAccountId) {
+    return launchPermissions;
+  }
+
+  return _.reject(launchPermissions, {
+    UserId: this.destinationAccountId
+  });
+};
+
+/**
+ * Obtain the values of the template variables listed in
+ * constants.templateVariables for a clone in a destination region, along with
+ * the tags of the source image as tag:Key variables.
+ *
+ * @param {Object} image The source image data.
  * @param {String} sourceRegion The source image region.
  * @param {String} destinationRegion The destination region.
- * @param {Function} callback Of the form function (error, imageId).
+ * @param {String} timestamp When the copy started, as an ISO 8601 string.
+ * @return {Object} Variable values keyed by name.
  */
-ImageCloner.prototype.cloneImageToRegion = function (
+ImageCloner.prototype.getTemplateValues = function (
   image,
-  launchPermissions,
   sourceRegion,
   destinationRegion,
-  callback
+  timestamp
 ) {
-  var self = this;
-  var clonedImageId;
+  var values = {
+    destinationRegion: destinationRegion,
+    sourceImageId: image.ImageId,
+    sourceRegion: sourceRegion,
+    timestamp: timestamp,
+    date: timestamp.slice(0, 10),
+    sourceName: image.Name,
+    sourceDescription: image.Description || ''
+  };
 
-  async.series({
-    copyImage: function (asyncCallback) {
-      self.ec2.copyImage(
-        image.ImageId,
-        image.Name,
-        image.Description,
-        sourceRegion,
-        destinationRegion,
-        function (error, imageId) {
-          clonedImageId = imageId;
-          asyncCallback(error);
-        }
-      );
-    },
+  _.each(image.Tags, function (tag) {
+    values[constants.tagTemplateVariablePrefix + tag.Key] = tag.Value;
+  });
 
-    awaitCompletion: function (asyncCallback) {
-      self.awaitImageCopyCompletion(
-        clonedImageId,
-        destinationRegion,
-        asyncCallback
-      );
-    },
+  return values;
+};
 
-    tagImage: function (asyncCallback) {
-      self.ec2.tagImage(
-        clonedImageId,
-        destinationRegion,
-        image.Tags,
-        asyncCallback
-      );
-    },
+/**
+ * Obtain the name and description of a clone in a destination region. These
+ * are rendered from the region or global nameTemplate and descriptionTemplate
+ * options, falling back to the name and description of the source image.
+ *
+ * @param {Object} image The source image data.
+ * @param {String} sourceRegion The source image region.
+ * @param {String} destinationRegion The destination region.
+ * @param {String} timestamp When the copy started, as an ISO 8601 string.
+ * @return {Object} Of the form { name: 'name', description: 'description' }.
+ */
+ImageCloner.prototype.getNameAndDescription = function (
+  image,
+  sourceRegion,
+  destinationRegion,
+  timestamp
+) {
+  var overrides = _.get(this.config.regionOverrides, destinationRegion, {});
+  var nameTemplate = _.find(
+    [overrides.nameTemplate, this.config.nameTemplate],
+    _.isString
+  );
+  var descriptionTemplate = _.find(
+    [overrides.descriptionTemplate, this.config.descriptionTemplate],
+    _.isString
+  );
+  var values = this.getTemplateValues(
+    image,
+    sourceRegion,
+    destinationRegion,
+    timestamp
+  );
 
-    setLaunchPermissions: function (asyncCallback) {
-      self.ec2.modifyImageAttribute(
-        clonedImageId,
-        destinationRegion,
-        constants.imageAttributes.LAUNCH_PERMISSION,
-        {
-          Add: launchPermissions
-        },
-        asyncCallback
-      );
+  return {
+    name: nameTemplate === undefined ?
+      image.Name :
+      template.render(nameTemplate, values, ''),
+    description: descriptionTemplate === undefined ?
+      image.Description :
+      template.render(descriptionTemplate, values, '')
+  };
+};
+
+/**
+ * Obtain the tags to apply to a clone in a destination region. These are the
+ * tags of the source image, less any named by the global or region removeTags
+ * options, with the global and then region tags options added or overriding.
+ * Tag values from the options are rendered as templates with the values given
+ * by getTemplateValues.
+ *
+ * Tags with the reserved aws: prefix are always omitted, as they cannot be
+ * created.
+ *
+ * @param {Object} image The source image data.
+ * @param {String} sourceRegion The source image region.
+ * @param {String} destinationRegion The destination region.
+ * @param {String} timestamp When the copy started, as an ISO 8601 string.
+ * @return {Object[]} Tags in the form expected by Ec2.tagImage.
+ */
+ImageCloner.prototype.getTags = function (
+  image,
+  sourceRegion,
+  destinationRegion,
+  timestamp
+) {
+  var overrides = _.get(this.config.regionOverrides, destinationRegion, {});
+  var removeTags = _.union(this.config.removeTags, overrides.removeTags);
+  var values = this.getTemplateValues(
+    image,
+    sourceRegion,
+    destinationRegion,
+    timestamp
+  );
+  var tags = _.reject(image.Tags, function (tag) {
+    return _.includes(removeTags, tag.Key);
+  });
+
+  _.each(_.extend({}, this.config.tags, overrides.tags), function (value, key) {
+    var tag = {
+      Key: key,
+      Value: template.render(value, values, '')
+    };
+    var index = _.findIndex(tags, {
+      Key: key
+    });
+
+    if (index === -1) {
+      tags.push(tag);
     }
-  }, function (error) {
-    if (error) {
-      return callback(error);
+    else {
+      tags[index] = tag;
     }
+  });
 
-    callback(null, clonedImageId);
+  return _.reject(tags, function (tag) {
+    return /^aws:/.test(tag.Key);
   });
 };
 
 /**
- * Clone the image. Yields the new image IDs by region cloned to:
+ * Obtain the maximum time to wait for an image copy to complete in a region.
  *
- * {
- *   'eu-west-1': 'ami-11223344',
- *   ...
- * }
+ * @param {String} region The region.
+ * @return {Number} The maximum wait in seconds.
+ */
+ImageCloner.prototype.getMaxCopyWaitInSeconds = function (region) {
+  var overrides = _.get(this.config.regionOverrides, region, {});
+
+  if (typeof overrides.maxCopyWaitInSeconds === 'number') {
+    return overrides.maxCopyWaitInSeconds;
+  }
+
+  return this.config.maxCopyWaitInSeconds;
+};
+
+/**
+ * Select the source image using the sourceImageFilter option. Only available
+ * images in the source region are considered.
  *
- * @param {Object} config Configuration object.
- * @param {Function} callback Of the form function (error, object).
+ * Yields an error with a code property of SourceImageNotFound if no image
+ * matches, or SourceImageAmbiguous if several match and the mostRecent option
+ * of the filter is not set. Otherwise yields the matching image, or the one
+ * with the latest creation date.
+ *
+ * @param {Function} callback Of the form function (error, image).
  */
-ImageCloner.prototype.cloneImage = function (callback) {
-  var self = this;
-  var sourceImage;
-  var sourceImageLaunchPermissions;
-  var firstCloneImageError;
-  var results = _.chain(
-    self.config.destinationRegions
-  ).keyBy(function (region) {
-    return region;
-  }).mapValues(function (item) {
-    return {
-      error: new Error('Cloning not attempted'),
-      imageId: undefined,
-      success: false,
-    };
-  }).value();
+ImageCloner.prototype.selectSourceImage = function (callback) {
+  var filter = this.config.sourceImageFilter;
+  var region = this.config.sourceRegion;
 
-  async.series({
-    // Validate the configuration we've been provided.
-    validateConfig: function (asyncCallback) {
-      var errors = self.configValidator.validate(self.config);
-      if (errors.length) {
-        asyncCallback(new Error(JSON.stringify(errors)));
+  this.sourceEc2.findImagesByFilter(
+    {
+      name: filter.name,
+      description: filter.description,
+      tags: _.map(filter.tags, function (value, key) {
+        return {
+          Key: key,
+          Value: value
+        };
+      }),
+      owners: filter.owners,
+      states: [constants.imageStates.AVAILABLE]
+    },
+    region,
+    function (error, images) {
+      if (error) {
+        return callback(error);
       }
-      else {
-        asyncCallback();
+
+      if (!_.size(images)) {
+        return callback(new errors.CloneError(util.format(
+          'No available image in %s matches the source image filter: %s',
+          region,
+          JSON.stringify(filter)
+        ), {
+          code: constants.errorCodes.SOURCE_IMAGE_NOT_FOUND,
+          region: region
+        }));
       }
-    },
 
-    // Obtain the source image data.
-    getImage: function (asyncCallback) {
-      self.ec2.describeImage(
-        self.config.sourceImageId,
-        self.config.sourceRegion,
-        function (error, image) {
-          sourceImage = image;
-          asyncCallback(error);
-        }
-      );
-    },
-    // Obtain the source image launch permissions.
-    getImageLaunchPermissions: function (asyncCallback) {
-      self.ec2.describeImageAttribute(
-        self.config.sourceImageId,
-        self.config.sourceRegion,
-        constants.imageAttributes.LAUNCH_PERMISSION,
-        function (error, launchPermissions) {
-          sourceImageLaunchPermissions = launchPermissions;
-          asyncCallback(error);
-        }
-      );
-    },
+      if (images.length > 1 && !filter.mostRecent) {
+        return callback(new errors.CloneError(util.format(
+          '%s images in %s match the source image filter, but exactly one ' +
+          'is expected. Set mostRecent to select the newest. Matches: %s',
+          images.length,
+          region,
+          _.map(images, 'ImageId').join(', ')
+        ), {
+          code: constants.errorCodes.SOURCE_IMAGE_AMBIGUOUS,
+          region: region
+        }));
+      }
 
-    cloneImageToRegions: function (asyncCallback) {
-      async.each(
-        self.config.destinationRegions,
-        function (destinationRegion, innerAsyncCallback) {
-          self.cloneImageToRegion(
-            sourceImage,
-            sourceImageLaunchPermissions,
-            self.config.sourceRegion,
-            destinationRegion,
-            // Don't fail immediately, let all run through, building up a
-            // report.
-            function (error, clonedImageId) {
-              if (error) {
-                firstCloneImageError = firstCloneImageError || error;
-                results[destinationRegion].error = error;
-                return innerAsyncCallback();
-              }
+      callback(null, _.last(_.sortBy(images, 'CreationDate')));
+    }
+  );
+};
 
-              results[destinationRegion] = {
-                success: true,
-                imageId: clonedImageId
-              };
-              asyncCallback();
-            }
-          );
+/**
+ * Look for an existing clone of the image in the destination region, such as
+ * one left behind by an earlier run that failed partway through.
+ *
+ * Only the name and description are matched. Tags are not applied to a clone
+ * until its copy completes, so a pending clone or one from a run that failed
+ * before tagging would not match on tags.
+ *
+ * Yields the first matching image that is either available or in progress, or
+ * undefined if there is no such image.
+ *
+ * @param {String} name The name of the clone.
+ * @param {String} description The description of the clone.
+ * @param {String} destinationRegion The destination region.
+ * @param {Function} callback Of the form function (error, image).
+ */
+ImageCloner.prototype.findExistingImage = function (
+  name,
+  description,
+  destinationRegion,
+  callback
+) {
+  this.ec2.findImages(
+    name,
+    description,
+    [],
+    destinationRegion,
+    function (error, images) {
+      if (error) {
+        return callback(error);
+      }
 
-        },
-        function () {
-          asyncCallback(firstCloneImageError);
-        }
-      );
+      callback(null, _.find(images, function (existingImage) {
+        return (
+          existingImage.State === constants.imageStates.AVAILABLE ||
+          _.includes(constants.inProgressImageStates, existingImage.State)
+        );
+      }));
     }
-  }, function (error) {
-    callback(error, results);
-  });
+  );
 };
 
 /**
- * Fill out the configuration object with default values.
+ * Obtain the options for copying an image to a destination region, of the
+ * form expected by Ec2.copyImage.
  *
- * @param {Object} config Configuration.
- * @param {Object} Configuration with defaults set.
+ * @param {String} destinationRegion The destination region.
+ * @return {Object} The copy options.
  */
-ImageCloner.prototype.fillConfigurationDefaults = function (config) {
-  return _.defaults(config, {
-    progressCheckIntervalInSeconds: 30
+ImageCloner.prototype.getCopyOptions = function (destinationRegion) {
+  var overrides = _.get(this.config.regionOverrides, destinationRegion, {});
+  var options = {
+    encrypted: this.config.encrypted
+  };
+  var kmsKeyId = overrides.kmsKeyId || this.config.kmsKeyId;
+
+  if (options.encrypted && kmsKeyId) {
+    options.kmsKeyId = kmsKeyId;
+  }
+
+  return options;
+};
+
+/**
+ * Obtain the idempotency token for copying a source image to a destination
+ * region in this run. It is the same for every attempt at the copy in the run,
+ * so that a retried request whose response was lost does not start a second
+ * copy.
+ *
+ * @param {String} sourceImageId The source image ID.
+ * @param {String} destinationRegion The destination region.
+ * @return {String} The token, a 64 character hex string.
+ */
+ImageCloner.prototype.getCopyClientToken = function (
+  sourceImageId,
+  destinationRegion
+) {
+  return crypto.createHash('sha256').update([
+    sourceImageId,
+    destinationRegion,
+    this.destinationAccountId || '',
+    _.get(this.runDetails, 'startedAt', '')
+  ].join(':')).digest('hex');
+};
+
+/**
+ * Obtain the snapshot create volume permissions that correspond to image
+ * launch permissions. Snapshots cannot be shared with organizations or
+ * organizational units, so only account and public permissions carry over.
+ *
+ * @param {Object[]} launchPermissions The image launch permissions.
+ * @return {Object[]} The create volume permissions.
+ */
+ImageCloner.prototype.getCreateVolumePermissions = function (launchPermissions) {
+  return _.filter(launchPermissions, function (launchPermission) {
+    return _.has(launchPermission, 'UserId') || _.has(launchPermission, 'Group');
   });
 };
 
+/**
+ * Obtain the IDs of the EBS snapshots backing an image, keyed by device name.
+ *
+ * @param {Object} image The image data.
+ * @return {Object} Snapshot IDs keyed by device name.
+ */
+ImageCloner.prototype.getSnapshotIdsByDeviceName = function (image) {
+  return _.reduce(image.BlockDeviceMappings, function (result, mapping) {
+    if (mapping.Ebs && mapping.Ebs.SnapshotId) {
+      result[mapping.DeviceName] = mapping.Ebs.SnapshotId;
+    }
+
+    return result;
+  }, {});
+};
+
+/**
+ * Share a source image with another account, so that it can be copied there:
+ * grant the account launch permission for the image and permission to create
+ * volumes from the EBS snapshots backing it. Sharing with an account that
+ * already has these permissions changes nothing.
+ *
+ * @param {Object} image The source image data.
+ * @param {String} accountId The account ID.
+ * @param {Function} callback Of the form function (error).
+ */
+ImageCloner.prototype.shareSourceImage = function (image, accountId, callback) {
+  var self = this;
+  var region = this.config.sourceRegion;
+  var permission = {
+    UserId: accountId
+  };
+
+  async.series([
+    function (asyncCallback) {
+      self.sourceEc2.modifyImageAttribute(
+        image.ImageId,
+        region,
+        constants.imageAttributes.LAUNCH_PERMISSION,
+        {
+          Add: [permission]
+        },
+        asyncCallback
+      );
+    },
+    function (asyncCallback) {
+      async.eachSeries(
+        _.values(self.getSnapshotIdsByDeviceName(image)),
+        function (snapshotId, eachCallback) {
+          self.sourceEc2.modifySnapshotAttribute(
+            snapshotId,
+            region,
+            constants.snapshotAttributes.CREATE_VOLUME_PERMISSION,
+            {
+              Add: [permission]
+            },
+            eachCallback
+          );
+        },
+        asyncCallback
+      );
+    }
+  ], function (error) {
+    if (error) {
+      return callback(new errors.CloneError(util.format(
+        'Failed to share image %s with account %s: %s',
+        image.ImageId,
+        accountId,
+        error.message
+      ), _.extend(_.pick(error, [
+        'code',
+        'statusCode',
+        'requestId',
+        'retryable',
+        'operation',
+        'region'
+      ]), {
+        imageId: image.ImageId,
+        accountId: accountId
+      })));
+    }
+
+    callback();
+  });
+};
+
+/**
+ * Copy the image settings given by the copyImageAttributes option from a
+ * source image to its clone, and check that the settings AWS copies itself,
+ * listed in constants.checkedImageAttributesProperty, match. Settings that the
+ * clone already has, or that the source image does not have, are left alone:
+ *
+ *   * deprecationTime: a time that has passed is set a minute from now, as
+ *     AWS does not accept times in the past.
+ *   * deregistrationProtection: including any cooldown.
+ *   * imdsSupport: only v2.0 can be set.
+ *   * description: the description the clone is given, so that a reused clone
+ *     is brought up to date.
+ *
+ * Yields an object of the form:
+ *
+ * {
+ *   // The settings that were changed.
+ *   copiedAttributes: ['imdsSupport'],
+ *   // The copied settings that differ from the source image.
+ *   attributeMismatches: [
+ *     {
+ *       attribute: 'bootMode',
+ *       expected: 'uefi',
+ *       // Null if the clone does not have the setting.
+ *       actual: null
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * @param {Object} image The source image data.
+ * @param {String} clonedImageId The ID of the cloned image.
+ * @param {String} description The description of the clone.
+ * @param {String} destinationRegion The destination region.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.replicateImageAttributes = function (
+  image,
+  clonedImageId,
+  description,
+  destinationRegion,
+  callback
+) {
+  var self = this;
+  var attributes = constants.copyableImageAttributes;
+  var report = {
+    copiedAttributes: [],
+    attributeMismatches: []
+  };
+  var clonedImage;
+
+  function copyAttribute (attribute, asyncCallback) {
+    function onCopied (error) {
+      if (!error) {
+        report.copiedAttributes.push(attribute);
+      }
+      asyncCallback(error);
+    }
+
+    if (attribute === attributes.DEPRECATION_TIME) {
+      if (
+        !image.DeprecationTime ||
+        clonedImage.DeprecationTime === image.DeprecationTime
+      ) {
+        return asyncCallback();
+      }
+
+      return self.ec2.enableImageDeprecation(
+        clonedImageId,
+        destinationRegion,
+        new Date(Math.max(
+          new Date(image.DeprecationTime).getTime(),
+          Date.now() + 60 * 1000
+        )),
+        onCopied
+      );
+    }
+
+    if (attribute === attributes.DEREGISTRATION_PROTECTION) {
+      if (
+        !/^enabled/.test(image.DeregistrationProtection) ||
+        /^enabled/.test(clonedImage.DeregistrationProtection)
+      ) {
+        return asyncCallback();
+      }
+
+      return self.ec2.enableImageDeregistrationProtection(
+        clonedImageId,
+        destinationRegion,
+        image.DeregistrationProtection ===
+          constants.DEREGISTRATION_PROTECTION_WITH_COOLDOWN,
+        onCopied
+      );
+    }
+
+    if (attribute === attributes.IMDS_SUPPORT) {
+      if (
+        image.ImdsSupport !== constants.IMDS_SUPPORT_V2 ||
+        clonedImage.ImdsSupport === constants.IMDS_SUPPORT_V2
+      ) {
+        return asyncCallback();
+      }
+
+      return self.ec2.modifyImageAttribute(
+        clonedImageId,
+        destinationRegion,
+        constants.imageAttributes.IMDS_SUPPORT,
+        {
+          Value: constants.IMDS_SUPPORT_V2
+        },
+        onCopied
+      );
+    }
+
+    if (clonedImage.Description === description) {
+      return asyncCallback();
+    }
+
+    self.ec2.modifyImageAttribute(
+      clonedImageId,
+      destinationRegion,
+      constants.imageAttributes.DESCRIPTION,
+      {
+        Value: description
+      },
+      onCopied
+    );
+  }
+
+  async.series({
+    describeClonedImage: function (asyncCallback) {
+      self.ec2.describeImage(
+        clonedImageId,
+        destinationRegion,
+        function (error, data) {
+          clonedImage = data;
+          asyncCallback(error);
+        }
+      );
+    },
+
+    checkAttributes: function (asyncCallback) {
+      _.each(
+        constants.checkedImageAttributesProperty,
+        function (property, attribute) {
+          var expected = image[property] || null;
+          var actual = clonedImage[property] || null;
+
+          if (expected !== actual) {
+            report.attributeMismatches.push({
+              attribute: attribute,
+              expected: expected,
+              actual: actual
+            });
+          }
+        }
+      );
+      asyncCallback();
+    },
+
+    copyAttributes: function (asyncCallback) {
+      async.eachSeries(
+        self.config.copyImageAttributes,
+        copyAttribute,
+        asyncCallback
+      );
+    }
+  }, function (error) {
+    callback(error, report);
+  });
+};
+
+/**
+ * Obtain the block device layout of an image, for comparison between a source
+ * image and its clone. Snapshot IDs and encryption are left out, as they
+ * differ between the two.
+ *
+ * @param {Object} image The image data.
+ * @return {Object[]} The block device mappings, sorted by device name.
+ */
+ImageCloner.prototype.getBlockDeviceLayout = function (image) {
+  return _.sortBy(_.map(image.BlockDeviceMappings, function (mapping) {
+    return _.omitBy({
+      deviceName: mapping.DeviceName,
+      virtualName: mapping.VirtualName,
+      noDevice: mapping.NoDevice,
+      volumeSize: _.get(mapping, 'Ebs.VolumeSize'),
+      volumeType: _.get(mapping, 'Ebs.VolumeType')
+    }, _.isUndefined);
+  }), 'deviceName');
+};
+
+/**
+ * Describe a clone and compare it with its source image. The properties in
+ * constants.verifiedImageProperties and the block device layout should be the
+ * same, and the clone should have the tags and launch permissions it was
+ * given. Other tags and launch permissions of the clone, such as those of a
+ * reused clone, are not differences. For tags, only those that differ are
+ * reported, and for launch permissions, the expected value lists only those
+ * the clone lacks.
+ *
+ * Yields the differences, which is an empty array if there are none:
+ *
+ * [
+ *   {
+ *     property: 'architecture',
+ *     expected: 'x86_64',
+ *     // Null if the clone does not have the property.
+ *     actual: 'arm64'
+ *   },
+ *   {
+ *     // Only the tags that differ.
+ *     property: 'tags',
+ *     expected: {
+ *       Name: 'example'
+ *     },
+ *     actual: {
+ *       Name: null
+ *     }
+ *   },
+ *   ...
+ * ]
+ *
+ * @param {Object} image The source image data.
+ * @param {String} clonedImageId The ID of the cloned image.
+ * @param {Object[]} tags The tags given to the clone.
+ * @param {Object[]} launchPermissions The launch permissions of the clone.
+ * @param {String} destinationRegion The destination region.
+ * @param {Function} callback Of the form function (error, object[]).
+ */
+ImageCloner.prototype.verifyClone = function (
+  image,
+  clonedImageId,
+  tags,
+  launchPermissions,
+  destinationRegion,
+  callback
+) {
+  var self = this;
+  var differences = [];
+  var clonedImage;
+  var clonedLaunchPermissions;
+
+  function addDifference (property, expected, actual) {
+    differences.push({
+      property: property,
+      expected: expected,
+      actual: actual
+    });
+  }
+
+  async.series({
+    describeClonedImage: function (asyncCallback) {
+      self.ec2.describeImage(
+        clonedImageId,
+        destinationRegion,
+        function (error, data) {
+          clonedImage = data;
+          asyncCallback(error);
+        }
+      );
+    },
+
+    describeLaunchPermissions: function (asyncCallback) {
+      self.ec2.describeImageAttribute(
+        clonedImageId,
+        destinationRegion,
+        constants.imageAttributes.LAUNCH_PERMISSION,
+        function (error, data) {
+          clonedLaunchPermissions = data || [];
+          asyncCallback(error);
+        }
+      );
+    }
+  }, function (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    _.each(constants.verifiedImageProperties, function (key, property) {
+      var expected = _.get(image, key, null);
+      var actual = _.get(clonedImage, key, null);
+
+      if (!_.isEqual(expected, actual)) {
+        addDifference(property, expected, actual);
+      }
+    });
+
+    var expectedLayout = self.getBlockDeviceLayout(image);
+    var actualLayout = self.getBlockDeviceLayout(clonedImage);
+
+    if (!_.isEqual(expectedLayout, actualLayout)) {
+      addDifference('blockDeviceMappings', expectedLayout, actualLayout);
+    }
+
+    var clonedTags = _.fromPairs(_.map(clonedImage.Tags, function (tag) {
+      return [tag.Key, tag.Value];
+    }));
+    var differentTags = _.reject(tags, function (tag) {
+      return clonedTags[tag.Key] === tag.Value;
+    });
+
+    if (differentTags.length) {
+      addDifference(
+        'tags',
+        _.fromPairs(_.map(differentTags, function (tag) {
+          return [tag.Key, tag.Value];
+        })),
+        _.fromPairs(_.map(differentTags, function (tag) {
+          return [tag.Key, _.get(clonedTags, tag.Key, null)];
+        }))
+      );
+    }
+
+    var missingLaunchPermissions = _.differenceWith(
+      launchPermissions,
+      clonedLaunchPermissions,
+      _.isEqual
+    );
+
+    if (missingLaunchPermissions.length) {
+      addDifference(
+        'launchPermissions',
+        missingLaunchPermissions,
+        clonedLaunchPermissions
+      );
+    }
+
+    callback(null, differences);
+  });
+};
+
+/**
+ * Share the EBS snapshots backing a cloned image with the accounts given
+ * launch permissions, and copy the tags of the corresponding source snapshots
+ * to them. Snapshots are matched to source snapshots by device name.
+ *
+ * Yields an array of the form:
+ *
+ * [
+ *   {
+ *     snapshotId: 'snap-11223344',
+ *     deviceName: '/dev/xvda',
+ *     // Undefined if there is no source snapshot for the device.
+ *     sourceSnapshotId: 'snap-55667788',
+ *     // False if there were no permissions to apply.
+ *     shared: true,
+ *     // False if the source snapshot has no tags.
+ *     tagged: true
+ *   },
+ *   ...
+ * ]
+ *
+ * @param {Object} image The source image data.
+ * @param {String} clonedImageId The ID of the cloned image.
+ * @param {Object[]} launchPermissions The launch permissions of the clone.
+ * @param {String} sourceRegion The source image region.
+ * @param {String} destinationRegion The destination region.
+ * @param {Function} callback Of the form function (error, object[]).
+ */
+ImageCloner.prototype.shareImageSnapshots = function (
+  image,
+  clonedImageId,
+  launchPermissions,
+  sourceRegion,
+  destinationRegion,
+  callback
+) {
+  var self = this;
+  var createVolumePermissions = this.getCreateVolumePermissions(
+    launchPermissions
+  );
+  var sourceSnapshotIds = this.getSnapshotIdsByDeviceName(image);
+  var sourceSnapshotTags = {};
+  var snapshots;
+
+  async.series({
+    describeClonedImage: function (asyncCallback) {
+      self.ec2.describeImage(
+        clonedImageId,
+        destinationRegion,
+        function (error, clonedImage) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          snapshots = _.map(
+            self.getSnapshotIdsByDeviceName(clonedImage),
+            function (snapshotId, deviceName) {
+              return {
+                snapshotId: snapshotId,
+                deviceName: deviceName,
+                sourceSnapshotId: sourceSnapshotIds[deviceName],
+                shared: false,
+                tagged: false
+              };
+            }
+          );
+          asyncCallback();
+        }
+      );
+    },
+
+    describeSourceSnapshots: function (asyncCallback) {
+      var snapshotIds = _.compact(_.map(snapshots, 'sourceSnapshotId'));
+
+      if (!snapshotIds.length) {
+        return asyncCallback();
+      }
+
+      self.sourceEc2.describeSnapshots(
+        snapshotIds,
+        sourceRegion,
+        function (error, sourceSnapshots) {
+          _.each(sourceSnapshots, function (sourceSnapshot) {
+            sourceSnapshotTags[sourceSnapshot.SnapshotId] = _.reject(
+              sourceSnapshot.Tags,
+              function (tag) {
+                // Tags with the aws: prefix are reserved.
+                return /^aws:/.test(tag.Key);
+              }
+            );
+          });
+          asyncCallback(error);
+        }
+      );
+    },
+
+    updateSnapshots: function (asyncCallback) {
+      async.eachSeries(snapshots, function (snapshot, eachCallback) {
+        var tags = sourceSnapshotTags[snapshot.sourceSnapshotId];
+
+        async.series([
+          function (innerAsyncCallback) {
+            if (!_.size(tags)) {
+              return innerAsyncCallback();
+            }
+
+            self.ec2.tagSnapshot(
+              snapshot.snapshotId,
+              destinationRegion,
+              tags,
+              function (error) {
+                snapshot.tagged = !error;
+                innerAsyncCallback(error);
+              }
+            );
+          },
+          function (innerAsyncCallback) {
+            if (!createVolumePermissions.length) {
+              return innerAsyncCallback();
+            }
+
+            self.ec2.modifySnapshotAttribute(
+              snapshot.snapshotId,
+              destinationRegion,
+              constants.snapshotAttributes.CREATE_VOLUME_PERMISSION,
+              {
+                Add: createVolumePermissions
+              },
+              function (error) {
+                snapshot.shared = !error;
+                innerAsyncCallback(error);
+              }
+            );
+          }
+        ], eachCallback);
+      }, asyncCallback);
+    }
+  }, function (error) {
+    callback(error, snapshots);
+  });
+};
+
+/**
+ * Clone an image to one destination region. Yields a result of the form:
+ *
+ * {
+ *   imageId: 'ami-11223344',
+ *   // True if an existing clone was found and reused rather than copied.
+ *   reused: false,
+ *   encrypted: true,
+ *   // Only present if encrypted. Null if the default EBS encryption key was
+ *   // used.
+ *   kmsKeyId: 'alias/example',
+ *   // The launch permissions applied: those of the source image merged with
+ *   // any additional launch permissions.
+ *   launchPermissions: [
+ *     {
+ *       UserId: '111222333444'
+ *     },
+ *     {
+ *       OrganizationArn: 'arn:aws:organizations::111222333444:organization/o-abcdefghij'
+ *     },
+ *     ...
+ *   ],
+ *   // The tags applied, as given by getTags.
+ *   tags: [
+ *     {
+ *       Key: 'Name',
+ *       Value: 'app'
+ *     },
+ *     ...
+ *   ],
+ *   // Only present if copyImageAttributes is set. The settings changed by
+ *   // replicateImageAttributes.
+ *   copiedAttributes: ['deprecationTime'],
+ *   // Only present if settings copied by AWS differ from the source image.
+ *   // See replicateImageAttributes.
+ *   attributeMismatches: [],
+ *   // Only present if the verification option is not off. The differences
+ *   // between the clone and the source image, as yielded by verifyClone.
+ *   differences: [],
+ *   // Only present if shareSnapshots is set. See shareImageSnapshots.
+ *   snapshots: [
+ *     {
+ *       snapshotId: 'snap-11223344',
+ *       deviceName: '/dev/xvda',
+ *       sourceSnapshotId: 'snap-55667788',
+ *       shared: true,
+ *       tagged: true
+ *     },
+ *     ...
+ *   ],
+ *   // The timing of each step in this run, in order. The step is one of the
+ *   // constants.regionSteps values. Steps with nothing to do, such as those
+ *   // finished in an earlier run, take next to no time.
+ *   steps: [
+ *     {
+ *       step: 'copy',
+ *       startedAt: '2026-10-01T10:00:00.000Z',
+ *       endedAt: '2026-10-01T10:00:01.000Z',
+ *       durationInMilliseconds: 1000
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * A failed region yields the error with a partial result of the imageId,
+ * reused, and steps properties.
+ *
+ * When resuming, steps that were finished in the earlier run are skipped.
+ *
+ * @param {Object} image The image data.
+ * @param {Object[]} sourceLaunchPermissions The image launch permissions.
+ * @param {String} sourceRegion The source image region.
+ * @param {String} destinationRegion The destination region.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.cloneImageToRegion = function (
+  image,
+  sourceLaunchPermissions,
+  sourceRegion,
+  destinationRegion,
+  callback
+) {
+  var self = this;
+  var launchPermissions = this.getLaunchPermissions(
+    sourceLaunchPermissions,
+    destinationRegion
+  );
+  var copyOptions = _.assign(this.getCopyOptions(destinationRegion), {
+    clientToken: this.getCopyClientToken(image.ImageId, destinationRegion)
+  });
+  var regionState = this.getRegionState(destinationRegion);
+  var clonedImageId = regionState.imageId;
+  var reused = Boolean(regionState.reused);
+  var snapshots = regionState.snapshots;
+  var attributeReport = regionState.attributeReport;
+  var differences = regionState.differences;
+  var copyStartedAt = regionState.copyStartedAt || new Date().toISOString();
+  var naming = this.getNameAndDescription(
+    image,
+    sourceRegion,
+    destinationRegion,
+    copyStartedAt
+  );
+  var steps = [];
+  var existingImage;
+
+  function isStepFinished (step) {
+    return self.isStepFinished(destinationRegion, step);
+  }
+
+  // A region completed by an earlier run only needs its result reporting.
+  if (isStepFinished(constants.cloneSteps.COMPLETED)) {
+    self.emitEvent(
+      constants.events.COMPLETED,
+      destinationRegion,
+      regionState.result
+    );
+    return callback(null, regionState.result);
+  }
+
+  async.series(_.mapValues({
+    findExistingImage: function (asyncCallback) {
+      if (!self.config.reuseExistingImages || clonedImageId) {
+        return asyncCallback();
+      }
+
+      self.findExistingImage(
+        naming.name,
+        naming.description,
+        destinationRegion,
+        function (error, foundImage) {
+          if (error || !foundImage) {
+            return asyncCallback(error);
+          }
+
+          existingImage = foundImage;
+          clonedImageId = existingImage.ImageId;
+          reused = true;
+          self.emitEvent(
+            constants.events.EXISTING_IMAGE_FOUND,
+            destinationRegion,
+            {
+              imageId: clonedImageId,
+              state: existingImage.State
+            }
+          );
+          self.recordStep(
+            destinationRegion,
+            constants.cloneSteps.COPY_STARTED,
+            {
+              imageId: clonedImageId,
+              reused: true,
+              copyStartedAt: copyStartedAt
+            },
+            asyncCallback
+          );
+        }
+      );
+    },
+
+    copyImage: function (asyncCallback) {
+      if (clonedImageId) {
+        return asyncCallback();
+      }
+
+      // Templates are checked with sample values on validation, but values
+      // such as source tags are only known now.
+      if (!constants.imageNamePattern.test(naming.name)) {
+        return asyncCallback(new Error(util.format(
+          'Invalid image name: %s',
+          naming.name
+        )));
+      }
+
+      self.ec2.copyImage(
+        image.ImageId,
+        naming.name,
+        naming.description,
+        sourceRegion,
+        destinationRegion,
+        copyOptions,
+        function (error, imageId) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          clonedImageId = imageId;
+          self.emitEvent(constants.events.COPY_STARTED, destinationRegion, {
+            imageId: clonedImageId
+          });
+          self.recordStep(
+            destinationRegion,
+            constants.cloneSteps.COPY_STARTED,
+            {
+              imageId: clonedImageId,
+              reused: false,
+              copyStartedAt: copyStartedAt
+            },
+            asyncCallback
+          );
+        }
+      );
+    },
+
+    awaitCompletion: function (asyncCallback) {
+      if (isStepFinished(constants.cloneSteps.COPY_COMPLETED)) {
+        return asyncCallback();
+      }
+
+      async.series([
+        function (innerAsyncCallback) {
+          if (
+            existingImage &&
+            existingImage.State === constants.imageStates.AVAILABLE
+          ) {
+            return innerAsyncCallback();
+          }
+
+          self.awaitImageCopyCompletion(
+            clonedImageId,
+            destinationRegion,
+            function (error) {
+              if (
+                !error ||
+                error.code !== constants.errorCodes.COPY_FAILED ||
+                !self.state
+              ) {
+                return innerAsyncCallback(error);
+              }
+
+              // A failed copy will never complete, so forget it so that a
+              // resumed run starts a new copy rather than waiting on this one.
+              delete self.state.regions[destinationRegion];
+              self.saveState(function () {
+                innerAsyncCallback(error);
+              });
+            }
+          );
+        },
+        function (innerAsyncCallback) {
+          self.recordStep(
+            destinationRegion,
+            constants.cloneSteps.COPY_COMPLETED,
+            {},
+            innerAsyncCallback
+          );
+        }
+      ], asyncCallback);
+    },
+
+    // For a reused image this brings the tags up to date.
+    tagImage: function (asyncCallback) {
+      var tags;
+
+      function onTagged (error) {
+        if (error) {
+          return asyncCallback(error);
+        }
+
+        self.emitEvent(constants.events.TAGGED, destinationRegion, {
+          imageId: clonedImageId,
+          tags: tags
+        });
+        self.recordStep(
+          destinationRegion,
+          constants.cloneSteps.TAGGED,
+          {},
+          asyncCallback
+        );
+      }
+
+      if (isStepFinished(constants.cloneSteps.TAGGED)) {
+        return asyncCallback();
+      }
+
+      tags = self.getTags(
+        image,
+        sourceRegion,
+        destinationRegion,
+        copyStartedAt
+      );
+
+      // There may be no tags once reserved and removed tags are omitted.
+      if (!tags.length) {
+        return onTagged();
+      }
+
+      self.ec2.tagImage(clonedImageId, destinationRegion, tags, onTagged);
+    },
+
+    setLaunchPermissions: function (asyncCallback) {
+      if (isStepFinished(constants.cloneSteps.LAUNCH_PERMISSIONS_SET)) {
+        return asyncCallback();
+      }
+
+      self.ec2.modifyImageAttribute(
+        clonedImageId,
+        destinationRegion,
+        constants.imageAttributes.LAUNCH_PERMISSION,
+        {
+          Add: launchPermissions
+        },
+        function (error) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          self.emitEvent(
+            constants.events.LAUNCH_PERMISSIONS_SET,
+            destinationRegion,
+            {
+              imageId: clonedImageId,
+              launchPermissions: launchPermissions
+            }
+          );
+          self.recordStep(
+            destinationRegion,
+            constants.cloneSteps.LAUNCH_PERMISSIONS_SET,
+            {},
+            asyncCallback
+          );
+        }
+      );
+    },
+
+    copyAttributes: function (asyncCallback) {
+      if (isStepFinished(constants.cloneSteps.ATTRIBUTES_COPIED)) {
+        return asyncCallback();
+      }
+
+      self.replicateImageAttributes(
+        image,
+        clonedImageId,
+        naming.description,
+        destinationRegion,
+        function (error, report) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          attributeReport = report;
+          self.recordStep(
+            destinationRegion,
+            constants.cloneSteps.ATTRIBUTES_COPIED,
+            {
+              attributeReport: attributeReport
+            },
+            asyncCallback
+          );
+        }
+      );
+    },
+
+    shareSnapshots: function (asyncCallback) {
+      if (
+        !self.config.shareSnapshots ||
+        isStepFinished(constants.cloneSteps.SNAPSHOTS_SHARED)
+      ) {
+        return asyncCallback();
+      }
+
+      self.shareImageSnapshots(
+        image,
+        clonedImageId,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, sharedSnapshots) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          snapshots = sharedSnapshots;
+          self.emitEvent(constants.events.SNAPSHOTS_SHARED, destinationRegion, {
+            imageId: clonedImageId,
+            snapshots: snapshots
+          });
+          self.recordStep(
+            destinationRegion,
+            constants.cloneSteps.SNAPSHOTS_SHARED,
+            {
+              snapshots: snapshots
+            },
+            asyncCallback
+          );
+        }
+      );
+    },
+
+    verify: function (asyncCallback) {
+      if (
+        self.config.verification === constants.verificationModes.OFF ||
+        isStepFinished(constants.cloneSteps.VERIFIED)
+      ) {
+        return asyncCallback();
+      }
+
+      self.verifyClone(
+        image,
+        clonedImageId,
+        self.getTags(image, sourceRegion, destinationRegion, copyStartedAt),
+        launchPermissions,
+        destinationRegion,
+        function (error, foundDifferences) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          differences = foundDifferences;
+
+          // The step is not recorded, so that resuming verifies again.
+          if (
+            differences.length &&
+            self.config.verification === constants.verificationModes.STRICT
+          ) {
+            return asyncCallback(new errors.CloneError(util.format(
+              'Clone %s differs from the source image: %s',
+              clonedImageId,
+              _.map(differences, 'property').join(', ')
+            ), {
+              code: constants.errorCodes.VERIFICATION_FAILED,
+              differences: differences
+            }));
+          }
+
+          self.recordStep(
+            destinationRegion,
+            constants.cloneSteps.VERIFIED,
+            {
+              differences: differences
+            },
+            asyncCallback
+          );
+        }
+      );
+    }
+  }, function (task, taskName) {
+    // Time each step, and record on any error which step failed, and for which
+    // region and clone.
+    return function (asyncCallback) {
+      var startedAt = new Date();
+
+      task(function (error) {
+        var endedAt = new Date();
+
+        steps.push({
+          step: TASK_STEPS[taskName],
+          startedAt: startedAt.toISOString(),
+          endedAt: endedAt.toISOString(),
+          durationInMilliseconds: endedAt - startedAt
+        });
+
+        if (error) {
+          error = errors.fromError(error, {
+            step: TASK_STEPS[taskName],
+            region: destinationRegion,
+            imageId: clonedImageId
+          });
+        }
+
+        asyncCallback(error);
+      });
+    };
+  }), function (error) {
+    // A failed region still reports any clone it started, so that the clone
+    // can be rolled back or cleaned up.
+    var partialResult = {
+      imageId: clonedImageId,
+      reused: reused,
+      steps: steps
+    };
+
+    if (error) {
+      self.emitEvent(constants.events.FAILED, destinationRegion, {
+        imageId: clonedImageId,
+        error: error
+      });
+      return callback(error, partialResult);
+    }
+
+    var result = {
+      imageId: clonedImageId,
+      reused: reused,
+      encrypted: copyOptions.encrypted
+    };
+
+    if (copyOptions.encrypted) {
+      result.kmsKeyId = copyOptions.kmsKeyId || null;
+    }
+
+    result.launchPermissions = launchPermissions;
+    result.tags = self.getTags(
+      image,
+      sourceRegion,
+      destinationRegion,
+      copyStartedAt
+    );
+
+    if (_.size(self.config.copyImageAttributes)) {
+      result.copiedAttributes = _.get(attributeReport, 'copiedAttributes', []);
+    }
+
+    if (_.size(_.get(attributeReport, 'attributeMismatches'))) {
+      result.attributeMismatches = attributeReport.attributeMismatches;
+    }
+
+    if (snapshots) {
+      result.snapshots = snapshots;
+    }
+
+    if (self.config.verification !== constants.verificationModes.OFF) {
+      result.differences = differences || [];
+    }
+
+    result.steps = steps;
+
+    self.recordStep(
+      destinationRegion,
+      constants.cloneSteps.COMPLETED,
+      {
+        result: result
+      },
+      function (recordError) {
+        if (recordError) {
+          recordError = errors.fromError(recordError, {
+            step: constants.regionSteps.COMPLETE,
+            region: destinationRegion,
+            imageId: clonedImageId
+          });
+          self.emitEvent(constants.events.FAILED, destinationRegion, {
+            imageId: clonedImageId,
+            error: recordError
+          });
+          return callback(recordError, partialResult);
+        }
+
+        self.emitEvent(constants.events.COMPLETED, destinationRegion, result);
+        callback(null, result);
+      }
+    );
+  });
+};
+
+/**
+ * Plan the clone of an image to one destination region without making any
+ * changes. The copyImage, createTags, and modifyImageAttribute requests are
+ * sent as dry runs to check authorization. The tags and launch permissions are
+ * checked against a placeholder image ID, since the clone does not exist.
+ *
+ * Yields a plan of the form:
+ *
+ * {
+ *   dryRun: true,
+ *   // Either 'copy' or 'reuse', the latter if reuseExistingImages is set and
+ *   // an existing clone was found.
+ *   action: 'copy',
+ *   // Only present for the reuse action.
+ *   imageId: 'ami-11223344',
+ *   name: 'name',
+ *   description: 'description',
+ *   encrypted: true,
+ *   // Only present if encrypted.
+ *   kmsKeyId: 'alias/example',
+ *   tags: [],
+ *   launchPermissions: [],
+ *   // The dry run outcome for each request. Authorized is undefined and an
+ *   // error is present if the dry run failed for other reasons.
+ *   authorization: {
+ *     copyImage: {
+ *       authorized: false,
+ *       message: 'You are not authorized to perform this operation. ...'
+ *     },
+ *     ...
+ *   },
+ *   // Only present if any request is not authorized or failed.
+ *   error: new Error('')
+ * }
+ *
+ * @param {Object} image The image data.
+ * @param {Object[]} sourceLaunchPermissions The image launch permissions.
+ * @param {String} sourceRegion The source image region.
+ * @param {String} destinationRegion The destination region.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.planCloneToRegion = function (
+  image,
+  sourceLaunchPermissions,
+  sourceRegion,
+  destinationRegion,
+  callback
+) {
+  var self = this;
+  var launchPermissions = this.getLaunchPermissions(
+    sourceLaunchPermissions,
+    destinationRegion
+  );
+  var copyOptions = this.getCopyOptions(destinationRegion);
+  var timestamp = new Date().toISOString();
+  var naming = this.getNameAndDescription(
+    image,
+    sourceRegion,
+    destinationRegion,
+    timestamp
+  );
+  var tags = this.getTags(image, sourceRegion, destinationRegion, timestamp);
+  var plan = {
+    dryRun: true,
+    action: 'copy',
+    name: naming.name,
+    description: naming.description,
+    encrypted: copyOptions.encrypted,
+    tags: tags,
+    launchPermissions: launchPermissions,
+    authorization: {}
+  };
+  var requests = {
+    copyImage: this.ec2.getCopyImageParams(
+      image.ImageId,
+      naming.name,
+      naming.description,
+      sourceRegion,
+      copyOptions
+    ),
+    createTags: {
+      Resources: [constants.DRY_RUN_IMAGE_ID],
+      Tags: tags
+    },
+    modifyImageAttribute: {
+      Attribute: constants.imageAttributes.LAUNCH_PERMISSION,
+      ImageId: constants.DRY_RUN_IMAGE_ID,
+      LaunchPermission: {
+        Add: launchPermissions
+      }
+    }
+  };
+
+  if (copyOptions.encrypted) {
+    plan.kmsKeyId = copyOptions.kmsKeyId || null;
+  }
+
+  async.series({
+    findExistingImage: function (asyncCallback) {
+      if (!self.config.reuseExistingImages) {
+        return asyncCallback();
+      }
+
+      self.findExistingImage(
+        naming.name,
+        naming.description,
+        destinationRegion,
+        function (error, existingImage) {
+          if (existingImage) {
+            plan.action = 'reuse';
+            plan.imageId = existingImage.ImageId;
+          }
+          asyncCallback(error);
+        }
+      );
+    },
+
+    dryRun: function (asyncCallback) {
+      async.eachOfSeries(requests, function (params, operation, innerAsyncCallback) {
+        self.ec2.dryRun(
+          operation,
+          destinationRegion,
+          params,
+          function (error, authorization) {
+            // Record the failure rather than stop the plan.
+            plan.authorization[operation] = authorization || {
+              authorized: undefined,
+              error: error
+            };
+            innerAsyncCallback();
+          }
+        );
+      }, asyncCallback);
+    }
+  }, function (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    var failedOperations = _.keys(_.pickBy(plan.authorization, function (authorization) {
+      return !authorization.authorized;
+    }));
+
+    if (failedOperations.length) {
+      plan.error = new errors.CloneError(util.format(
+        'Dry run not authorized or failed for: %s',
+        failedOperations.join(', ')
+      ), {
+        region: destinationRegion
+      });
+    }
+
+    callback(null, plan);
+  });
+};
+
+/**
+ * Clone the image. Returns a promise if no callback is provided; on failure the
+ * promise is rejected with an error that carries the report as error.results.
+ *
+ * Yields a report on success or failure by region cloned to:
+ *
+ * {
+ *   'eu-west-1': {
+ *     imageId: 'ami-11223344',
+ *     reused: false,
+ *     success: true
+ *   },
+ *   ...
+ * }
+ *
+ * If the dryRun option is set, nothing is changed, and instead the results for
+ * each region are the plans yielded by planCloneToRegion, with success set to
+ * true if every request is authorized.
+ *
+ * If there is a state store, any previously saved state is replaced, and the
+ * progress of each region is saved as it is made.
+ *
+ * If the sourceImages option is set, the report is instead keyed by source
+ * image ID and then by region, as described for runCloneSourceImages. If the
+ * destinationAccounts option is set, it is keyed by account ID and then by
+ * region, as described for runCloneAccounts.
+ *
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.cloneImage = function (callback) {
+  this.runClone(false, callback);
+};
+
+/**
+ * Resume an interrupted run from the state saved in the state store. Each
+ * region picks up after the last step it finished, so that copies in progress
+ * are awaited rather than started again, and regions that completed are
+ * reported without further changes.
+ *
+ * Yields the same report as cloneImage, and an error if there is no state
+ * store, no saved state, or the saved state is for a different source image.
+ *
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.resumeCloneImage = function (callback) {
+  this.runClone(true, callback);
+};
+
+/**
+ * Obtain the report of the latest run from the results it yielded. The report
+ * adds the source image details, the start and end of the run, and the number
+ * of retried AWS API requests. See runReport.createReport.
+ *
+ * @param {Object} results The results yielded by cloneImage or
+ *   resumeCloneImage.
+ * @return {Object} The report.
+ */
+ImageCloner.prototype.getReport = function (results) {
+  return runReport.createReport(results, this.runDetails);
+};
+
+/**
+ * Prepare the state of a run before cloning.
+ *
+ * @param {Boolean} resume If true, load the saved state to resume from.
+ * @param {Function} callback Of the form function (error).
+ */
+ImageCloner.prototype.prepareState = function (resume, callback) {
+  var self = this;
+
+  this.state = undefined;
+
+  if (resume && !this.stateStore) {
+    return callback(new Error(
+      'Resuming requires a state store, such as one set by the stateFile option.'
+    ));
+  }
+
+  // Dry runs change nothing, so they have no progress to record.
+  if (!this.stateStore || this.config.dryRun) {
+    return callback();
+  }
+
+  if (!resume) {
+    this.state = {
+      sourceImageId: this.sourceImageId,
+      sourceRegion: this.config.sourceRegion,
+      regions: {}
+    };
+    return this.saveState(callback);
+  }
+
+  this.stateStore.load(function (error, state) {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!state) {
+      return callback(new Error('There is no saved state to resume from.'));
+    }
+
+    if (
+      state.sourceImageId !== self.sourceImageId ||
+      state.sourceRegion !== self.config.sourceRegion
+    ) {
+      return callback(new Error(util.format(
+        'The saved state is for image %s in %s, not image %s in %s.',
+        state.sourceImageId,
+        state.sourceRegion,
+        self.sourceImageId,
+        self.config.sourceRegion
+      )));
+    }
+
+    self.state = _.defaults(state, {
+      regions: {}
+    });
+    callback();
+  });
+};
+
+/**
+ * Clone the image, either from scratch or resuming from saved state. See
+ * cloneImage and resumeCloneImage.
+ *
+ * @param {Boolean} resume If true, resume from the saved state.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.runClone = function (resume, callback) {
+  var self = this;
+  var sourceImage;
+  var sourceImageLaunchPermissions;
+  var results = this.getInitialResults(this.config.destinationRegions);
+  var startRetryCount = this.ec2.retryCount;
+
+  this.runDetails = {
+    startedAt: new Date().toISOString(),
+    endedAt: undefined,
+    retryCount: 0,
+    sourceImages: []
+  };
+  this.childImageCloners = undefined;
+
+  // Complete the run details, including those of any child image cloners.
+  // Retries by children that share this one's EC2 utilities are already
+  // counted.
+  function onFinished (error, finishedResults) {
+    var childRunDetails = _.compact(_.map(self.childImageCloners, 'runDetails'));
+
+    self.runDetails.endedAt = new Date().toISOString();
+    self.runDetails.retryCount = self.ec2.retryCount - startRetryCount +
+      _.sumBy(_.filter(self.childImageCloners, function (imageCloner) {
+        return imageCloner.ec2 !== self.ec2 && imageCloner.runDetails;
+      }), 'runDetails.retryCount');
+    self.runDetails.sourceImages = _.uniqBy(
+      self.runDetails.sourceImages.concat(
+        _.flatMap(childRunDetails, 'sourceImages')
+      ),
+      'imageId'
+    );
+    callback(error, finishedResults);
+  }
+
+  if (this.config.sourceImages) {
+    return this.runCloneSourceImages(resume, onFinished);
+  }
+
+  if (this.config.destinationAccounts) {
+    return this.runCloneAccounts(resume, onFinished);
+  }
+
+  async.series({
+    validateConfig: function (asyncCallback) {
+      self.validateConfig(asyncCallback);
+    },
+
+    // Select the source image if it is given by a filter rather than an ID.
+    selectImage: function (asyncCallback) {
+      if (!self.config.sourceImageFilter) {
+        return asyncCallback();
+      }
+
+      self.selectSourceImage(function (error, image) {
+        if (image) {
+          sourceImage = image;
+          self.sourceImageId = image.ImageId;
+        }
+        asyncCallback(error);
+      });
+    },
+
+    prepareState: function (asyncCallback) {
+      self.prepareState(resume, asyncCallback);
+    },
+
+    // Obtain the source image data.
+    getImage: function (asyncCallback) {
+      if (sourceImage) {
+        return asyncCallback();
+      }
+
+      self.sourceEc2.describeImage(
+        self.sourceImageId,
+        self.config.sourceRegion,
+        function (error, image) {
+          sourceImage = image;
+          asyncCallback(error);
+        }
+      );
+    },
+
+    recordImage: function (asyncCallback) {
+      self.runDetails.sourceImages.push(runReport.describeSourceImage(
+        sourceImage,
+        self.config.sourceRegion
+      ));
+      asyncCallback();
+    },
+
+    // Obtain the source image launch permissions.
+    getImageLaunchPermissions: function (asyncCallback) {
+      self.sourceEc2.describeImageAttribute(
+        self.sourceImageId,
+        self.config.sourceRegion,
+        constants.imageAttributes.LAUNCH_PERMISSION,
+        function (error, launchPermissions) {
+          sourceImageLaunchPermissions = launchPermissions;
+          asyncCallback(error);
+        }
+      );
+    },
+
+    // Share the source image with the destination account, if any, so that it
+    // can be copied there. Dry runs change nothing, so the copy is only
+    // authorized if the image is already shared.
+    shareSourceImage: function (asyncCallback) {
+      if (!self.destinationAccountId || self.config.dryRun) {
+        return asyncCallback();
+      }
+
+      self.shareSourceImage(
+        sourceImage,
+        self.destinationAccountId,
+        asyncCallback
+      );
+    },
+
+    cloneImageToRegions: function (asyncCallback) {
+      var cloneImageToRegion = self.config.dryRun ?
+        self.planCloneToRegion :
+        self.cloneImageToRegion;
+
+      var failureCount = 0;
+
+      // Each wave starts once the one before it is finished, unless too many
+      // regions have failed. Dry runs change nothing, so every wave is planned
+      // regardless of failures.
+      async.eachSeries(
+        self.getRegionWaves(),
+        function (wave, waveCallback) {
+          if (
+            !self.config.dryRun &&
+            failureCount > self.config.waveFailureThreshold
+          ) {
+            _.each(wave, function (destinationRegion) {
+              results[destinationRegion].error = new errors.CloneError(
+                util.format(
+                  'Skipped after %s regions failed in earlier waves',
+                  failureCount
+                ),
+                {
+                  code: constants.errorCodes.REGION_SKIPPED,
+                  region: destinationRegion
+                }
+              );
+            });
+            return waveCallback();
+          }
+
+          async.eachLimit(
+            wave,
+            self.config.maxConcurrentRegions || Infinity,
+            function (destinationRegion, innerAsyncCallback) {
+              self.copyQueue.push(function (queueCallback) {
+                cloneImageToRegion.call(
+                  self,
+                  sourceImage,
+                  sourceImageLaunchPermissions,
+                  self.config.sourceRegion,
+                  destinationRegion,
+                  // Don't fail immediately, let all run through, building up a
+                  // report.
+                  function (error, result) {
+                    if (error) {
+                      _.extend(
+                        results[destinationRegion],
+                        _.pick(result, ['imageId', 'reused', 'steps']),
+                        {
+                          error: errors.fromError(error, {
+                            region: destinationRegion
+                          })
+                        }
+                      );
+                      return queueCallback();
+                    }
+
+                    results[destinationRegion] = _.extend({
+                      success: !result.error
+                    }, result);
+                    queueCallback();
+                  }
+                );
+              }, innerAsyncCallback);
+            },
+            function () {
+              failureCount += _.filter(wave, function (destinationRegion) {
+                return !results[destinationRegion].success;
+              }).length;
+              waveCallback();
+            }
+          );
+        },
+        function () {
+          var failures = _.pickBy(results, function (result) {
+            return !result.success;
+          });
+
+          if (_.isEmpty(failures)) {
+            return asyncCallback();
+          }
+
+          asyncCallback(new Error(util.format(
+            '%s failed for %s of %s destination regions: %s',
+            self.config.dryRun ? 'Dry run' : 'Cloning',
+            _.size(failures),
+            _.size(results),
+            _.map(failures, function (result, region) {
+              return region + ': ' + result.error.message;
+            }).join('; ')
+          )));
+        }
+      );
+    }
+  }, function (error) {
+    if (!error || !self.config.rollbackOnFailure || self.config.dryRun) {
+      return onFinished(error, results);
+    }
+
+    // The cloning error is the one to report; a failure to save state after
+    // rollback is secondary, and the rollback results are in the report.
+    self.rollBack(results, function () {
+      onFinished(error, results);
+    });
+  });
+};
+
+/**
+ * Obtain the destination regions grouped into the waves in which they are
+ * cloned, in order. These are the waves of the regionWaves option, followed by
+ * a final wave of any destination regions not in those waves.
+ *
+ * @return {String[][]} The waves of destination regions.
+ */
+ImageCloner.prototype.getRegionWaves = function () {
+  var destinationRegions = this.config.destinationRegions;
+  var waves = _.filter(_.map(this.config.regionWaves, function (wave) {
+    return _.intersection(wave, destinationRegions);
+  }), 'length');
+  var remainder = _.difference(destinationRegions, _.flatten(waves));
+
+  if (remainder.length) {
+    waves.push(remainder);
+  }
+
+  return waves;
+};
+
+/**
+ * Clone several source images, as given by the sourceImages option. Each is
+ * cloned by its own ImageCloner, whose events are emitted by this one, and
+ * the maxConcurrentCopies limit applies across all of them.
+ *
+ * Yields a report keyed by source image ID, and then by destination region:
+ *
+ * {
+ *   'ami-11223344': {
+ *     'eu-west-1': {
+ *       imageId: 'ami-55667788',
+ *       reused: false,
+ *       success: true
+ *     },
+ *     ...
+ *   },
+ *   ...
+ * }
+ *
+ * @param {Boolean} resume If true, resume from the saved state.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.runCloneSourceImages = function (resume, callback) {
+  var self = this;
+
+  this.runChildImageCloners(resume, {
+    stateProperty: 'sourceImages',
+    description: 'source images',
+    createImageCloners: function () {
+      return _.reduce(self.config.sourceImages, function (result, sourceImage) {
+        result[sourceImage.sourceImageId] = self.createSourceImageCloner(
+          sourceImage
+        );
+        return result;
+      }, {});
+    }
+  }, callback);
+};
+
+/**
+ * Clone to several accounts, as given by the destinationAccounts option. Each
+ * is cloned to by its own ImageCloner, as described for
+ * createAccountImageCloner, whose events are emitted by this one with an
+ * accountId property.
+ *
+ * Yields a report keyed by account ID, and then by destination region:
+ *
+ * {
+ *   '111122223333': {
+ *     'eu-west-1': {
+ *       imageId: 'ami-55667788',
+ *       reused: false,
+ *       success: true
+ *     },
+ *     ...
+ *   },
+ *   ...
+ * }
+ *
+ * @param {Boolean} resume If true, resume from the saved state.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.runCloneAccounts = function (resume, callback) {
+  var self = this;
+
+  this.runChildImageCloners(resume, {
+    stateProperty: 'accounts',
+    description: 'destination accounts',
+    createImageCloners: function () {
+      return self.createAccountImageCloners();
+    }
+  }, callback);
+};
+
+/**
+ * Clone with an ImageCloner for each of several source images or destination
+ * accounts, yielding a report of their reports keyed by source image ID or
+ * account ID. The options have the form:
+ *
+ * {
+ *   // The property of the state in which the state of each is kept, keyed by
+ *   // source image ID or account ID. See prepareChildStates.
+ *   stateProperty: 'sourceImages',
+ *   // Describes them in the error yielded on failure.
+ *   description: 'source images',
+ *   // Returns the image cloners, keyed by source image ID or account ID.
+ *   createImageCloners: function () {}
+ * }
+ *
+ * If the rollbackOnFailure option is set and any fails, every one is rolled
+ * back.
+ *
+ * @param {Boolean} resume If true, resume from the saved state. Any without
+ *   saved state start afresh.
+ * @param {Object} options The options.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.runChildImageCloners = function (
+  resume,
+  options,
+  callback
+) {
+  var self = this;
+  var imageCloners;
+  var results = {};
+
+  async.series({
+    validateConfig: function (asyncCallback) {
+      self.validateConfig(asyncCallback);
+    },
+
+    createImageCloners: function (asyncCallback) {
+      imageCloners = self.childImageCloners = options.createImageCloners();
+      _.each(imageCloners, function (imageCloner, key) {
+        results[key] = self.getInitialResults(
+          imageCloner.config.destinationRegions
+        );
+      });
+      asyncCallback();
+    },
+
+    prepareState: function (asyncCallback) {
+      self.prepareChildStates(
+        resume,
+        imageCloners,
+        options.stateProperty,
+        asyncCallback
+      );
+    },
+
+    clone: function (asyncCallback) {
+      var failures = {};
+
+      async.eachOf(imageCloners, function (imageCloner, key, innerAsyncCallback) {
+        // One that failed before saving any state, such as on validation, has
+        // nothing to resume, and so starts afresh.
+        var resumeChild = resume &&
+          _.has(self.state, [options.stateProperty, key]);
+
+        imageCloner.runClone(resumeChild, function (error, childResults) {
+          results[key] = childResults;
+          if (error) {
+            failures[key] = error;
+          }
+          innerAsyncCallback();
+        });
+      }, function () {
+        if (_.isEmpty(failures)) {
+          return asyncCallback();
+        }
+
+        asyncCallback(new Error(util.format(
+          '%s failed for %s of %s %s: %s',
+          self.config.dryRun ? 'Dry run' : 'Cloning',
+          _.size(failures),
+          _.size(imageCloners),
+          options.description,
+          _.map(failures, function (error, key) {
+            return key + ': ' + error.message;
+          }).join('; ')
+        )));
+      });
+    }
+  }, function (error) {
+    if (
+      !error ||
+      !imageCloners ||
+      !self.config.rollbackOnFailure ||
+      self.config.dryRun
+    ) {
+      return callback(error, results);
+    }
+
+    // Every one is rolled back, including those that were cloned successfully,
+    // as the run as a whole failed.
+    async.eachOf(imageCloners, function (imageCloner, key, asyncCallback) {
+      imageCloner.rollBack(results[key], function () {
+        asyncCallback();
+      });
+    }, function () {
+      callback(error, results);
+    });
+  });
+};
+
+/**
+ * Create an ImageCloner for part of the work of this one, such as one of
+ * several source images. It has the same configuration as this one, apart from
+ * the given changes, and leaves rollback to this one. Its region waves include
+ * only its own destination regions. It shares the EC2 utilities and
+ * concurrency limit of this one, and its events are emitted by this one.
+ *
+ * @param {Object} config Changes to the configuration, which must include
+ *   destinationRegions.
+ * @return {ImageCloner} The image cloner.
+ */
+ImageCloner.prototype.createChildImageCloner = function (config) {
+  var self = this;
+  var destinationRegions = config.destinationRegions;
+  var imageCloner = new ImageCloner(_.extend(
+    _.omit(this.config, [
+      'destinationAccounts',
+      'rollbackOnFailure',
+      'sourceImages',
+      'stateFile'
+    ]),
+    {
+      regionWaves: this.config.regionWaves && _.filter(
+        _.map(this.config.regionWaves, function (wave) {
+          return _.intersection(wave, destinationRegions);
+        }),
+        'length'
+      )
+    },
+    config
+  ));
+
+  imageCloner.ec2 = this.ec2;
+  imageCloner.sourceEc2 = this.sourceEc2;
+  imageCloner.copyQueue = this.copyQueue;
+
+  _.each(constants.events, function (eventName) {
+    imageCloner.on(eventName, function (event) {
+      self.emit(eventName, event);
+    });
+  });
+
+  return imageCloner;
+};
+
+/**
+ * Create an ImageCloner for one of several source images.
+ *
+ * @param {Object} sourceImage An item from the sourceImages option.
+ * @return {ImageCloner} The image cloner.
+ */
+ImageCloner.prototype.createSourceImageCloner = function (sourceImage) {
+  return this.createChildImageCloner({
+    sourceImageId: sourceImage.sourceImageId,
+    sourceRegion: sourceImage.sourceRegion || this.config.sourceRegion,
+    destinationRegions: sourceImage.destinationRegions ||
+      this.config.destinationRegions
+  });
+};
+
+/**
+ * Create an ImageCloner for each of the destinationAccounts option. Each
+ * describes and shares the source image using the credentials of this one, and
+ * makes every other request with the credentials of the role it assumes in its
+ * account.
+ *
+ * @return {Object} Image cloners keyed by account ID.
+ */
+ImageCloner.prototype.createAccountImageCloners = function () {
+  var self = this;
+
+  return _.reduce(this.config.destinationAccounts, function (result, account) {
+    var imageCloner = self.createChildImageCloner({
+      destinationRegions: account.destinationRegions ||
+        self.config.destinationRegions
+    });
+
+    imageCloner.destinationAccountId = account.accountId;
+    imageCloner.sharedAccountIds = _.map(
+      self.config.destinationAccounts,
+      'accountId'
+    );
+    imageCloner.ec2 = self.ec2.assumeRole(account.roleArn, account.externalId);
+    result[account.accountId] = imageCloner;
+    return result;
+  }, {});
+};
+
+/**
+ * Prepare the state of a run for several source images or destination
+ * accounts. The state of each is kept in this ImageCloner's state under the
+ * given property, keyed by source image ID or account ID, and each image
+ * cloner is given a state store that reads and writes its part.
+ *
+ * @param {Boolean} resume If true, load the saved state to resume from.
+ * @param {Object} imageCloners Image cloners keyed by source image ID or
+ *   account ID.
+ * @param {String} stateProperty The property of the state for their states.
+ * @param {Function} callback Of the form function (error).
+ */
+ImageCloner.prototype.prepareChildStates = function (
+  resume,
+  imageCloners,
+  stateProperty,
+  callback
+) {
+  var self = this;
+
+  function assignStateStores (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    _.each(imageCloners, function (imageCloner, key) {
+      imageCloner.stateStore = {
+        load: function (loadCallback) {
+          loadCallback(null, self.state[stateProperty][key]);
+        },
+        save: function (state, saveCallback) {
+          self.state[stateProperty][key] = state;
+          self.saveState(saveCallback);
+        }
+      };
+    });
+    callback();
+  }
+
+  this.state = undefined;
+
+  if (resume && !this.stateStore) {
+    return callback(new Error(
+      'Resuming requires a state store, such as one set by the stateFile option.'
+    ));
+  }
+
+  if (!this.stateStore || this.config.dryRun) {
+    return callback();
+  }
+
+  if (!resume) {
+    this.state = {};
+    this.state[stateProperty] = {};
+    return this.saveState(assignStateStores);
+  }
+
+  this.stateStore.load(function (error, state) {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!state) {
+      return callback(new Error('There is no saved state to resume from.'));
+    }
+
+    self.state = state;
+    self.state[stateProperty] = self.state[stateProperty] || {};
+    assignStateStores();
+  });
+};
+
+/**
+ * Delete a clone: deregister the image, and then delete the snapshots backing
+ * it. Snapshots that are still being created for a pending clone may not be
+ * known yet, and so are not deleted.
+ *
+ * Yields a record of what was deleted, even on error:
+ *
+ * {
+ *   imageId: 'ami-11223344',
+ *   deregistered: true,
+ *   deletedSnapshotIds: ['snap-11223344']
+ * }
+ *
+ * @param {String} imageId The ID of the clone.
+ * @param {String} region The region of the clone.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.deleteClone = function (imageId, region, callback) {
+  var self = this;
+  var deletion = {
+    imageId: imageId,
+    deregistered: false,
+    deletedSnapshotIds: []
+  };
+  var snapshotIds;
+
+  async.series({
+    describeImage: function (asyncCallback) {
+      self.ec2.describeImage(imageId, region, function (error, image) {
+        if (error) {
+          return asyncCallback(error);
+        }
+
+        snapshotIds = _.values(self.getSnapshotIdsByDeviceName(image));
+        asyncCallback();
+      });
+    },
+
+    deregisterImage: function (asyncCallback) {
+      self.ec2.deregisterImage(imageId, region, function (error) {
+        deletion.deregistered = !error;
+        asyncCallback(error);
+      });
+    },
+
+    deleteSnapshots: function (asyncCallback) {
+      async.eachSeries(snapshotIds, function (snapshotId, innerAsyncCallback) {
+        self.ec2.deleteSnapshot(snapshotId, region, function (error) {
+          if (!error) {
+            deletion.deletedSnapshotIds.push(snapshotId);
+          }
+          innerAsyncCallback(error);
+        });
+      }, asyncCallback);
+    }
+  }, function (error) {
+    if (deletion.deregistered) {
+      self.emitEvent(constants.events.CLONE_DELETED, region, deletion);
+    }
+
+    callback(error, deletion);
+  });
+};
+
+/**
+ * Roll back a failed run by deleting the clones it created, as given by its
+ * results. Clones that were reused rather than created are left in place.
+ *
+ * The deletion for each region, as yielded by deleteClone, is added to its
+ * result as the rollback property, along with any error. The saved progress of
+ * regions whose clones are deregistered is discarded, so that resuming clones
+ * them again.
+ *
+ * @param {Object} results Results keyed by destination region, which are
+ *   altered.
+ * @param {Function} callback Of the form function (error).
+ */
+ImageCloner.prototype.rollBack = function (results, callback) {
+  var self = this;
+  var regions = _.filter(_.keys(results), function (region) {
+    return results[region].imageId && !results[region].reused;
+  });
+
+  async.each(regions, function (region, asyncCallback) {
+    self.copyQueue.push(function (queueCallback) {
+      self.deleteClone(
+        results[region].imageId,
+        region,
+        function (error, deletion) {
+          results[region].rollback = deletion;
+          if (error) {
+            deletion.error = error;
+          }
+
+          if (deletion.deregistered && self.state) {
+            delete self.state.regions[region];
+          }
+          queueCallback();
+        }
+      );
+    }, asyncCallback);
+  }, function () {
+    if (!self.state) {
+      return callback();
+    }
+
+    self.saveState(callback);
+  });
+};
+
+/**
+ * Delete the clones recorded in the results of an earlier run, whether keyed
+ * by region or, for several source images or destination accounts, by source
+ * image ID or account ID and then region. This includes reused clones, but not
+ * the plans of dry runs. Results loaded from JSON can be used. Clones in other
+ * accounts are deleted using the roles given by the destinationAccounts option.
+ *
+ * Yields a report of the same shape as the results, with the deletion for each
+ * region, as yielded by deleteClone, and a success flag:
+ *
+ * {
+ *   'eu-west-1': {
+ *     success: true,
+ *     imageId: 'ami-11223344',
+ *     deregistered: true,
+ *     deletedSnapshotIds: ['snap-11223344']
+ *   },
+ *   ...
+ * }
+ *
+ * On failure the deletion also has an error, and an error summarizing the
+ * failures is yielded along with the report.
+ *
+ * @param {Object} results The results of an earlier run.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.cleanUp = function (results, callback) {
+  var self = this;
+  var report = {};
+  var regionResults = _.filter(
+    utilities.listRegionResults(results),
+    function (regionResult) {
+      return regionResult.result.imageId && !regionResult.result.dryRun;
+    }
+  );
+  var accountImageCloners = _.some(regionResults, 'accountId') ?
+    this.createAccountImageCloners() :
+    {};
+
+  async.each(regionResults, function (regionResult, asyncCallback) {
+    var path = _.compact([
+      regionResult.sourceImageId || regionResult.accountId,
+      regionResult.region
+    ]);
+    var imageCloner = regionResult.accountId ?
+      accountImageCloners[regionResult.accountId] :
+      self;
+
+    function onDeleted (error, deletion) {
+      _.set(report, path, _.extend({
+        success: !error
+      }, deletion));
+      if (error) {
+        _.get(report, path).error = errors.fromError(error, {
+          region: regionResult.region
+        });
+      }
+    }
+
+    if (!imageCloner) {
+      onDeleted(new errors.CloneError(util.format(
+        'No role is configured for account %s',
+        regionResult.accountId
+      ), {
+        region: regionResult.region,
+        accountId: regionResult.accountId
+      }), {
+        imageId: regionResult.result.imageId,
+        deregistered: false,
+        deletedSnapshotIds: []
+      });
+      return asyncCallback();
+    }
+
+    self.copyQueue.push(function (queueCallback) {
+      imageCloner.deleteClone(
+        regionResult.result.imageId,
+        regionResult.region,
+        function (error, deletion) {
+          onDeleted(error, deletion);
+          queueCallback();
+        }
+      );
+    }, asyncCallback);
+  }, function () {
+    var failures = _.reject(utilities.listRegionResults(report), 'result.success');
+
+    if (!failures.length) {
+      return callback(null, report);
+    }
+
+    callback(new errors.CloneError(util.format(
+      'Cleanup failed for %s of %s clones: %s',
+      failures.length,
+      regionResults.length,
+      _.map(failures, function (failure) {
+        return failure.result.imageId + ' in ' + failure.region + ': ' +
+          failure.result.error.message;
+      }).join('; ')
+    )), report);
+  });
+};
+
+/**
+ * Prune the clones in one destination region, as described for pruneImages.
+ *
+ * @param {String} region The destination region.
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.pruneRegion = function (region, callback) {
+  var self = this;
+  var retention = this.config.retention;
+  var minimumKeptTime = Date.now() -
+    (retention.keepNewerThanInDays || 0) * 24 * 60 * 60 * 1000;
+  var result = {
+    dryRun: this.config.dryRun,
+    success: false,
+    kept: [],
+    inUse: [],
+    pruned: []
+  };
+  var candidates = [];
+
+  function describeImage (image) {
+    return {
+      imageId: image.ImageId,
+      name: image.Name,
+      creationDate: image.CreationDate
+    };
+  }
+
+  async.series({
+    findImages: function (asyncCallback) {
+      self.ec2.findImagesByFilter(
+        {
+          name: retention.name,
+          description: retention.description,
+          tags: _.map(retention.tags, function (value, key) {
+            return {
+              Key: key,
+              Value: value
+            };
+          }),
+          states: [constants.imageStates.AVAILABLE]
+        },
+        region,
+        function (error, images) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          // Newest first. ISO 8601 creation dates sort as strings.
+          _.each(
+            _.reverse(_.sortBy(images, 'CreationDate')),
+            function (image, index) {
+              if (
+                index < retention.keepCount ||
+                (
+                  _.has(retention, 'keepNewerThanInDays') &&
+                  Date.parse(image.CreationDate) > minimumKeptTime
+                )
+              ) {
+                result.kept.push(describeImage(image));
+              }
+              else {
+                candidates.push(image);
+              }
+            }
+          );
+          asyncCallback();
+        }
+      );
+    },
+
+    findImageUsages: function (asyncCallback) {
+      self.ec2.findImageUsages(
+        _.map(candidates, 'ImageId'),
+        region,
+        function (error, usages) {
+          if (error) {
+            return asyncCallback(error);
+          }
+
+          candidates = _.filter(candidates, function (image) {
+            if (!usages[image.ImageId]) {
+              return true;
+            }
+
+            result.inUse.push(_.extend(describeImage(image), {
+              usages: usages[image.ImageId]
+            }));
+          });
+          asyncCallback();
+        }
+      );
+    },
+
+    prune: function (asyncCallback) {
+      async.eachSeries(candidates, function (image, innerAsyncCallback) {
+        var pruned = _.extend(describeImage(image), {
+          snapshotIds: _.values(self.getSnapshotIdsByDeviceName(image))
+        });
+
+        result.pruned.push(pruned);
+
+        if (self.config.dryRun) {
+          return innerAsyncCallback();
+        }
+
+        self.deleteClone(image.ImageId, region, function (error, deletion) {
+          _.extend(pruned, _.omit(deletion, 'imageId'));
+          if (error) {
+            pruned.error = errors.fromError(error, {
+              region: region,
+              imageId: image.ImageId
+            });
+          }
+          innerAsyncCallback();
+        });
+      }, asyncCallback);
+    }
+  }, function (error) {
+    var failures = _.filter(result.pruned, 'error');
+
+    if (!error && failures.length) {
+      error = new errors.CloneError(util.format(
+        'Failed to delete %s of %s images: %s',
+        failures.length,
+        result.pruned.length,
+        _.map(failures, function (failure) {
+          return failure.imageId + ': ' + failure.error.message;
+        }).join('; ')
+      ), {
+        region: region
+      });
+    }
+
+    result.success = !error;
+    if (error) {
+      error = errors.fromError(error, {
+        region: region
+      });
+      result.error = error;
+    }
+
+    callback(error, result);
+  });
+};
+
+/**
+ * Prune old clones in each destination region, according to the retention
+ * option. Available images that match the name, description, and tags of the
+ * retention option are found in each region, and the newest keepCount of them,
+ * and any created within keepNewerThanInDays, are kept. The rest are deleted
+ * as described for deleteClone, apart from those that are in use, as
+ * described for Ec2.findImageUsages.
+ *
+ * If the dryRun option is set, nothing is deleted, and the results list the
+ * images that would be pruned.
+ *
+ * Yields a report by region:
+ *
+ * {
+ *   'eu-west-1': {
+ *     dryRun: false,
+ *     success: true,
+ *     kept: [
+ *       {
+ *         imageId: 'ami-11223344',
+ *         name: 'name',
+ *         creationDate: '2026-10-01T10:00:00.000Z'
+ *       },
+ *       ...
+ *     ],
+ *     // The usages are constants.imageUsages values.
+ *     inUse: [
+ *       {
+ *         imageId: 'ami-55667788',
+ *         name: 'name',
+ *         creationDate: '2026-09-01T10:00:00.000Z',
+ *         usages: ['instance']
+ *       },
+ *       ...
+ *     ],
+ *     // For a dry run, the deregistered and deletedSnapshotIds properties are
+ *     // omitted.
+ *     pruned: [
+ *       {
+ *         imageId: 'ami-99001122',
+ *         name: 'name',
+ *         creationDate: '2026-08-01T10:00:00.000Z',
+ *         snapshotIds: ['snap-11223344'],
+ *         deregistered: true,
+ *         deletedSnapshotIds: ['snap-11223344']
+ *       },
+ *       ...
+ *     ]
+ *   },
+ *   ...
+ * }
+ *
+ * A region that fails has an error property, and an error summarizing the
+ * failed regions is yielded along with the report.
+ *
+ * @param {Function} callback Of the form function (error, object).
+ */
+ImageCloner.prototype.pruneImages = function (callback) {
+  var self = this;
+  var validationErrors = this.configValidator.validatePrune(this.config);
+  var results = {};
+
+  if (validationErrors.length) {
+    return callback(new Error(JSON.stringify(validationErrors)));
+  }
+
+  async.each(
+    this.config.destinationRegions,
+    function (region, asyncCallback) {
+      self.copyQueue.push(function (queueCallback) {
+        self.pruneRegion(region, function (error, result) {
+          results[region] = result;
+          queueCallback();
+        });
+      }, asyncCallback);
+    },
+    function () {
+      var failures = _.pickBy(results, function (result) {
+        return !result.success;
+      });
+
+      if (_.isEmpty(failures)) {
+        return callback(null, results);
+      }
+
+      callback(new errors.CloneError(util.format(
+        '%s failed for %s of %s destination regions: %s',
+        self.config.dryRun ? 'Dry run' : 'Pruning',
+        _.size(failures),
+        _.size(results),
+        _.map(failures, function (result, region) {
+          return region + ': ' + result.error.message;
+        }).join('; ')
+      )), results);
+    }
+  );
+};
+
+/**
+ * Validate the configuration.
+ *
+ * @param {Function} callback Of the form function (error).
+ */
+ImageCloner.prototype.validateConfig = function (callback) {
+  var validationErrors = this.configValidator.validate(this.config);
+
+  if (validationErrors.length) {
+    return callback(new Error(JSON.stringify(validationErrors)));
+  }
+
+  callback();
+};
+
+/**
+ * Obtain the results for destination regions before cloning is attempted.
+ *
+ * @param {String[]} destinationRegions The destination regions.
+ * @return {Object} Results keyed by destination region.
+ */
+ImageCloner.prototype.getInitialResults = function (destinationRegions) {
+  return _.chain(
+    destinationRegions
+  ).keyBy(function (region) {
+    return region;
+  }).mapValues(function (item) {
+    return {
+      error: new errors.CloneError('Cloning not attempted', {
+        region: item
+      }),
+      imageId: undefined,
+      success: false
+    };
+  }).value();
+};
+
+/**
+ * Fill out the configuration object with default values.
+ *
+ * @param {Object} config Configuration.
+ * @param {Object} Configuration with defaults set.
+ */
+ImageCloner.prototype.fillConfigurationDefaults = function (config) {
+  return _.defaults(config, {
+    apiMaxAttempts: 5,
+    apiRetryBaseDelayInMilliseconds: 200,
+    apiRetryMaxDelayInMilliseconds: 20000,
+    backoffJitterRatio: 0.5,
+    dryRun: false,
+    encrypted: false,
+    // Three hours.
+    maxCopyWaitInSeconds: 10800,
+    progressCheckBackoffMultiplier: 1.5,
+    progressCheckIntervalInSeconds: 30,
+    progressCheckMaxIntervalInSeconds: 120,
+    reuseExistingImages: false,
+    rollbackOnFailure: false,
+    shareSnapshots: false,
+    verification: constants.verificationModes.OFF,
+    waveFailureThreshold: 0
+  });
+};
+
+// Methods that return a promise when invoked without a callback.
+utilities.allowPromises(ImageCloner.prototype, [
+  'awaitImageCopyCompletion',
+  'cleanUp',
+  'cloneImage',
+  'cloneImageToRegion',
+  'deleteClone',
+  'findExistingImage',
+  'planCloneToRegion',
+  'pruneImages',
+  'pruneRegion',
+  'replicateImageAttributes',
+  'resumeCloneImage',
+  'rollBack',
+  'selectSourceImage',
+  'shareImageSnapshots',
+  'shareSourceImage',
+  'verifyClone'
+]);
+
 // --------------------------------------------------------------------------
 // Exports constructor.
 // --------------------------------------------------------------------------
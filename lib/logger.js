@@ -0,0 +1,61 @@
+/**
+ * @fileOverview Logging through a logger given by the logger option.
+ *
+ * A logger is any object with a method for each of constants.logLevels that
+ * accepts an object of fields followed by a message, such as console or a pino
+ * or bunyan logger:
+ *
+ * logger.info({ operation: 'copyImage', region: 'eu-west-1' }, 'AWS API call');
+ */
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var constants = require('./constants');
+
+/**
+ * Wrap a logger so that every level can be logged to, whether or not the
+ * logger has a method for it. Levels without a method, and every level if
+ * there is no logger, are not logged.
+ *
+ * @param {Object} [logger] The logger.
+ * @return {Object} An object with a method for each level, of the form
+ *   function (fields, message).
+ */
+exports.wrap = function (logger) {
+  return _.reduce(constants.logLevels, function (result, level) {
+    result[level] = function (fields, message) {
+      if (logger && typeof logger[level] === 'function') {
+        logger[level](fields, message);
+      }
+    };
+    return result;
+  }, {});
+};
+
+/**
+ * Create a logger that writes each message to a stream as a line of JSON, with
+ * the fields along with the level, time, and message:
+ *
+ * {"level":"debug","time":"2026-10-01T10:00:00.000Z","msg":"AWS API call",...}
+ *
+ * Errors among the fields are written as their messages.
+ *
+ * @param {stream.Writable} stream The stream to write to.
+ * @return {Object} The logger.
+ */
+exports.createJsonLinesLogger = function (stream) {
+  return _.reduce(constants.logLevels, function (result, level) {
+    result[level] = function (fields, message) {
+      stream.write(JSON.stringify(_.extend({
+        level: level,
+        time: new Date().toISOString(),
+        msg: message
+      }, fields), function (key, value) {
+        return value instanceof Error ? value.message : value;
+      }) + '\n');
+    };
+    return result;
+  }, {});
+};
@@ -0,0 +1,338 @@
+/**
+ * @fileOverview The report of a run, and its export as JSON, Markdown, and
+ * JUnit XML.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var errors = require('./errors');
+var utilities = require('./utilities');
+
+// The name of the JUnit test suites, and of the test suite if there is no
+// source image to name it after.
+var JUNIT_NAME = 'clone-ami-to-region';
+
+/**
+ * Obtain the details of a source image for the report.
+ *
+ * @param {Object} image The image data.
+ * @param {String} region The image region.
+ * @return {Object} The image details.
+ */
+exports.describeSourceImage = function (image, region) {
+  return {
+    imageId: image.ImageId,
+    name: image.Name,
+    description: image.Description,
+    region: region,
+    ownerId: image.OwnerId,
+    creationDate: image.CreationDate,
+    architecture: image.Architecture
+  };
+};
+
+/**
+ * Create the report of a run from its results and the details recorded while
+ * it ran. The report has the form:
+ *
+ * {
+ *   success: false,
+ *   startedAt: '2026-10-01T10:00:00.000Z',
+ *   endedAt: '2026-10-01T10:05:00.000Z',
+ *   durationInMilliseconds: 300000,
+ *   // The number of retried AWS API requests.
+ *   retryCount: 2,
+ *   // As given by describeSourceImage.
+ *   sourceImages: [
+ *     {
+ *       imageId: 'ami-11223344',
+ *       name: 'app',
+ *       description: 'An application image',
+ *       region: 'us-east-1',
+ *       ownerId: '111122223333',
+ *       creationDate: '2026-09-01T10:00:00.000Z',
+ *       architecture: 'x86_64'
+ *     },
+ *     ...
+ *   ],
+ *   // The result of each destination region, as listed by
+ *   // utilities.listRegionResults, with the properties of the result merged
+ *   // in. These include the steps, tags, and launchPermissions of the
+ *   // results of ImageCloner.cloneImageToRegion. Errors are CloneErrors.
+ *   regions: [
+ *     {
+ *       // Only present for several source images.
+ *       sourceImageId: 'ami-11223344',
+ *       // Only present for several destination accounts.
+ *       accountId: '111122223333',
+ *       region: 'eu-west-1',
+ *       success: true,
+ *       // The total duration of the steps.
+ *       durationInMilliseconds: 240000,
+ *       imageId: 'ami-55667788',
+ *       ...
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * The run details have the form:
+ *
+ * {
+ *   startedAt: '2026-10-01T10:00:00.000Z',
+ *   endedAt: '2026-10-01T10:05:00.000Z',
+ *   retryCount: 2,
+ *   sourceImages: []
+ * }
+ *
+ * @param {Object} results The results yielded by cloning.
+ * @param {Object} runDetails The details of the run.
+ * @return {Object} The report.
+ */
+exports.createReport = function (results, runDetails) {
+  var regions = _.map(utilities.listRegionResults(results), function (regionResult) {
+    var result = _.cloneDeepWith(regionResult.result, function (value) {
+      if (value instanceof Error) {
+        return errors.fromError(value);
+      }
+    });
+
+    return _.extend(_.pick(regionResult, [
+      'sourceImageId',
+      'accountId',
+      'region'
+    ]), {
+      success: Boolean(result.success),
+      durationInMilliseconds: _.sumBy(result.steps, 'durationInMilliseconds')
+    }, _.omit(result, 'success'));
+  });
+
+  return {
+    success: regions.length > 0 && _.every(regions, 'success'),
+    startedAt: runDetails.startedAt,
+    endedAt: runDetails.endedAt,
+    durationInMilliseconds:
+      new Date(runDetails.endedAt) - new Date(runDetails.startedAt),
+    retryCount: runDetails.retryCount,
+    sourceImages: runDetails.sourceImages,
+    regions: regions
+  };
+};
+
+/**
+ * Format a duration for people to read, such as '1m 5.2s'.
+ *
+ * @param {Number} durationInMilliseconds The duration.
+ * @return {String} The formatted duration.
+ */
+function formatDuration (durationInMilliseconds) {
+  var seconds = (durationInMilliseconds || 0) / 1000;
+  var minutes = Math.floor(seconds / 60);
+
+  seconds = (seconds - minutes * 60).toFixed(1) + 's';
+
+  return minutes ? minutes + 'm ' + seconds : seconds;
+}
+
+/**
+ * Escape a value for a cell of a Markdown table.
+ *
+ * @param {Mixed} value The value.
+ * @return {String} The escaped value.
+ */
+function escapeMarkdown (value) {
+  if (value === undefined || value === null || value === '') {
+    return '-';
+  }
+
+  return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Format rows as a Markdown table.
+ *
+ * @param {Array[]} rows The rows, starting with the headings.
+ * @return {String} The table.
+ */
+function formatMarkdownTable (rows) {
+  var lines = _.map(rows, function (row) {
+    return '| ' + _.map(row, escapeMarkdown).join(' | ') + ' |';
+  });
+
+  lines.splice(1, 0, '|' + _.repeat(' --- |', rows[0].length));
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a report as JSON.
+ *
+ * @param {Object} report The report given by createReport.
+ * @return {String} The JSON.
+ */
+exports.formatJson = function (report) {
+  return JSON.stringify(report, null, '  ');
+};
+
+/**
+ * Format a report as Markdown, such as for a pull request comment.
+ *
+ * @param {Object} report The report given by createReport.
+ * @return {String} The Markdown.
+ */
+exports.formatMarkdown = function (report) {
+  var hasSourceImages = _.some(report.regions, 'sourceImageId');
+  var hasAccounts = _.some(report.regions, 'accountId');
+  var regionRows = [['Region', 'Success', 'Image ID', 'Duration', 'Error']];
+
+  if (hasSourceImages) {
+    regionRows[0].unshift('Source Image');
+  }
+  else if (hasAccounts) {
+    regionRows[0].unshift('Account');
+  }
+
+  _.each(report.regions, function (region) {
+    var row = [
+      region.region,
+      region.success ? 'yes' : 'no',
+      region.imageId,
+      formatDuration(region.durationInMilliseconds),
+      region.error && region.error.message
+    ];
+
+    if (hasSourceImages) {
+      row.unshift(region.sourceImageId);
+    }
+    else if (hasAccounts) {
+      row.unshift(region.accountId);
+    }
+
+    regionRows.push(row);
+  });
+
+  return [
+    '## Image Clone Report',
+    '',
+    util.format(
+      '%s for %s of %s destination regions.',
+      report.success ? 'Cloning succeeded' : 'Cloning failed',
+      _.filter(report.regions, 'success').length,
+      report.regions.length
+    ),
+    '',
+    util.format(
+      'Started at %s and took %s, with %s retried AWS API requests.',
+      report.startedAt,
+      formatDuration(report.durationInMilliseconds),
+      report.retryCount || 0
+    ),
+    '',
+    '### Source Images',
+    '',
+    formatMarkdownTable([
+      ['Image ID', 'Name', 'Region', 'Created']
+    ].concat(_.map(report.sourceImages, function (image) {
+      return [image.imageId, image.name, image.region, image.creationDate];
+    }))),
+    '',
+    '### Destination Regions',
+    '',
+    formatMarkdownTable(regionRows)
+  ].join('\n');
+};
+
+/**
+ * Escape a value for XML text or an attribute value.
+ *
+ * @param {Mixed} value The value.
+ * @return {String} The escaped value.
+ */
+function escapeXml (value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a duration in seconds, as JUnit XML expects.
+ *
+ * @param {Number} durationInMilliseconds The duration.
+ * @return {String} The duration in seconds.
+ */
+function formatJUnitTime (durationInMilliseconds) {
+  return ((durationInMilliseconds || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Format a report as JUnit XML, so that CI systems show each destination
+ * region as a test case. There is a test suite for each source image or
+ * destination account, or one for the source image otherwise.
+ *
+ * @param {Object} report The report given by createReport.
+ * @return {String} The XML.
+ */
+exports.formatJUnit = function (report) {
+  var defaultSuiteName = _.get(report.sourceImages, '[0].imageId', JUNIT_NAME);
+  var suites = _.groupBy(report.regions, function (region) {
+    return region.sourceImageId || region.accountId || defaultSuiteName;
+  });
+  var lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    util.format(
+      '<testsuites name="%s" tests="%s" failures="%s" time="%s">',
+      JUNIT_NAME,
+      report.regions.length,
+      _.reject(report.regions, 'success').length,
+      formatJUnitTime(report.durationInMilliseconds)
+    )
+  ];
+
+  _.each(suites, function (regions, suiteName) {
+    lines.push(util.format(
+      '  <testsuite name="%s" tests="%s" failures="%s" time="%s" ' +
+      'timestamp="%s">',
+      escapeXml(suiteName),
+      regions.length,
+      _.reject(regions, 'success').length,
+      formatJUnitTime(_.sumBy(regions, 'durationInMilliseconds')),
+      escapeXml(report.startedAt)
+    ));
+
+    _.each(regions, function (region) {
+      var message = _.get(region, 'error.message', 'Failed');
+
+      lines.push(util.format(
+        '    <testcase name="%s" classname="%s" time="%s"%s',
+        escapeXml(region.region),
+        escapeXml(suiteName),
+        formatJUnitTime(region.durationInMilliseconds),
+        region.success ? '/>' : '>'
+      ));
+
+      if (!region.success) {
+        lines.push(util.format(
+          '      <failure type="%s" message="%s">%s</failure>',
+          escapeXml(_.get(region, 'error.code', 'Error')),
+          escapeXml(message),
+          escapeXml(message)
+        ));
+        lines.push('    </testcase>');
+      }
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+
+  return lines.join('\n');
+};
@@ -0,0 +1,50 @@
+/**
+ * @fileOverview Rendering of simple templates, such as tag values.
+ *
+ * A template is a string that contains variables in braces, such as
+ * 'Copied from {sourceImageId}'. The available variables are listed in
+ * constants.templateVariables.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+// Matches a variable, capturing its name. A name may have a prefix, as in
+// {tag:Team}.
+var VARIABLE_REGEXP = /\{([A-Za-z]+(?::[^{}]+)?)\}/g;
+
+/**
+ * Obtain the names of the variables used in a template.
+ *
+ * @param {String} template The template.
+ * @return {String[]} The variable names, without duplicates.
+ */
+exports.getVariableNames = function (template) {
+  var names = [];
+
+  String(template).replace(VARIABLE_REGEXP, function (match, name) {
+    names.push(name);
+    return match;
+  });
+
+  return _.uniq(names);
+};
+
+/**
+ * Render a template. Variables without a value are left unchanged, unless a
+ * default value is given.
+ *
+ * @param {String} template The template.
+ * @param {Object} values Variable values keyed by name.
+ * @param {String} [defaultValue] The value of variables without a value.
+ * @return {String} The rendered template.
+ */
+exports.render = function (template, values, defaultValue) {
+  return String(template).replace(VARIABLE_REGEXP, function (match, name) {
+    if (_.has(values, name)) {
+      return String(values[name]);
+    }
+
+    return defaultValue === undefined ? match : defaultValue;
+  });
+};
@@ -0,0 +1,135 @@
+/**
+ * @fileOverview Miscellaneous utility functions.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+/**
+ * Wrap a method that expects a trailing Node-style callback so that it instead
+ * returns a promise when invoked without a callback.
+ *
+ * If the method yields an error alongside a result, as ImageCloner.cloneImage
+ * does with its results on partial failure, then the result is attached to the
+ * rejected error as error.results.
+ *
+ * @param {Function} fn The method to wrap.
+ * @return {Function} The wrapped method.
+ */
+exports.callbackOrPromise = function (fn) {
+  return function () {
+    var self = this;
+    var args = _.toArray(arguments);
+
+    if (typeof _.last(args) === 'function') {
+      return fn.apply(self, args);
+    }
+
+    // Put the callback in its expected position, regardless of whether
+    // undefined was passed in place of a callback.
+    args.length = fn.length - 1;
+
+    return new Promise(function (resolve, reject) {
+      args.push(function (error, result) {
+        if (error) {
+          if (result !== undefined) {
+            error.results = result;
+          }
+
+          return reject(error);
+        }
+
+        resolve(result);
+      });
+
+      fn.apply(self, args);
+    });
+  };
+};
+
+/**
+ * Obtain the delay before an attempt when backing off exponentially, with
+ * jitter so that many concurrent attempts do not all retry at once.
+ *
+ * The delay before the first retry is the base delay, and it is multiplied by
+ * the multiplier for each further retry, up to the maximum. Jitter then
+ * randomly reduces the delay by up to the jitter ratio: a ratio of 0 means no
+ * jitter, and a ratio of 1 means a delay anywhere between zero and the full
+ * delay.
+ *
+ * @param {Number} retryCount The retry count, starting at 1.
+ * @param {Number} baseDelay The delay before the first retry.
+ * @param {Number} multiplier The factor by which the delay grows.
+ * @param {Number} maxDelay The maximum delay.
+ * @param {Number} jitterRatio Between 0 and 1.
+ * @return {Number} The delay, in the same units as the base delay.
+ */
+exports.getBackoffDelay = function (
+  retryCount,
+  baseDelay,
+  multiplier,
+  maxDelay,
+  jitterRatio
+) {
+  var delay = Math.min(
+    maxDelay,
+    baseDelay * Math.pow(multiplier, Math.max(retryCount - 1, 0))
+  );
+
+  return delay * (1 - jitterRatio * Math.random());
+};
+
+/**
+ * List the results for each destination region, whether the results are keyed
+ * by region or, for several source images or destination accounts, by source
+ * image ID or account ID and then region:
+ *
+ * [
+ *   {
+ *     // Only present for several source images.
+ *     sourceImageId: 'ami-11223344',
+ *     // Only present for several destination accounts.
+ *     accountId: '111122223333',
+ *     region: 'eu-west-1',
+ *     result: {}
+ *   },
+ *   ...
+ * ]
+ *
+ * @param {Object} results The results yielded by cloning.
+ * @return {Object[]} The region results.
+ */
+exports.listRegionResults = function (results) {
+  return _.flatMap(results, function (value, key) {
+    // A region result always has a success flag.
+    if (_.has(value, 'success')) {
+      return {
+        region: key,
+        result: value
+      };
+    }
+
+    return _.map(value, function (result, region) {
+      var regionResult = {
+        region: region,
+        result: result
+      };
+
+      // Account IDs are 12 digits, whereas image IDs have the ami- prefix.
+      regionResult[/^[0-9]{12}$/.test(key) ? 'accountId' : 'sourceImageId'] = key;
+      return regionResult;
+    });
+  });
+};
+
+/**
+ * Wrap the named methods of a prototype with callbackOrPromise.
+ *
+ * @param {Object} prototype The prototype to alter.
+ * @param {String[]} methodNames The names of the methods to wrap.
+ */
+exports.allowPromises = function (prototype, methodNames) {
+  _.each(methodNames, function (methodName) {
+    prototype[methodName] = exports.callbackOrPromise(prototype[methodName]);
+  });
+};
@@ -0,0 +1,674 @@
+/**
+ * @fileOverview Tests for the command line interface.
+ */
+
+// Core.
+var path = require('path');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var cli = require('../../lib/cli');
+var constants = require('../../lib/constants');
+var errors = require('../../lib/errors');
+var ImageCloner = require('../../lib/imageCloner');
+
+describe('lib/cli', function () {
+  var argv;
+  var results;
+  var sandbox;
+  var stderr;
+  var stdout;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    argv = [
+      '--source-image-id', 'ami-11223344',
+      '--source-region', 'us-east-1',
+      '--destination-region', 'eu-west-1',
+      '--destination-region', 'us-west-2'
+    ];
+    results = {
+      'eu-west-1': {
+        imageId: 'ami-55667788',
+        reused: false,
+        success: true
+      },
+      'us-west-2': {
+        error: new Error('failed'),
+        imageId: undefined,
+        success: false
+      }
+    };
+
+    stdout = {
+      write: sandbox.stub()
+    };
+    stderr = {
+      write: sandbox.stub()
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('parseArguments', function () {
+    it('functions as expected', function (done) {
+      argv.push(
+        '--progress-check-interval-in-seconds', '10',
+        '--reuse-existing-images',
+        '--client-options', '{"maxRetries":2}',
+        '--output', 'json'
+      );
+
+      cli.parseArguments(argv, function (error, options) {
+        expect(options).to.eql({
+          config: {
+            sourceImageId: 'ami-11223344',
+            sourceRegion: 'us-east-1',
+            destinationRegions: ['eu-west-1', 'us-west-2'],
+            progressCheckIntervalInSeconds: 10,
+            reuseExistingImages: true,
+            clientOptions: {
+              maxRetries: 2
+            }
+          },
+          help: false,
+          log: false,
+          output: 'json',
+          progress: false,
+          prune: false,
+          resume: false
+        });
+        done(error);
+      });
+    });
+
+    it('accepts region waves as comma-separated lists', function (done) {
+      argv.push(
+        '--region-wave', 'eu-west-1',
+        '--region-wave', 'us-west-2, eu-west-1'
+      );
+
+      cli.parseArguments(argv, function (error, options) {
+        expect(options.config.regionWaves).to.eql([
+          ['eu-west-1'],
+          ['us-west-2', 'eu-west-1']
+        ]);
+        done(error);
+      });
+    });
+
+    it('accepts negated boolean options', function (done) {
+      argv.push('--no-reuse-existing-images');
+
+      cli.parseArguments(argv, function (error, options) {
+        expect(options.config.reuseExistingImages).to.equal(false);
+        done(error);
+      });
+    });
+
+    it('loads a JSON configuration file', function (done) {
+      cli.parseArguments([
+        '--config', path.join(__dirname, '../resources/config.json'),
+        '--destination-region', 'us-west-2'
+      ], function (error, options) {
+        expect(options.config).to.eql({
+          sourceImageId: 'ami-11223344',
+          sourceRegion: 'us-east-1',
+          destinationRegions: ['us-west-2']
+        });
+        expect(options.output).to.equal(constants.outputFormats.TABLE);
+        done(error);
+      });
+    });
+
+    it('loads a YAML configuration file', function (done) {
+      cli.parseArguments([
+        '--config', path.join(__dirname, '../resources/config.yml')
+      ], function (error, options) {
+        expect(options.config).to.eql({
+          sourceImageId: 'ami-11223344',
+          sourceRegion: 'us-east-1',
+          destinationRegions: ['eu-west-1']
+        });
+        done(error);
+      });
+    });
+
+    it('calls back with error for a missing configuration file', function (done) {
+      cli.parseArguments([
+        '--config', path.join(__dirname, '../resources/missing.json')
+      ], function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('parses arrays of objects as JSON', function (done) {
+      cli.parseArguments([
+        '--source-image', '{"sourceImageId":"ami-11111111"}',
+        '--source-image', '{"sourceImageId":"ami-22222222"}',
+        '--source-region', 'us-east-1'
+      ], function (error, options) {
+        expect(options.config.sourceImages).to.eql([
+          {
+            sourceImageId: 'ami-11111111'
+          },
+          {
+            sourceImageId: 'ami-22222222'
+          }
+        ]);
+        done(error);
+      });
+    });
+
+    it('calls back with error for invalid JSON in arrays', function (done) {
+      cli.parseArguments([
+        '--source-image', 'ami-11111111'
+      ], function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error for unknown arguments', function (done) {
+      argv.push('--unknown', 'value');
+
+      cli.parseArguments(argv, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error for invalid values', function (done) {
+      argv.push('--progress-check-interval-in-seconds', 'value');
+
+      cli.parseArguments(argv, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error for missing values', function (done) {
+      argv.push('--source-region');
+
+      cli.parseArguments(argv, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error to resume without a state file', function (done) {
+      argv.push('--resume');
+
+      cli.parseArguments(argv, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error to both resume and prune', function (done) {
+      argv.push('--resume', '--state-file', 'state.json', '--prune');
+
+      cli.parseArguments(argv, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error for an invalid output format', function (done) {
+      argv.push('--output', 'xml');
+
+      cli.parseArguments(argv, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error for a report format with prune', function (done) {
+      argv.push('--prune', '--output', 'junit');
+
+      cli.parseArguments(argv, function (error) {
+        expect(error.message).to.equal(
+          'The junit output format cannot be used with --prune.'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('formatResults', function () {
+    it('formats JSON', function () {
+      results['us-west-2'].error = new errors.CloneError('failed', {
+        code: 'RequestLimitExceeded',
+        region: 'us-west-2',
+        step: constants.regionSteps.COPY
+      });
+
+      var json = JSON.parse(cli.formatResults(
+        results,
+        constants.outputFormats.JSON
+      ));
+
+      expect(json).to.eql({
+        'eu-west-1': {
+          imageId: 'ami-55667788',
+          reused: false,
+          success: true
+        },
+        'us-west-2': {
+          error: {
+            name: 'CloneError',
+            message: 'failed',
+            code: 'RequestLimitExceeded',
+            region: 'us-west-2',
+            step: constants.regionSteps.COPY
+          },
+          success: false
+        }
+      });
+      expect(json['us-west-2'].error.code).to.equal('RequestLimitExceeded');
+      expect(json['us-west-2'].error.step).to.equal(constants.regionSteps.COPY);
+    });
+
+    it('formats nested errors as JSON', function () {
+      results['us-west-2'].authorization = {
+        copyImage: {
+          error: new Error('nested')
+        }
+      };
+
+      expect(JSON.parse(cli.formatResults(
+        results,
+        constants.outputFormats.JSON
+      ))['us-west-2'].authorization).to.eql({
+        copyImage: {
+          error: {
+            name: 'CloneError',
+            message: 'nested'
+          }
+        }
+      });
+    });
+
+    it('formats a table', function () {
+      expect(cli.formatResults(
+        results,
+        constants.outputFormats.TABLE
+      )).to.equal([
+        'Region     Success  Image ID      Reused  Error',
+        'eu-west-1  yes      ami-55667788  no      -',
+        'us-west-2  no       -             no      failed'
+      ].join('\n'));
+    });
+
+    it('formats a table for several source images', function () {
+      expect(cli.formatResults(
+        {
+          'ami-11223344': results
+        },
+        constants.outputFormats.TABLE
+      )).to.equal([
+        'Source Image  Region     Success  Image ID      Reused  Error',
+        'ami-11223344  eu-west-1  yes      ami-55667788  no      -',
+        'ami-11223344  us-west-2  no       -             no      failed'
+      ].join('\n'));
+    });
+  });
+
+  describe('formatPruneResults', function () {
+    var pruneResults;
+
+    beforeEach(function () {
+      pruneResults = {
+        'eu-west-1': {
+          dryRun: true,
+          success: true,
+          kept: [
+            {
+              imageId: 'ami-11111111',
+              name: 'app-3',
+              creationDate: '2026-10-03T10:00:00.000Z'
+            }
+          ],
+          inUse: [
+            {
+              imageId: 'ami-22222222',
+              name: 'app-2',
+              creationDate: '2026-10-02T10:00:00.000Z',
+              usages: ['instance']
+            }
+          ],
+          pruned: [
+            {
+              imageId: 'ami-33333333',
+              name: 'app-1',
+              creationDate: '2026-10-01T10:00:00.000Z',
+              snapshotIds: []
+            }
+          ]
+        },
+        'us-west-2': {
+          dryRun: true,
+          success: false,
+          error: new Error('failed'),
+          kept: [],
+          inUse: [],
+          pruned: []
+        },
+        'ap-south-1': {
+          dryRun: true,
+          success: true,
+          kept: [],
+          inUse: [],
+          pruned: []
+        }
+      };
+    });
+
+    it('formats a table', function () {
+      expect(cli.formatPruneResults(
+        pruneResults,
+        constants.outputFormats.TABLE
+      )).to.equal([
+        'Region      Image ID      Name   Created                   Action            Error',
+        'eu-west-1   ami-11111111  app-3  2026-10-03T10:00:00.000Z  keep              -',
+        'eu-west-1   ami-22222222  app-2  2026-10-02T10:00:00.000Z  in use: instance  -',
+        'eu-west-1   ami-33333333  app-1  2026-10-01T10:00:00.000Z  would prune       -',
+        'us-west-2   -             -      -                         -                 failed',
+        'ap-south-1  -             -      -                         none found        -'
+      ].join('\n'));
+    });
+
+    it('formats JSON', function () {
+      expect(JSON.parse(cli.formatPruneResults(
+        pruneResults,
+        constants.outputFormats.JSON
+      ))['us-west-2'].error).to.eql({
+        name: 'CloneError',
+        message: 'failed'
+      });
+    });
+  });
+
+  describe('getExitCode', function () {
+    it('functions as expected', function () {
+      expect(cli.getExitCode(new Error(), results)).to.equal(
+        constants.exitCodes.PARTIAL_FAILURE
+      );
+
+      results['us-west-2'].success = true;
+      expect(cli.getExitCode(undefined, results)).to.equal(
+        constants.exitCodes.SUCCESS
+      );
+
+      results['eu-west-1'].success = false;
+      results['us-west-2'].success = false;
+      expect(cli.getExitCode(new Error(), results)).to.equal(
+        constants.exitCodes.TOTAL_FAILURE
+      );
+    });
+
+    it('counts the regions of several source images', function () {
+      results['us-west-2'].success = true;
+      expect(cli.getExitCode(new Error(), {
+        'ami-11111111': results,
+        'ami-22222222': {
+          'eu-west-1': {
+            success: false
+          }
+        }
+      })).to.equal(constants.exitCodes.PARTIAL_FAILURE);
+    });
+  });
+
+  describe('run', function () {
+    beforeEach(function () {
+      sandbox.stub(ImageCloner.prototype, 'cloneImage').yields(
+        new Error('failed'),
+        results
+      );
+    });
+
+    it('functions as expected', function (done) {
+      cli.run(argv, stdout, stderr, function (exitCode) {
+        expect(exitCode).to.equal(constants.exitCodes.PARTIAL_FAILURE);
+
+        sinon.assert.calledOnce(ImageCloner.prototype.cloneImage);
+        sinon.assert.calledWith(
+          stdout.write,
+          cli.formatResults(results, constants.outputFormats.TABLE) + '\n'
+        );
+        sinon.assert.calledWith(stderr.write, 'Error: failed\n');
+
+        done();
+      });
+    });
+
+    it('accepts region waves', function (done) {
+      argv.push('--region-wave', 'eu-west-1', '--region-wave', 'us-west-2');
+
+      cli.run(argv, stdout, stderr, function (exitCode) {
+        expect(exitCode).to.not.equal(constants.exitCodes.INVALID_USAGE);
+        sinon.assert.calledOnce(ImageCloner.prototype.cloneImage);
+        expect(
+          ImageCloner.prototype.cloneImage.thisValues[0].config.regionWaves
+        ).to.eql([['eu-west-1'], ['us-west-2']]);
+        done();
+      });
+    });
+
+    it('writes progress events', function (done) {
+      ImageCloner.prototype.cloneImage.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImage', function (callback) {
+        this.emitEvent(constants.events.FAILED, 'us-west-2', {
+          error: new errors.CloneError('failed', {
+            code: constants.errorCodes.COPY_FAILED,
+            step: constants.regionSteps.AWAIT
+          })
+        });
+        callback(null, results);
+      });
+
+      argv.push('--progress');
+
+      cli.run(argv, stdout, stderr, function (exitCode) {
+        var event = JSON.parse(stderr.write.getCall(0).args[0]);
+
+        expect(event.event).to.equal(constants.events.FAILED);
+        expect(event.region).to.equal('us-west-2');
+        expect(event.error).to.eql({
+          name: 'CloneError',
+          message: 'failed',
+          code: constants.errorCodes.COPY_FAILED,
+          step: constants.regionSteps.AWAIT
+        });
+
+        done();
+      });
+    });
+
+    it('writes errors as JSON lines with progress events', function (done) {
+      ImageCloner.prototype.cloneImage.yields(
+        new errors.CloneError('failed', {
+          code: constants.errorCodes.REGION_SKIPPED
+        }),
+        results
+      );
+
+      argv.push('--progress');
+
+      cli.run(argv, stdout, stderr, function (exitCode) {
+        var line = JSON.parse(stderr.write.lastCall.args[0]);
+
+        expect(exitCode).to.equal(constants.exitCodes.PARTIAL_FAILURE);
+        expect(line.level).to.equal(constants.logLevels.ERROR);
+        expect(line.msg).to.equal('failed');
+        expect(line.error).to.eql({
+          name: 'CloneError',
+          message: 'failed',
+          code: constants.errorCodes.REGION_SKIPPED
+        });
+
+        done();
+      });
+    });
+
+    it('writes invalid configuration as a JSON line with a log', function (done) {
+      cli.run([
+        '--log',
+        '--source-region', 'us-east-1'
+      ], stdout, stderr, function (exitCode) {
+        var line = JSON.parse(stderr.write.lastCall.args[0]);
+
+        expect(exitCode).to.equal(constants.exitCodes.INVALID_USAGE);
+        sinon.assert.calledOnce(stderr.write);
+        expect(line.level).to.equal(constants.logLevels.ERROR);
+        expect(line.msg).to.equal('Invalid configuration');
+        expect(line.validationErrors).to.have.length.above(0);
+
+        done();
+      });
+    });
+
+    it('writes a log', function (done) {
+      ImageCloner.prototype.cloneImage.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImage', function (callback) {
+        this.ec2.logger.debug({
+          operation: 'copyImage'
+        }, 'AWS API call');
+        callback(null, results);
+      });
+
+      argv.push('--log');
+
+      cli.run(argv, stdout, stderr, function (exitCode) {
+        var line = JSON.parse(stderr.write.getCall(0).args[0]);
+
+        expect(line.level).to.equal(constants.logLevels.DEBUG);
+        expect(line.msg).to.equal('AWS API call');
+        expect(line.operation).to.equal('copyImage');
+
+        done();
+      });
+    });
+
+    it('writes the run report', function (done) {
+      ImageCloner.prototype.cloneImage.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImage', function (callback) {
+        this.runDetails = {
+          startedAt: '2026-10-01T10:00:00.000Z',
+          endedAt: '2026-10-01T10:05:00.000Z',
+          retryCount: 0,
+          sourceImages: []
+        };
+        callback(null, results);
+      });
+
+      argv.push('--output', 'report');
+
+      cli.run(argv, stdout, stderr, function (exitCode) {
+        var report = JSON.parse(stdout.write.getCall(0).args[0]);
+
+        expect(report.durationInMilliseconds).to.equal(300000);
+        expect(_.map(report.regions, 'region')).to.eql([
+          'eu-west-1',
+          'us-west-2'
+        ]);
+
+        done();
+      });
+    });
+
+    it('resumes an interrupted run', function (done) {
+      sandbox.stub(ImageCloner.prototype, 'resumeCloneImage').yields(
+        null,
+        results
+      );
+
+      argv.push('--resume', '--state-file', 'state.json');
+
+      cli.run(argv, stdout, stderr, function (exitCode) {
+        sinon.assert.calledOnce(ImageCloner.prototype.resumeCloneImage);
+        sinon.assert.notCalled(ImageCloner.prototype.cloneImage);
+
+        done();
+      });
+    });
+
+    it('prunes old clones', function (done) {
+      var pruneResults = {
+        'eu-west-1': {
+          dryRun: false,
+          success: true,
+          kept: [],
+          inUse: [],
+          pruned: []
+        }
+      };
+
+      sandbox.stub(ImageCloner.prototype, 'pruneImages').yields(
+        null,
+        pruneResults
+      );
+
+      cli.run([
+        '--prune',
+        '--destination-region', 'eu-west-1',
+        '--retention', '{"name":"app-*","keepCount":3}'
+      ], stdout, stderr, function (exitCode) {
+        expect(exitCode).to.equal(constants.exitCodes.SUCCESS);
+
+        sinon.assert.calledOnce(ImageCloner.prototype.pruneImages);
+        sinon.assert.notCalled(ImageCloner.prototype.cloneImage);
+        sinon.assert.calledWith(
+          stdout.write,
+          cli.formatPruneResults(pruneResults, constants.outputFormats.TABLE) +
+            '\n'
+        );
+
+        done();
+      });
+    });
+
+    it('exits with an error on invalid prune configuration', function (done) {
+      sandbox.stub(ImageCloner.prototype, 'pruneImages');
+
+      cli.run([
+        '--prune',
+        '--destination-region', 'eu-west-1'
+      ], stdout, stderr, function (exitCode) {
+        expect(exitCode).to.equal(constants.exitCodes.INVALID_USAGE);
+        sinon.assert.notCalled(ImageCloner.prototype.pruneImages);
+
+        done();
+      });
+    });
+
+    it('shows usage', function (done) {
+      cli.run(['--help'], stdout, stderr, function (exitCode) {
+        expect(exitCode).to.equal(constants.exitCodes.SUCCESS);
+
+        sinon.assert.notCalled(ImageCloner.prototype.cloneImage);
+        sinon.assert.calledWith(stdout.write, cli.getUsage() + '\n');
+
+        done();
+      });
+    });
+
+    it('exits with an error on invalid configuration', function (done) {
+      cli.run(['--source-region', 'us-east-1'], stdout, stderr, function (exitCode) {
+        expect(exitCode).to.equal(constants.exitCodes.INVALID_USAGE);
+
+        sinon.assert.notCalled(ImageCloner.prototype.cloneImage);
+        sinon.assert.calledOnce(stderr.write);
+
+        done();
+      });
+    });
+  });
+});
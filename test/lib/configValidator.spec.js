@@ -41,6 +41,270 @@ describe('lib/configValidator', function () {
     expect(errors).to.eql([]);
   });
 
+  it('validates encryption configuration', function () {
+    function runEncrypted (kmsKeyId, shouldError) {
+      config = resources.getConfig({
+        encrypted: true,
+        kmsKeyId: kmsKeyId,
+        regionOverrides: {
+          'eu-west-1': {
+            kmsKeyId: kmsKeyId
+          }
+        }
+      });
+      errors = configValidator.validate(config);
+      expect(errors.length).to.equal(shouldError ? 2 : 0);
+    }
+
+    runEncrypted(undefined, false);
+    runEncrypted('1234abcd-12ab-34cd-56ef-1234567890ab', false);
+    runEncrypted('mrk-1234abcd12ab34cd56ef1234567890ab', false);
+    runEncrypted('alias/example', false);
+    runEncrypted(
+      'arn:aws:kms:us-east-1:111122223333:key/1234abcd-12ab-34cd-56ef-1234567890ab',
+      false
+    );
+    runEncrypted('arn:aws:kms:us-east-1:111122223333:alias/example', false);
+    runEncrypted('', true);
+    runEncrypted('example', true);
+  });
+
+  it('validates source images configuration', function () {
+    function runSourceImages (overrides, errorCount) {
+      config = resources.getConfig(overrides);
+      delete config.sourceImageId;
+      errors = configValidator.validate(config);
+      expect(errors.length).to.equal(errorCount);
+    }
+
+    runSourceImages({
+      sourceImages: [
+        {
+          sourceImageId: 'ami-11111111'
+        },
+        {
+          sourceImageId: 'ami-22222222',
+          sourceRegion: 'us-west-2',
+          destinationRegions: ['eu-west-2']
+        }
+      ]
+    }, 0);
+    runSourceImages({
+      sourceImages: []
+    }, 1);
+    runSourceImages({
+      sourceImages: [
+        {
+          sourceImageId: 'ami-11111111'
+        },
+        {
+          sourceImageId: 'ami-11111111'
+        }
+      ]
+    }, 1);
+    runSourceImages({
+      sourceImages: [
+        {
+          sourceImageId: 'ami-11111111',
+          unknown: true
+        }
+      ]
+    }, 1);
+
+    // Without a global source region or destination regions.
+    config = resources.getConfig({
+      sourceImages: [
+        {
+          sourceImageId: 'ami-11111111'
+        }
+      ]
+    });
+    delete config.sourceImageId;
+    delete config.sourceRegion;
+    delete config.destinationRegions;
+    expect(configValidator.validate(config).length).to.equal(2);
+
+    // With sourceImageId as well.
+    config = resources.getConfig({
+      sourceImages: [
+        {
+          sourceImageId: 'ami-11111111'
+        }
+      ]
+    });
+    expect(configValidator.validate(config).length).to.equal(1);
+  });
+
+  it('validates destination accounts configuration', function () {
+    function runDestinationAccounts (destinationAccounts, errorCount) {
+      config = resources.getConfig({
+        destinationAccounts: destinationAccounts
+      });
+      errors = configValidator.validate(config);
+      expect(errors.length).to.equal(errorCount);
+    }
+
+    runDestinationAccounts([
+      {
+        accountId: '111122223333',
+        roleArn: 'arn:aws:iam::111122223333:role/clone-ami'
+      },
+      {
+        accountId: '444455556666',
+        roleArn: 'arn:aws:iam::444455556666:role/clone-ami',
+        externalId: 'example',
+        destinationRegions: ['eu-west-2']
+      }
+    ], 0);
+    runDestinationAccounts([], 1);
+    runDestinationAccounts([
+      {
+        accountId: '1111',
+        roleArn: 'arn:aws:iam::111122223333:role/clone-ami'
+      }
+    ], 1);
+    runDestinationAccounts([
+      {
+        accountId: '111122223333'
+      }
+    ], 1);
+    // The role is in a different account.
+    runDestinationAccounts([
+      {
+        accountId: '111122223333',
+        roleArn: 'arn:aws:iam::444455556666:role/clone-ami'
+      }
+    ], 1);
+    runDestinationAccounts([
+      {
+        accountId: '111122223333',
+        roleArn: 'arn:aws:iam::111122223333:role/clone-ami'
+      },
+      {
+        accountId: '111122223333',
+        roleArn: 'arn:aws:iam::111122223333:role/other'
+      }
+    ], 1);
+
+    // Without destination regions for an account.
+    config = resources.getConfig({
+      destinationAccounts: [
+        {
+          accountId: '111122223333',
+          roleArn: 'arn:aws:iam::111122223333:role/clone-ami'
+        },
+        {
+          accountId: '444455556666',
+          roleArn: 'arn:aws:iam::444455556666:role/clone-ami',
+          destinationRegions: ['eu-west-2']
+        }
+      ]
+    });
+    delete config.destinationRegions;
+    expect(configValidator.validate(config).length).to.equal(1);
+
+    // With sourceImages as well.
+    config = resources.getConfig({
+      sourceImages: [
+        {
+          sourceImageId: 'ami-11111111'
+        }
+      ],
+      destinationAccounts: [
+        {
+          accountId: '111122223333',
+          roleArn: 'arn:aws:iam::111122223333:role/clone-ami'
+        }
+      ]
+    });
+    delete config.sourceImageId;
+    expect(configValidator.validate(config).length).to.equal(1);
+  });
+
+  it('validates source image filter configuration', function () {
+    function runSourceImageFilter (sourceImageFilter, errorCount) {
+      config = resources.getConfig({
+        sourceImageFilter: sourceImageFilter
+      });
+      delete config.sourceImageId;
+      errors = configValidator.validate(config);
+      expect(errors.length).to.equal(errorCount);
+    }
+
+    runSourceImageFilter({
+      name: 'app-*',
+      tags: {
+        release: '2026.10'
+      },
+      owners: ['self', '111222333444'],
+      mostRecent: true
+    }, 0);
+    runSourceImageFilter({
+      description: 'description'
+    }, 0);
+    runSourceImageFilter({}, 1);
+    runSourceImageFilter({
+      owners: ['self']
+    }, 1);
+    runSourceImageFilter({
+      name: 'app-*',
+      tags: {
+        release: 2026
+      }
+    }, 1);
+    runSourceImageFilter({
+      name: 'app-*',
+      unknown: true
+    }, 1);
+
+    // With sourceImageId as well.
+    config = resources.getConfig({
+      sourceImageFilter: {
+        name: 'app-*'
+      }
+    });
+    expect(configValidator.validate(config).length).to.equal(1);
+  });
+
+  it('validates prune configuration', function () {
+    function runPrune (retention, shouldError) {
+      config = resources.getConfig({
+        retention: retention
+      });
+      errors = configValidator.validatePrune(config);
+      if (shouldError) {
+        expect(errors.length).to.be.above(0);
+      }
+      else {
+        expect(errors).to.eql([]);
+      }
+    }
+
+    runPrune(undefined, true);
+    runPrune({}, true);
+    runPrune({ keepCount: 3 }, true);
+    runPrune({ keepCount: 3, tags: {} }, true);
+    runPrune({ name: 'app-*' }, true);
+    runPrune({ name: 'app-*', keepCount: -1 }, true);
+    runPrune({ name: 'app-*', keepNewerThanInDays: 'value' }, true);
+    runPrune({ name: 'app-*', keepCount: 3 }, false);
+    runPrune({ tags: { App: 'app' }, keepNewerThanInDays: 30 }, false);
+    runPrune({ description: 'app', keepCount: 0, keepNewerThanInDays: 7 }, false);
+
+    config = resources.getConfig({
+      retention: {
+        name: 'app-*',
+        keepCount: 3
+      }
+    });
+    delete config.sourceImageId;
+    delete config.sourceRegion;
+    expect(configValidator.validatePrune(config)).to.eql([]);
+
+    delete config.destinationRegions;
+    expect(configValidator.validatePrune(config).length).to.equal(1);
+  });
+
   it('rejects invalid configurations, accepts valid configurations', function () {
     shouldReject('sourceImageId', undefined);
     shouldReject('sourceImageId', '');
@@ -60,11 +324,263 @@ describe('lib/configValidator', function () {
     shouldReject('progressCheckIntervalInSeconds', 'value');
     shouldAccept('progressCheckIntervalInSeconds', 10);
 
+    shouldReject('progressCheckBackoffMultiplier', undefined);
+    shouldReject('progressCheckBackoffMultiplier', 0.5);
+    shouldAccept('progressCheckBackoffMultiplier', 2);
+
+    shouldReject('progressCheckMaxIntervalInSeconds', undefined);
+    shouldReject('progressCheckMaxIntervalInSeconds', -1);
+    shouldAccept('progressCheckMaxIntervalInSeconds', 60);
+
+    shouldReject('apiMaxAttempts', undefined);
+    shouldReject('apiMaxAttempts', 0);
+    shouldReject('apiMaxAttempts', 1.5);
+    shouldAccept('apiMaxAttempts', 1);
+
+    shouldReject('apiRetryBaseDelayInMilliseconds', undefined);
+    shouldReject('apiRetryBaseDelayInMilliseconds', -1);
+    shouldAccept('apiRetryBaseDelayInMilliseconds', 100);
+
+    shouldReject('apiRetryMaxDelayInMilliseconds', undefined);
+    shouldReject('apiRetryMaxDelayInMilliseconds', -1);
+    shouldAccept('apiRetryMaxDelayInMilliseconds', 10000);
+
+    shouldReject('backoffJitterRatio', undefined);
+    shouldReject('backoffJitterRatio', -0.1);
+    shouldReject('backoffJitterRatio', 1.1);
+    shouldAccept('backoffJitterRatio', 0);
+    shouldAccept('backoffJitterRatio', 1);
+
+    shouldReject('maxCopyWaitInSeconds', undefined);
+    shouldReject('maxCopyWaitInSeconds', -1);
+    shouldReject('maxCopyWaitInSeconds', 'value');
+    shouldAccept('maxCopyWaitInSeconds', 3600);
+
+    shouldReject('reuseExistingImages', undefined);
+    shouldReject('reuseExistingImages', 'value');
+    shouldAccept('reuseExistingImages', true);
+
+    shouldReject('encrypted', undefined);
+    shouldReject('encrypted', 'value');
+    shouldAccept('encrypted', true);
+
+    shouldReject('dryRun', undefined);
+    shouldReject('dryRun', 'value');
+    shouldAccept('dryRun', true);
+
+    shouldReject('waveFailureThreshold', undefined);
+    shouldReject('waveFailureThreshold', -1);
+    shouldReject('waveFailureThreshold', 1.5);
+    shouldAccept('waveFailureThreshold', 2);
+
+    shouldReject('maxConcurrentRegions', 0);
+    shouldAccept('maxConcurrentRegions', 2);
+    shouldAccept('maxConcurrentRegions', undefined);
+
+    shouldReject('regionWaves', [[]]);
+    shouldReject('regionWaves', ['eu-west-1']);
+    shouldReject('regionWaves', [['us-west-2']]);
+    shouldReject('regionWaves', [['eu-west-1'], ['eu-west-1']]);
+    shouldAccept('regionWaves', [['eu-west-1']]);
+    shouldAccept('regionWaves', undefined);
+
+    shouldReject('shareSnapshots', undefined);
+    shouldReject('shareSnapshots', 'value');
+    shouldAccept('shareSnapshots', true);
+
     // The actually optional options property passed to AWS clients.
     shouldReject('clientOptions', 'value');
     shouldAccept('clientOptions', {});
     shouldAccept('clientOptions', undefined);
 
+    shouldAccept('additionalLaunchPermissions', undefined);
+
+    shouldReject('maxConcurrentCopies', 0);
+    shouldReject('maxConcurrentCopies', 1.5);
+    shouldAccept('maxConcurrentCopies', 2);
+    shouldAccept('maxConcurrentCopies', undefined);
+
+    shouldReject('tags', {
+      'aws:reserved': 'value'
+    });
+    shouldReject('tags', {
+      key: '{unknown}'
+    });
+    shouldReject('tags', {
+      key: 1
+    });
+    shouldAccept('tags', {
+      SourceAmi: '{sourceImageId}',
+      Copied: '{sourceRegion} to {destinationRegion} at {timestamp}'
+    });
+
+    shouldAccept('tags', {
+      Team: '{tag:Team}',
+      Built: '{date}'
+    });
+
+    shouldReject('removeTags', ['']);
+    shouldAccept('removeTags', ['key']);
+
+    shouldReject('nameTemplate', '');
+    shouldReject('nameTemplate', '{unknown}');
+    shouldReject('nameTemplate', '{sourceName} {timestamp}');
+    shouldReject('nameTemplate', 'ab');
+    shouldReject('nameTemplate', '{sourceName}' + new Array(130).join('x'));
+    shouldAccept('nameTemplate', '{sourceName}-{destinationRegion}-{date}');
+    shouldAccept('nameTemplate', '{tag:Name} ({sourceImageId})');
+    shouldAccept('nameTemplate', undefined);
+    shouldReject('descriptionTemplate', '{unknown}');
+    shouldReject('descriptionTemplate', new Array(257).join('x'));
+    shouldAccept('descriptionTemplate', '');
+    shouldAccept('descriptionTemplate', '{sourceDescription}, copied at {timestamp}');
+
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        nameTemplate: '{sourceName}: {destinationRegion}'
+      }
+    });
+    shouldAccept('regionOverrides', {
+      'eu-west-1': {
+        nameTemplate: '{sourceName}-eu',
+        descriptionTemplate: '{sourceDescription} (EU)'
+      }
+    });
+
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        tags: {
+          key: '{unknown}'
+        }
+      }
+    });
+    shouldAccept('regionOverrides', {
+      'eu-west-1': {
+        tags: {
+          Region: '{destinationRegion}'
+        },
+        removeTags: ['key']
+      }
+    });
+
+    shouldAccept('copyImageAttributes', ['deprecationTime', 'imdsSupport']);
+    shouldAccept('copyImageAttributes', []);
+    shouldReject('copyImageAttributes', ['bootMode']);
+    shouldReject('copyImageAttributes', ['description', 'description']);
+
+    shouldAccept('verification', 'strict');
+    shouldReject('verification', 'value');
+    shouldReject('verification', undefined);
+
+    shouldReject('stateFile', '');
+    shouldReject('stateFile', 1);
+    shouldAccept('stateFile', 'state.json');
+    shouldAccept('stateFile', undefined);
+    shouldAccept('additionalLaunchPermissions', {});
+    shouldAccept('additionalLaunchPermissions', {
+      userIds: ['111222333444'],
+      organizationArns: [
+        'arn:aws:organizations::111222333444:organization/o-abcdefghij'
+      ],
+      organizationalUnitArns: [
+        'arn:aws:organizations::111222333444:ou/o-abcdefghij/ou-ab12-abcdefgh'
+      ],
+      public: true
+    });
+    shouldReject('additionalLaunchPermissions', 'value');
+    shouldReject('additionalLaunchPermissions', {
+      userIds: ['1234']
+    });
+    shouldReject('additionalLaunchPermissions', {
+      organizationArns: ['o-abcdefghij']
+    });
+    shouldReject('additionalLaunchPermissions', {
+      organizationalUnitArns: ['ou-ab12-abcdefgh']
+    });
+    shouldReject('additionalLaunchPermissions', {
+      public: 'value'
+    });
+    shouldReject('additionalLaunchPermissions', {
+      x: 'value'
+    });
+    shouldAccept('regionOverrides', {
+      'eu-west-1': {
+        additionalLaunchPermissions: {
+          userIds: ['111222333444']
+        }
+      }
+    });
+
+    shouldAccept('regionOverrides', {
+      'eu-west-1': {
+        clientOptions: {
+          endpoint: 'https://vpce-1234-abcd.ec2.eu-west-1.vpce.amazonaws.com',
+          profile: 'europe',
+          maxRetries: 0,
+          httpOptions: {
+            proxy: 'http://proxy.example.com:3128',
+            connectTimeout: 1000,
+            timeout: 60000
+          }
+        }
+      },
+      'us-east-1': {
+        clientOptions: {
+          endpoint: 'http://localhost:4566'
+        }
+      }
+    });
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        clientOptions: {
+          endpoint: 'localhost:4566'
+        }
+      }
+    });
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        clientOptions: {
+          httpOptions: {
+            timeout: -1
+          }
+        }
+      }
+    });
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        clientOptions: {
+          region: 'us-east-1'
+        }
+      }
+    });
+
+    // KMS keys require encryption.
+    shouldReject('kmsKeyId', 'alias/example');
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        kmsKeyId: 'alias/example'
+      }
+    });
+
+    shouldAccept('regionOverrides', undefined);
+    shouldAccept('regionOverrides', {});
+    shouldReject('regionOverrides', 'value');
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        x: 'value'
+      }
+    });
+    shouldAccept('regionOverrides', {
+      'eu-west-1': {
+        maxCopyWaitInSeconds: 3600
+      }
+    });
+    shouldReject('regionOverrides', {
+      'eu-west-1': {
+        maxCopyWaitInSeconds: -1
+      }
+    });
+
     // Adding extra unwanted property.
     shouldReject('x', 'value');
   });
@@ -8,6 +8,7 @@ var AWS = require('aws-sdk');
 // Local.
 var constants = require('../../lib/constants');
 var Ec2 = require('../../lib/ec2');
+var errors = require('../../lib/errors');
 var resources = require('../resources');
 
 describe('lib/ec2', function () {
@@ -21,6 +22,13 @@ describe('lib/ec2', function () {
   var sandbox;
   var sourceRegion;
 
+  function awsError (code, statusCode) {
+    var error = new Error(code);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
   beforeEach(function () {
     config = resources.getConfig();
     sandbox = sinon.sandbox.create();
@@ -65,8 +73,26 @@ describe('lib/ec2', function () {
     sandbox.stub(client, 'describeImageAttribute').yields(null, {
       LaunchPermissions: launchPermissions
     });
+    sandbox.stub(client, 'describeSnapshots').yields(null, {
+      Snapshots: [
+        {
+          SnapshotId: 'snap-11223344'
+        }
+      ]
+    });
     sandbox.stub(client, 'modifyImageAttribute').yields();
+    sandbox.stub(client, 'modifySnapshotAttribute').yields();
     sandbox.stub(client, 'createTags').yields();
+    sandbox.stub(client, 'deleteSnapshot').yields();
+    sandbox.stub(client, 'deregisterImage').yields();
+    sandbox.stub(client, 'enableImageDeprecation').yields();
+    sandbox.stub(client, 'enableImageDeregistrationProtection').yields();
+    sandbox.stub(client, 'describeInstances').yields(null, {
+      Reservations: []
+    });
+    sandbox.stub(client, 'describeLaunchTemplateVersions').yields(null, {
+      LaunchTemplateVersions: []
+    });
 
     sandbox.stub(ec2, 'getClient').returns(client);
   });
@@ -75,6 +101,160 @@ describe('lib/ec2', function () {
     sandbox.restore();
   });
 
+  describe('isRetryableError', function () {
+    it('functions as expected', function () {
+      expect(Ec2.isRetryableError(awsError('RequestLimitExceeded', 503))).to.equal(true);
+      expect(Ec2.isRetryableError(awsError('Throttling', 400))).to.equal(true);
+      expect(Ec2.isRetryableError(awsError('InternalError', 500))).to.equal(true);
+      expect(Ec2.isRetryableError(awsError('InvalidAMIID.NotFound', 400))).to.equal(false);
+      expect(Ec2.isRetryableError(awsError('UnauthorizedOperation', 403))).to.equal(false);
+      expect(Ec2.isRetryableError(new Error())).to.equal(false);
+    });
+
+    it('retries transport errors', function () {
+      var networkingError = awsError('NetworkingError');
+      var unknownEndpoint = awsError('UnknownEndpoint');
+      var permanentError = awsError('InvalidAMIID.NotFound', 400);
+
+      networkingError.retryable = true;
+      unknownEndpoint.retryable = true;
+      permanentError.retryable = true;
+
+      expect(Ec2.isRetryableError(networkingError)).to.equal(true);
+      expect(Ec2.isRetryableError(unknownEndpoint)).to.equal(true);
+      expect(Ec2.isRetryableError(permanentError)).to.equal(false);
+    });
+  });
+
+  describe('request', function () {
+    it('invokes the client method with expected arguments', function (done) {
+      ec2.request(
+        'createTags',
+        destinationRegion,
+        {
+          Resources: [image.ImageId],
+          Tags: image.Tags
+        },
+        function (error) {
+          sinon.assert.calledWith(
+            ec2.getClient,
+            destinationRegion
+          );
+          sinon.assert.calledWith(
+            client.createTags,
+            {
+              Resources: [image.ImageId],
+              Tags: image.Tags
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('logs each attempt', function (done) {
+      var error = awsError('RequestLimitExceeded', 503);
+
+      error.requestId = 'request-1';
+      ec2.logger = {
+        debug: sandbox.stub(),
+        warn: sandbox.stub()
+      };
+      client.createTags.onCall(0).yields(error);
+      client.createTags.onCall(1).callsArgOn(1, {
+        requestId: 'request-2'
+      }, null, {});
+
+      ec2.request('createTags', destinationRegion, {}, function (error) {
+        sinon.assert.calledWith(ec2.logger.warn, sinon.match({
+          operation: 'createTags',
+          region: destinationRegion,
+          attempt: 1,
+          durationInMilliseconds: sinon.match.number,
+          requestId: 'request-1',
+          errorCode: 'RequestLimitExceeded',
+          statusCode: 503
+        }), 'AWS API call failed');
+        sinon.assert.calledWith(ec2.logger.debug, sinon.match({
+          operation: 'createTags',
+          region: destinationRegion,
+          attempt: 2,
+          durationInMilliseconds: sinon.match.number,
+          requestId: 'request-2'
+        }), 'AWS API call');
+
+        done(error);
+      });
+    });
+
+    it('retries throttling errors up to the maximum attempts', function (done) {
+      client.createTags.yields(awsError('RequestLimitExceeded', 503));
+
+      ec2.request('createTags', destinationRegion, {}, function (error) {
+        expect(error).to.be.instanceof(Error);
+        expect(error.code).to.equal('RequestLimitExceeded');
+        expect(error.statusCode).to.equal(503);
+        sinon.assert.callCount(client.createTags, config.apiMaxAttempts);
+        expect(ec2.retryCount).to.equal(config.apiMaxAttempts - 1);
+        done();
+      });
+    });
+
+    it('retries transport errors', function (done) {
+      var timeoutError = awsError('TimeoutError');
+
+      timeoutError.retryable = true;
+      client.createTags.onCall(0).yields(timeoutError);
+
+      ec2.request('createTags', destinationRegion, {}, function (error) {
+        sinon.assert.calledTwice(client.createTags);
+        expect(ec2.retryCount).to.equal(1);
+        done(error);
+      });
+    });
+
+    it('does not retry permanent errors', function (done) {
+      client.createTags.yields(awsError('InvalidAMIID.NotFound', 400));
+
+      ec2.request('createTags', destinationRegion, {}, function (error) {
+        expect(error.message).to.equal(
+          'Call to createTags failed: Error: InvalidAMIID.NotFound'
+        );
+        expect(error.code).to.equal('InvalidAMIID.NotFound');
+        sinon.assert.calledOnce(client.createTags);
+        done();
+      });
+    });
+
+    it('yields an AwsError with the details of the failure', function (done) {
+      var error = awsError('InvalidAMIID.NotFound', 400);
+
+      error.requestId = 'request-1';
+      error.retryable = false;
+      client.describeImages.yields(error);
+
+      ec2.request('describeImages', destinationRegion, {
+        ImageIds: [destinationImageId]
+      }, function (error) {
+        expect(error).to.be.instanceof(errors.AwsError);
+        expect(error.toJSON()).to.eql({
+          name: 'AwsError',
+          message: 'Call to describeImages failed: Error: InvalidAMIID.NotFound',
+          code: 'InvalidAMIID.NotFound',
+          statusCode: 400,
+          requestId: 'request-1',
+          retryable: false,
+          operation: 'describeImages',
+          region: destinationRegion,
+          imageId: destinationImageId
+        });
+        done();
+      });
+    });
+  });
+
   describe('getClient', function () {
 
     beforeEach(function () {
@@ -85,6 +265,19 @@ describe('lib/ec2', function () {
       expect(ec2.getClient(sourceRegion)).to.be.instanceOf(AWS.EC2);
     });
 
+    it('disables the retries of the AWS SDK by default', function () {
+      expect(ec2.getClient(sourceRegion).numRetries()).to.equal(0);
+
+      ec2.config.regionOverrides = {};
+      ec2.config.regionOverrides[destinationRegion] = {
+        clientOptions: {
+          maxRetries: 2
+        }
+      };
+
+      expect(ec2.getClient(destinationRegion).numRetries()).to.equal(2);
+    });
+
     it('creates a client with explicit configuration', function () {
       sandbox.spy(AWS, 'EC2');
       ec2.config.clientOptions = {
@@ -99,6 +292,84 @@ describe('lib/ec2', function () {
         }
       );
     });
+
+    it('merges the client options of region overrides', function () {
+      sandbox.spy(AWS, 'EC2');
+      ec2.config.clientOptions = {
+        maxRetries: 2,
+        httpOptions: {
+          timeout: 60000
+        }
+      };
+      ec2.config.regionOverrides = {};
+      ec2.config.regionOverrides[destinationRegion] = {
+        clientOptions: {
+          endpoint: 'http://localhost:4566',
+          httpOptions: {
+            proxy: 'http://proxy.example.com:3128'
+          }
+        }
+      };
+
+      ec2.getClient(destinationRegion);
+      ec2.getClient(sourceRegion);
+      sinon.assert.calledWith(
+        AWS.EC2,
+        {
+          maxRetries: 2,
+          endpoint: 'http://localhost:4566',
+          httpOptions: {
+            proxy: 'http://proxy.example.com:3128',
+            timeout: 60000
+          },
+          region: destinationRegion
+        }
+      );
+      sinon.assert.calledWith(
+        AWS.EC2,
+        {
+          maxRetries: 2,
+          httpOptions: {
+            timeout: 60000
+          },
+          region: sourceRegion
+        }
+      );
+    });
+
+    it('creates a client with the credentials of a profile', function () {
+      var options;
+
+      ec2.config.regionOverrides = {};
+      ec2.config.regionOverrides[destinationRegion] = {
+        clientOptions: {
+          profile: 'example'
+        }
+      };
+
+      options = ec2.getClientOptions(destinationRegion);
+
+      expect(options.credentials).to.be.instanceOf(AWS.SharedIniFileCredentials);
+      expect(options.credentials.profile).to.equal('example');
+      expect(options).to.not.have.property('profile');
+    });
+
+    it('creates a client with the credentials of an assumed role', function () {
+      var roleArn = 'arn:aws:iam::111122223333:role/clone';
+      var assumedRoleEc2 = ec2.assumeRole(roleArn, 'external-id');
+      var client = assumedRoleEc2.getClient(destinationRegion);
+
+      expect(client.config.credentials).to.be.instanceOf(
+        AWS.ChainableTemporaryCredentials
+      );
+      expect(client.config.credentials.service.config.params).to.eql({
+        RoleArn: roleArn,
+        RoleSessionName: constants.ROLE_SESSION_NAME,
+        ExternalId: 'external-id'
+      });
+      expect(client.config.region).to.equal(destinationRegion);
+      expect(assumedRoleEc2.config).to.equal(ec2.config);
+    });
   });
 
   describe('copyImage', function () {
@@ -109,6 +380,7 @@ describe('lib/ec2', function () {
         image.descripion,
         sourceRegion,
         destinationRegion,
+        {},
         function (error, data) {
           sinon.assert.calledWith(
             ec2.getClient,
@@ -131,8 +403,38 @@ describe('lib/ec2', function () {
       );
     });
 
-    it('retries on failure', function (done) {
-      client.copyImage.onCall(0).yields(new Error());
+    it('invokes copyImage with encryption options', function (done) {
+      ec2.copyImage(
+        image.ImageId,
+        image.name,
+        image.descripion,
+        sourceRegion,
+        destinationRegion,
+        {
+          encrypted: true,
+          kmsKeyId: 'alias/example'
+        },
+        function (error, data) {
+          sinon.assert.calledWith(
+            client.copyImage,
+            {
+              Name: image.name,
+              SourceImageId: image.ImageId,
+              SourceRegion: sourceRegion,
+              Description: image.descripion,
+              Encrypted: true,
+              KmsKeyId: 'alias/example'
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('retries on failure with the same client token', function (done) {
+      client.copyImage.onCall(0).yields(awsError('InternalError', 500));
 
       ec2.copyImage(
         image.ImageId,
@@ -140,8 +442,13 @@ describe('lib/ec2', function () {
         image.descripion,
         sourceRegion,
         destinationRegion,
+        {
+          clientToken: 'token'
+        },
         function (error, data) {
           sinon.assert.calledTwice(client.copyImage);
+          expect(client.copyImage.firstCall.args[0].ClientToken).to.equal('token');
+          expect(client.copyImage.secondCall.args[0].ClientToken).to.equal('token');
 
           expect(data).to.eql(destinationImageId);
           done(error);
@@ -190,7 +497,7 @@ describe('lib/ec2', function () {
     });
 
     it('retries on failure', function (done) {
-      client.describeImages.onCall(0).yields(new Error());
+      client.describeImages.onCall(0).yields(awsError('RequestLimitExceeded', 503));
 
       ec2.describeImage(
         image.ImageId,
@@ -205,6 +512,283 @@ describe('lib/ec2', function () {
     });
   });
 
+  describe('requestAllPages', function () {
+    it('requests every page', function (done) {
+      var pages = [];
+
+      client.describeInstances.onCall(0).yields(null, {
+        Reservations: [],
+        NextToken: 'token'
+      });
+
+      ec2.requestAllPages(
+        'describeInstances',
+        destinationRegion,
+        {
+          MaxResults: 5
+        },
+        function (data) {
+          pages.push(data);
+        },
+        function (error) {
+          expect(pages).to.have.length(2);
+          sinon.assert.calledWith(client.describeInstances, {
+            MaxResults: 5
+          });
+          sinon.assert.calledWith(client.describeInstances, {
+            MaxResults: 5,
+            NextToken: 'token'
+          });
+          done(error);
+        }
+      );
+    });
+  });
+
+  describe('findImageUsages', function () {
+    it('functions as expected', function (done) {
+      client.describeInstances.yields(null, {
+        Reservations: [
+          {
+            Instances: [
+              {
+                ImageId: 'ami-11111111'
+              },
+              {
+                ImageId: 'ami-11111111'
+              }
+            ]
+          }
+        ]
+      });
+      client.describeLaunchTemplateVersions.yields(null, {
+        LaunchTemplateVersions: [
+          {
+            LaunchTemplateData: {
+              ImageId: 'ami-11111111'
+            }
+          },
+          {
+            LaunchTemplateData: {
+              ImageId: 'ami-22222222'
+            }
+          },
+          {
+            LaunchTemplateData: {}
+          }
+        ]
+      });
+
+      ec2.findImageUsages(
+        ['ami-11111111', 'ami-22222222', 'ami-33333333'],
+        destinationRegion,
+        function (error, usages) {
+          expect(usages).to.eql({
+            'ami-11111111': [
+              constants.imageUsages.INSTANCE,
+              constants.imageUsages.LAUNCH_TEMPLATE
+            ],
+            'ami-22222222': [constants.imageUsages.LAUNCH_TEMPLATE]
+          });
+          sinon.assert.calledWith(
+            client.describeInstances,
+            {
+              Filters: [
+                {
+                  Name: 'image-id',
+                  Values: ['ami-11111111', 'ami-22222222', 'ami-33333333']
+                },
+                {
+                  Name: 'instance-state-name',
+                  Values: constants.inUseInstanceStates
+                }
+              ]
+            },
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            client.describeLaunchTemplateVersions,
+            {
+              Versions: ['$Default', '$Latest'],
+              Filters: [
+                {
+                  Name: 'image-id',
+                  Values: ['ami-11111111', 'ami-22222222', 'ami-33333333']
+                }
+              ]
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('finds usages on later pages', function (done) {
+      client.describeInstances.onCall(0).yields(null, {
+        Reservations: [],
+        NextToken: 'instances-2'
+      });
+      client.describeInstances.onCall(1).yields(null, {
+        Reservations: [
+          {
+            Instances: [
+              {
+                ImageId: 'ami-11111111'
+              }
+            ]
+          }
+        ]
+      });
+      client.describeLaunchTemplateVersions.onCall(0).yields(null, {
+        LaunchTemplateVersions: [],
+        NextToken: 'versions-2'
+      });
+      client.describeLaunchTemplateVersions.onCall(1).yields(null, {
+        LaunchTemplateVersions: [
+          {
+            LaunchTemplateData: {
+              ImageId: 'ami-22222222'
+            }
+          }
+        ]
+      });
+
+      ec2.findImageUsages(
+        ['ami-11111111', 'ami-22222222'],
+        destinationRegion,
+        function (error, usages) {
+          expect(usages).to.eql({
+            'ami-11111111': [constants.imageUsages.INSTANCE],
+            'ami-22222222': [constants.imageUsages.LAUNCH_TEMPLATE]
+          });
+          sinon.assert.calledTwice(client.describeInstances);
+          expect(client.describeInstances.getCall(0).args[0].NextToken).to.equal(
+            undefined
+          );
+          expect(client.describeInstances.getCall(1).args[0].NextToken).to.equal(
+            'instances-2'
+          );
+          sinon.assert.calledTwice(client.describeLaunchTemplateVersions);
+          expect(
+            client.describeLaunchTemplateVersions.getCall(1).args[0].NextToken
+          ).to.equal('versions-2');
+          done(error);
+        }
+      );
+    });
+
+    it('makes no requests for no images', function (done) {
+      ec2.findImageUsages([], destinationRegion, function (error, usages) {
+        expect(usages).to.eql({});
+        sinon.assert.notCalled(client.describeInstances);
+        done(error);
+      });
+    });
+
+    it('calls back with error on error', function (done) {
+      client.describeLaunchTemplateVersions.yields(
+        awsError('UnauthorizedOperation', 403)
+      );
+
+      ec2.findImageUsages(['ami-11111111'], destinationRegion, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('deregisterImage', function () {
+    it('invokes deregisterImage with expected arguments', function (done) {
+      ec2.deregisterImage(
+        destinationImageId,
+        destinationRegion,
+        function (error) {
+          sinon.assert.calledWith(ec2.getClient, destinationRegion);
+          sinon.assert.calledWith(
+            client.deregisterImage,
+            {
+              ImageId: destinationImageId
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+  });
+
+  describe('enableImageDeprecation', function () {
+    it('invokes enableImageDeprecation with expected arguments', function (done) {
+      var deprecateAt = new Date('2030-01-01T00:00:00.000Z');
+
+      ec2.enableImageDeprecation(
+        destinationImageId,
+        destinationRegion,
+        deprecateAt,
+        function (error) {
+          sinon.assert.calledWith(ec2.getClient, destinationRegion);
+          sinon.assert.calledWith(
+            client.enableImageDeprecation,
+            {
+              ImageId: destinationImageId,
+              DeprecateAt: deprecateAt
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+  });
+
+  describe('enableImageDeregistrationProtection', function () {
+    it('invokes enableImageDeregistrationProtection with expected arguments', function (done) {
+      ec2.enableImageDeregistrationProtection(
+        destinationImageId,
+        destinationRegion,
+        true,
+        function (error) {
+          sinon.assert.calledWith(ec2.getClient, destinationRegion);
+          sinon.assert.calledWith(
+            client.enableImageDeregistrationProtection,
+            {
+              ImageId: destinationImageId,
+              WithCooldown: true
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+  });
+
+  describe('deleteSnapshot', function () {
+    it('invokes deleteSnapshot with expected arguments', function (done) {
+      ec2.deleteSnapshot(
+        'snap-11223344',
+        destinationRegion,
+        function (error) {
+          sinon.assert.calledWith(ec2.getClient, destinationRegion);
+          sinon.assert.calledWith(
+            client.deleteSnapshot,
+            {
+              SnapshotId: 'snap-11223344'
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+  });
+
   describe('describeImageAttribute', function () {
     it('invokes describeImageAttribute with expected arguments', function (done) {
       ec2.describeImageAttribute(
@@ -231,6 +815,26 @@ describe('lib/ec2', function () {
       );
     });
 
+    it('yields the value of other attributes', function (done) {
+      client.describeImageAttribute.yields(null, {
+        BootMode: {
+          Value: 'uefi'
+        }
+      });
+
+      ec2.describeImageAttribute(
+        image.ImageId,
+        sourceRegion,
+        constants.imageAttributes.BOOT_MODE,
+        function (error, data) {
+          expect(data).to.eql({
+            Value: 'uefi'
+          });
+          done(error);
+        }
+      );
+    });
+
     it('calls back with error for unsupported but valid attribute', function (done) {
       ec2.describeImageAttribute(
         image.ImageId,
@@ -244,7 +848,7 @@ describe('lib/ec2', function () {
     });
 
     it('retries on failure', function (done) {
-      client.describeImageAttribute.onCall(0).yields(new Error());
+      client.describeImageAttribute.onCall(0).yields(awsError('RequestLimitExceeded', 503));
 
       ec2.describeImageAttribute(
         image.ImageId,
@@ -260,6 +864,105 @@ describe('lib/ec2', function () {
     });
   });
 
+  describe('describeSnapshots', function () {
+    it('invokes describeSnapshots with expected arguments', function (done) {
+      ec2.describeSnapshots(
+        ['snap-11223344'],
+        sourceRegion,
+        function (error, data) {
+          sinon.assert.calledWith(
+            client.describeSnapshots,
+            {
+              SnapshotIds: ['snap-11223344']
+            },
+            sinon.match.func
+          );
+
+          expect(data).to.eql([
+            {
+              SnapshotId: 'snap-11223344'
+            }
+          ]);
+          done(error);
+        }
+      );
+    });
+  });
+
+  describe('dryRun', function () {
+    var params;
+
+    beforeEach(function () {
+      params = {
+        Resources: [image.ImageId],
+        Tags: image.Tags
+      };
+    });
+
+    it('yields authorized for a DryRunOperation response', function (done) {
+      client.createTags.yields(awsError('DryRunOperation', 412));
+
+      ec2.dryRun(
+        'createTags',
+        destinationRegion,
+        params,
+        function (error, data) {
+          sinon.assert.calledWith(
+            ec2.getClient,
+            destinationRegion
+          );
+          sinon.assert.calledWith(
+            client.createTags,
+            {
+              Resources: [image.ImageId],
+              Tags: image.Tags,
+              DryRun: true
+            },
+            sinon.match.func
+          );
+
+          expect(data).to.eql({
+            authorized: true
+          });
+          done(error);
+        }
+      );
+    });
+
+    it('yields not authorized for an UnauthorizedOperation response', function (done) {
+      client.createTags.yields(awsError('UnauthorizedOperation', 403));
+
+      ec2.dryRun(
+        'createTags',
+        destinationRegion,
+        params,
+        function (error, data) {
+          expect(data).to.eql({
+            authorized: false,
+            message: 'Call to createTags failed: Error: UnauthorizedOperation'
+          });
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error for other errors', function (done) {
+      client.createTags.yields(awsError('InvalidAMIID.NotFound', 400));
+
+      ec2.dryRun(
+        'createTags',
+        destinationRegion,
+        params,
+        function (error, data) {
+          expect(error).to.be.instanceof(Error);
+          expect(error.code).to.equal('InvalidAMIID.NotFound');
+          sinon.assert.calledOnce(client.createTags);
+          done();
+        }
+      );
+    });
+  });
+
   describe('findImages', function () {
     var name;
     var description;
@@ -283,6 +986,7 @@ describe('lib/ec2', function () {
           sinon.assert.calledWith(
             client.describeImages,
             {
+              Owners: ['self'],
               Filters: [
                 {
                   Name: 'description',
@@ -308,7 +1012,7 @@ describe('lib/ec2', function () {
     });
 
     it('retries on failure', function (done) {
-      client.describeImages.onCall(0).yields(new Error());
+      client.describeImages.onCall(0).yields(awsError('RequestLimitExceeded', 503));
 
       ec2.findImages(
         name,
@@ -325,6 +1029,61 @@ describe('lib/ec2', function () {
     });
   });
 
+  describe('findImagesByFilter', function () {
+    it('invokes describeImages with expected arguments', function (done) {
+      ec2.findImagesByFilter(
+        {
+          name: 'app-*',
+          tags: image.Tags,
+          owners: ['111222333444'],
+          states: ['available']
+        },
+        sourceRegion,
+        function (error, data) {
+          sinon.assert.calledWith(
+            client.describeImages,
+            {
+              Owners: ['111222333444'],
+              Filters: [
+                {
+                  Name: 'name',
+                  Values: ['app-*']
+                },
+                {
+                  Name: 'state',
+                  Values: ['available']
+                },
+                {
+                  Name: 'tag:' + image.Tags[0].Key,
+                  Values: [image.Tags[0].Value]
+                }
+              ]
+            },
+            sinon.match.func
+          );
+
+          expect(data).to.eql([image]);
+          done(error);
+        }
+      );
+    });
+
+    it('defaults to images owned by this account', function (done) {
+      ec2.findImagesByFilter({}, sourceRegion, function (error, data) {
+        sinon.assert.calledWith(
+          client.describeImages,
+          {
+            Owners: ['self'],
+            Filters: []
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+  });
+
   describe('modifyImageAttribute', function () {
     var value;
 
@@ -363,6 +1122,32 @@ describe('lib/ec2', function () {
       );
     });
 
+    it('modifies the imdsSupport attribute', function (done) {
+      ec2.modifyImageAttribute(
+        image.ImageId,
+        sourceRegion,
+        constants.imageAttributes.IMDS_SUPPORT,
+        {
+          Value: constants.IMDS_SUPPORT_V2
+        },
+        function (error) {
+          sinon.assert.calledWith(
+            client.modifyImageAttribute,
+            {
+              Attribute: constants.imageAttributes.IMDS_SUPPORT,
+              ImageId: image.ImageId,
+              ImdsSupport: {
+                Value: constants.IMDS_SUPPORT_V2
+              }
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
     it('calls back with error for unsupported but valid attribute', function (done) {
       ec2.modifyImageAttribute(
         image.ImageId,
@@ -377,7 +1162,7 @@ describe('lib/ec2', function () {
     });
 
     it('retries on failure', function (done) {
-      client.modifyImageAttribute.onCall(0).yields(new Error());
+      client.modifyImageAttribute.onCall(0).yields(awsError('RequestLimitExceeded', 503));
 
       ec2.modifyImageAttribute(
         image.ImageId,
@@ -392,6 +1177,60 @@ describe('lib/ec2', function () {
     });
   });
 
+  describe('modifySnapshotAttribute', function () {
+    var value;
+
+    beforeEach(function () {
+      value = {
+        Add: [
+          {
+            UserId: '111222333444'
+          }
+        ]
+      };
+    });
+
+    it('invokes modifySnapshotAttribute with expected arguments', function (done) {
+      ec2.modifySnapshotAttribute(
+        'snap-11223344',
+        destinationRegion,
+        constants.snapshotAttributes.CREATE_VOLUME_PERMISSION,
+        value,
+        function (error) {
+          sinon.assert.calledWith(
+            ec2.getClient,
+            destinationRegion
+          );
+          sinon.assert.calledWith(
+            client.modifySnapshotAttribute,
+            {
+              Attribute: constants.snapshotAttributes.CREATE_VOLUME_PERMISSION,
+              SnapshotId: 'snap-11223344',
+              CreateVolumePermission: value
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error for unsupported attribute', function (done) {
+      ec2.modifySnapshotAttribute(
+        'snap-11223344',
+        destinationRegion,
+        'productCodes',
+        ['productCode'],
+        function (error) {
+          expect(error).to.be.instanceof(Error);
+          sinon.assert.notCalled(client.modifySnapshotAttribute);
+          done();
+        }
+      );
+    });
+  });
+
   describe('tagImage', function () {
     it('invokes createTags with expected arguments', function (done) {
       ec2.tagImage(
@@ -418,7 +1257,7 @@ describe('lib/ec2', function () {
     });
 
     it('retries on failure', function (done) {
-      client.createTags.onCall(0).yields(new Error());
+      client.createTags.onCall(0).yields(awsError('RequestLimitExceeded', 503));
 
       ec2.tagImage(
         image.ImageId,
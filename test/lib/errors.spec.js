@@ -0,0 +1,98 @@
+/**
+ * @fileOverview Tests for lib/errors.
+ */
+
+// Local.
+var errors = require('../../lib/errors');
+
+describe('lib/errors', function () {
+
+  describe('CloneError', function () {
+    it('functions as expected', function () {
+      var error = new errors.CloneError('failed', {
+        code: 'CopyTimedOut',
+        region: 'eu-west-1',
+        imageId: undefined
+      });
+
+      expect(error).to.be.instanceOf(Error);
+      expect(error.name).to.equal('CloneError');
+      expect(error.message).to.equal('failed');
+      expect(error.code).to.equal('CopyTimedOut');
+      expect(error.stack).to.match(/^CloneError: failed\n/);
+      expect(JSON.parse(JSON.stringify({
+        error: error
+      }))).to.eql({
+        error: {
+          name: 'CloneError',
+          message: 'failed',
+          code: 'CopyTimedOut',
+          region: 'eu-west-1'
+        }
+      });
+    });
+  });
+
+  describe('AwsError', function () {
+    it('functions as expected', function () {
+      var awsError = new Error('Throttled');
+      var error;
+
+      awsError.code = 'RequestLimitExceeded';
+      awsError.statusCode = 503;
+      awsError.requestId = 'request-1';
+      awsError.retryable = true;
+      error = new errors.AwsError('copyImage', 'eu-west-1', {
+        SourceImageId: 'ami-11223344'
+      }, awsError);
+
+      expect(error).to.be.instanceOf(errors.CloneError);
+      expect(error.stack).to.match(/^AwsError: /);
+      expect(error.toJSON()).to.eql({
+        name: 'AwsError',
+        message: 'Call to copyImage failed: Error: Throttled',
+        code: 'RequestLimitExceeded',
+        statusCode: 503,
+        requestId: 'request-1',
+        retryable: true,
+        operation: 'copyImage',
+        region: 'eu-west-1',
+        imageId: 'ami-11223344'
+      });
+    });
+  });
+
+  describe('fromError', function () {
+    it('converts an error', function () {
+      var error = new Error('failed');
+      var cloneError;
+
+      error.code = 'ENOENT';
+      cloneError = errors.fromError(error, {
+        region: 'eu-west-1'
+      });
+
+      expect(cloneError).to.be.instanceOf(errors.CloneError);
+      expect(cloneError.stack).to.equal(error.stack);
+      expect(cloneError.toJSON()).to.eql({
+        name: 'CloneError',
+        message: 'failed',
+        code: 'ENOENT',
+        region: 'eu-west-1'
+      });
+    });
+
+    it('keeps properties that are already set', function () {
+      var error = new errors.CloneError('failed', {
+        imageId: 'ami-11223344'
+      });
+
+      expect(errors.fromError(error, {
+        imageId: 'ami-55667788',
+        step: 'copy'
+      })).to.equal(error);
+      expect(error.imageId).to.equal('ami-11223344');
+      expect(error.step).to.equal('copy');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileOverview Tests for lib/fileStateStore.
+ */
+
+// Core.
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// Local.
+var FileStateStore = require('../../lib/fileStateStore');
+
+describe('lib/fileStateStore', function () {
+  var filePath;
+  var state;
+  var stateStore;
+
+  beforeEach(function () {
+    filePath = path.join(
+      os.tmpdir(),
+      'clone-ami-to-region-state-' + process.pid + '.json'
+    );
+    state = {
+      sourceImageId: 'ami-11223344',
+      sourceRegion: 'us-east-1',
+      regions: {
+        'eu-west-1': {
+          step: 'copyStarted',
+          imageId: 'ami-55667788'
+        }
+      }
+    };
+    stateStore = new FileStateStore(filePath);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  describe('load', function () {
+    it('yields undefined if there is no state file', function (done) {
+      stateStore.load(function (error, loadedState) {
+        expect(loadedState).to.equal(undefined);
+        done(error);
+      });
+    });
+
+    it('calls back with error for an invalid state file', function (done) {
+      fs.writeFileSync(filePath, 'invalid');
+
+      stateStore.load(function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('save', function () {
+    it('saves state that can be loaded', function (done) {
+      stateStore.save(state, function (error) {
+        if (error) {
+          return done(error);
+        }
+
+        expect(fs.existsSync(filePath + '.tmp')).to.equal(false);
+
+        stateStore.load(function (loadError, loadedState) {
+          expect(loadedState).to.eql(state);
+          done(loadError);
+        });
+      });
+    });
+  });
+});
@@ -7,6 +7,7 @@ var _ = require('lodash');
 
 // Local.
 var constants = require('../../lib/constants');
+var errors = require('../../lib/errors');
 var ImageCloner = require('../../lib/imageCloner');
 var resources = require('../resources');
 
@@ -71,8 +72,21 @@ describe('lib/imageCloner', function () {
       null,
       launchPermissions
     );
+    sandbox.stub(imageCloner.ec2, 'findImageUsages').yields(null, {});
+    sandbox.stub(imageCloner.ec2, 'findImages').yields(null, []);
+    sandbox.stub(imageCloner.ec2, 'findImagesByFilter').yields(null, []);
+    sandbox.stub(imageCloner.ec2, 'dryRun').yields(null, {
+      authorized: true
+    });
+    sandbox.stub(imageCloner.ec2, 'deleteSnapshot').yields();
+    sandbox.stub(imageCloner.ec2, 'deregisterImage').yields();
+    sandbox.stub(imageCloner.ec2, 'describeSnapshots').yields(null, []);
+    sandbox.stub(imageCloner.ec2, 'enableImageDeprecation').yields();
+    sandbox.stub(imageCloner.ec2, 'enableImageDeregistrationProtection').yields();
     sandbox.stub(imageCloner.ec2, 'modifyImageAttribute').yields();
+    sandbox.stub(imageCloner.ec2, 'modifySnapshotAttribute').yields();
     sandbox.stub(imageCloner.ec2, 'tagImage').yields();
+    sandbox.stub(imageCloner.ec2, 'tagSnapshot').yields();
 
     // Suppress logging.
     sandbox.stub(console, 'error');
@@ -112,6 +126,103 @@ describe('lib/imageCloner', function () {
       );
     });
 
+    it('emits progress check events', function (done) {
+      var events = [];
+
+      imageCloner.on(constants.events.PROGRESS_CHECK, function (event) {
+        events.push(_.pick(event, ['event', 'region', 'imageId', 'state']));
+      });
+
+      imageCloner.awaitImageCopyCompletion(
+        clonedImage.ImageId,
+        destinationRegion,
+        function (error) {
+          expect(events).to.eql([
+            {
+              event: constants.events.PROGRESS_CHECK,
+              region: destinationRegion,
+              imageId: clonedImage.ImageId,
+              state: 'pending'
+            },
+            {
+              event: constants.events.PROGRESS_CHECK,
+              region: destinationRegion,
+              imageId: clonedImage.ImageId,
+              state: 'available'
+            }
+          ]);
+          done(error);
+        }
+      );
+    });
+
+    it('logs progress checks', function (done) {
+      imageCloner.logger = {
+        info: sandbox.stub()
+      };
+
+      imageCloner.awaitImageCopyCompletion(
+        clonedImage.ImageId,
+        destinationRegion,
+        function (error) {
+          sinon.assert.calledTwice(imageCloner.logger.info);
+          sinon.assert.calledWith(
+            imageCloner.logger.info,
+            sinon.match({
+              event: constants.events.PROGRESS_CHECK,
+              state: 'pending'
+            }),
+            constants.events.PROGRESS_CHECK
+          );
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error on a failed state', function (done) {
+      imageCloner.ec2.describeImage.onCall(1).yields(null, _.extend({}, clonedImage, {
+        State: 'failed',
+        StateReason: {
+          Code: 'Server.InternalError',
+          Message: 'reason'
+        }
+      }));
+
+      imageCloner.awaitImageCopyCompletion(
+        clonedImage.ImageId,
+        destinationRegion,
+        function (error) {
+          expect(error).to.be.instanceOf(Error);
+          expect(error.message).to.equal(
+            'Copy of image clonedImageId in eu-west-1 failed with state failed: reason'
+          );
+          expect(error.code).to.equal(constants.errorCodes.COPY_FAILED);
+          expect(error.state).to.equal('failed');
+          expect(error.stateReason).to.eql({
+            Code: 'Server.InternalError',
+            Message: 'reason'
+          });
+          sinon.assert.calledTwice(imageCloner.ec2.describeImage);
+          done();
+        }
+      );
+    });
+
+    it('calls back with error on timeout', function (done) {
+      imageCloner.config.maxCopyWaitInSeconds = 0;
+
+      imageCloner.awaitImageCopyCompletion(
+        clonedImage.ImageId,
+        destinationRegion,
+        function (error) {
+          expect(error).to.be.instanceOf(Error);
+          expect(error.code).to.equal(constants.errorCodes.COPY_TIMED_OUT);
+          sinon.assert.calledOnce(imageCloner.ec2.describeImage);
+          done();
+        }
+      );
+    });
+
     it('calls back with error on error', function (done) {
       imageCloner.ec2.describeImage.onCall(1).yields(new Error());
 
@@ -126,187 +237,2729 @@ describe('lib/imageCloner', function () {
     });
   });
 
-  describe('cloneImageToRegion', function () {
+  describe('getProgressCheckDelayInSeconds', function () {
+    it('backs off from the progress check interval', function () {
+      imageCloner.config.progressCheckIntervalInSeconds = 30;
+      imageCloner.config.backoffJitterRatio = 0;
 
-    beforeEach(function () {
-      sandbox.stub(imageCloner, 'awaitImageCopyCompletion').yields();
+      expect(imageCloner.getProgressCheckDelayInSeconds(1)).to.equal(30);
+      expect(imageCloner.getProgressCheckDelayInSeconds(2)).to.equal(45);
+      expect(imageCloner.getProgressCheckDelayInSeconds(10)).to.equal(120);
     });
+  });
 
-    it('functions as expected', function (done) {
-      imageCloner.cloneImageToRegion(
-        image,
+  describe('getLaunchPermissions', function () {
+    it('returns the source launch permissions by default', function () {
+      expect(imageCloner.getLaunchPermissions(
         launchPermissions,
-        sourceRegion,
-        destinationRegion,
-        function (error, imageId) {
-          expect(imageId).to.equal(clonedImage.ImageId);
+        destinationRegion
+      )).to.eql(launchPermissions);
+    });
 
-          sinon.assert.calledWith(
-            imageCloner.ec2.copyImage,
-            image.ImageId,
-            image.Name,
-            image.Description,
-            sourceRegion,
-            destinationRegion,
-            sinon.match.func
-          );
-          sinon.assert.calledWith(
-            imageCloner.awaitImageCopyCompletion,
-            clonedImage.ImageId,
-            destinationRegion,
-            sinon.match.func
-          );
-          sinon.assert.calledWith(
-            imageCloner.ec2.tagImage,
-            clonedImage.ImageId,
-            destinationRegion,
-            image.Tags,
-            sinon.match.func
-          );
-          sinon.assert.calledWith(
-            imageCloner.ec2.modifyImageAttribute,
-            clonedImage.ImageId,
-            destinationRegion,
-            constants.imageAttributes.LAUNCH_PERMISSION,
-            {
-              Add: launchPermissions
-            },
-            sinon.match.func
-          );
+    it('merges global and region launch permissions', function () {
+      var organizationArn = 'arn:aws:organizations::111222333444:organization/o-abcdefghij';
+      var organizationalUnitArn = 'arn:aws:organizations::111222333444:ou/o-abcdefghij/ou-ab12-abcdefgh';
 
-          done(error);
+      imageCloner.config.additionalLaunchPermissions = {
+        userIds: ['111222333444', '555666777888'],
+        organizationArns: [organizationArn]
+      };
+      imageCloner.config.regionOverrides = {
+        'eu-west-1': {
+          additionalLaunchPermissions: {
+            organizationalUnitArns: [organizationalUnitArn],
+            public: true
+          }
         }
-      );
+      };
+
+      expect(imageCloner.getLaunchPermissions(
+        [
+          {
+            UserId: '111222333444'
+          }
+        ],
+        'eu-west-1'
+      )).to.eql([
+        {
+          UserId: '111222333444'
+        },
+        {
+          UserId: '555666777888'
+        },
+        {
+          OrganizationArn: organizationArn
+        },
+        {
+          OrganizationalUnitArn: organizationalUnitArn
+        },
+        {
+          Group: 'all'
+        }
+      ]);
+
+      expect(imageCloner.getLaunchPermissions([], 'us-west-2')).to.eql([
+        {
+          UserId: '111222333444'
+        },
+        {
+          UserId: '555666777888'
+        },
+        {
+          OrganizationArn: organizationArn
+        }
+      ]);
     });
+  });
 
-    it('yields error on error in copyImage', function (done) {
-      imageCloner.ec2.copyImage.yields(new Error());
+  describe('getNameAndDescription', function () {
+    it('uses the source name and description by default', function () {
+      expect(imageCloner.getNameAndDescription(
+        image,
+        sourceRegion,
+        destinationRegion,
+        '2026-10-01T10:00:00.000Z'
+      )).to.eql({
+        name: image.Name,
+        description: image.Description
+      });
+    });
 
-      imageCloner.cloneImageToRegion(
+    it('renders templates, with region overrides', function () {
+      imageCloner.config.nameTemplate = '{sourceName}-{destinationRegion}-{date}';
+      imageCloner.config.descriptionTemplate =
+        '{sourceDescription} from {sourceImageId} by {tag:key}{tag:Missing}';
+      imageCloner.config.regionOverrides = {
+        'other-region': {
+          nameTemplate: 'other'
+        }
+      };
+
+      expect(imageCloner.getNameAndDescription(
         image,
-        launchPermissions,
         sourceRegion,
         destinationRegion,
-        function (error, imageId) {
-          expect(error).to.be.instanceOf(Error);
+        '2026-10-01T10:00:00.000Z'
+      )).to.eql({
+        name: 'name-' + destinationRegion + '-2026-10-01',
+        description: 'description from ' + image.ImageId + ' by value'
+      });
+      expect(imageCloner.getNameAndDescription(
+        image,
+        sourceRegion,
+        'other-region',
+        '2026-10-01T10:00:00.000Z'
+      ).name).to.equal('other');
+    });
+  });
 
-          sinon.assert.notCalled(
-            imageCloner.awaitImageCopyCompletion
-          );
-          sinon.assert.notCalled(
-            imageCloner.ec2.tagImage
-          );
-          sinon.assert.notCalled(
-            imageCloner.ec2.modifyImageAttribute
-          );
+  describe('getTags', function () {
+    beforeEach(function () {
+      image.Tags = [
+        {
+          Key: 'key',
+          Value: 'value'
+        },
+        {
+          Key: 'aws:reserved',
+          Value: 'value'
+        },
+        {
+          Key: 'Owner',
+          Value: 'team'
+        },
+        {
+          Key: 'Temporary',
+          Value: 'true'
+        }
+      ];
+    });
 
-          done();
+    it('omits reserved tags', function () {
+      expect(imageCloner.getTags(
+        image,
+        sourceRegion,
+        destinationRegion,
+        '2026-10-01T10:00:00.000Z'
+      )).to.eql([
+        {
+          Key: 'key',
+          Value: 'value'
+        },
+        {
+          Key: 'Owner',
+          Value: 'team'
+        },
+        {
+          Key: 'Temporary',
+          Value: 'true'
         }
-      );
+      ]);
     });
 
-    it('yields error on error in awaitImageCopyCompletion', function (done) {
-      imageCloner.awaitImageCopyCompletion.yields(new Error());
+    it('adds, overrides, and removes tags', function () {
+      imageCloner.config.tags = {
+        Owner: 'platform',
+        SourceAmi: '{sourceImageId}',
+        Provenance: '{sourceRegion} to {destinationRegion} at {timestamp}'
+      };
+      imageCloner.config.removeTags = ['Temporary'];
+      imageCloner.config.regionOverrides = {};
+      imageCloner.config.regionOverrides[destinationRegion] = {
+        tags: {
+          Owner: 'regional'
+        },
+        removeTags: ['key']
+      };
 
-      imageCloner.cloneImageToRegion(
+      expect(imageCloner.getTags(
         image,
-        launchPermissions,
         sourceRegion,
         destinationRegion,
-        function (error, imageId) {
-          expect(error).to.be.instanceOf(Error);
-
-          sinon.assert.notCalled(
-            imageCloner.ec2.tagImage
-          );
-          sinon.assert.notCalled(
-            imageCloner.ec2.modifyImageAttribute
-          );
+        '2026-10-01T10:00:00.000Z'
+      )).to.eql([
+        {
+          Key: 'Owner',
+          Value: 'regional'
+        },
+        {
+          Key: 'SourceAmi',
+          Value: image.ImageId
+        },
+        {
+          Key: 'Provenance',
+          Value: sourceRegion + ' to ' + destinationRegion +
+            ' at 2026-10-01T10:00:00.000Z'
+        }
+      ]);
+    });
+  });
 
-          done();
+  describe('getMaxCopyWaitInSeconds', function () {
+    it('functions as expected', function () {
+      imageCloner.config.regionOverrides = {
+        'us-west-2': {
+          maxCopyWaitInSeconds: 0
         }
+      };
+
+      expect(imageCloner.getMaxCopyWaitInSeconds(destinationRegion)).to.equal(
+        10800
       );
+      expect(imageCloner.getMaxCopyWaitInSeconds('us-west-2')).to.equal(0);
     });
+  });
 
-    it('yields error on error in tagImage', function (done) {
-      imageCloner.ec2.tagImage.yields(new Error());
+  describe('findExistingImage', function () {
+    var failedImage;
+    var pendingImage;
 
-      imageCloner.cloneImageToRegion(
-        image,
-        launchPermissions,
-        sourceRegion,
-        destinationRegion,
-        function (error, imageId) {
-          expect(error).to.be.instanceOf(Error);
+    beforeEach(function () {
+      failedImage = _.extend({}, clonedImage, {
+        ImageId: 'failedImageId',
+        State: 'failed'
+      });
+      pendingImage = _.extend({}, clonedImage, {
+        State: 'pending'
+      });
+    });
 
-          sinon.assert.notCalled(
-            imageCloner.ec2.modifyImageAttribute
+    it('functions as expected', function (done) {
+      imageCloner.ec2.findImages.yields(null, [failedImage, pendingImage]);
+
+      imageCloner.findExistingImage(
+        image.Name,
+        image.Description,
+        destinationRegion,
+        function (error, existingImage) {
+          sinon.assert.calledWith(
+            imageCloner.ec2.findImages,
+            image.Name,
+            image.Description,
+            [],
+            destinationRegion,
+            sinon.match.func
           );
 
-          done();
+          expect(existingImage).to.equal(pendingImage);
+          done(error);
         }
       );
     });
 
-    it('yields error on error in modifyImageAttribute', function (done) {
-      imageCloner.ec2.modifyImageAttribute.yields(new Error());
+    it('yields undefined if no usable image is found', function (done) {
+      imageCloner.ec2.findImages.yields(null, [failedImage]);
 
-      imageCloner.cloneImageToRegion(
-        image,
-        launchPermissions,
-        sourceRegion,
+      imageCloner.findExistingImage(
+        image.Name,
+        image.Description,
         destinationRegion,
-        function (error, imageId) {
+        function (error, existingImage) {
+          expect(existingImage).to.equal(undefined);
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error on error', function (done) {
+      imageCloner.ec2.findImages.yields(new Error());
+
+      imageCloner.findExistingImage(
+        image.Name,
+        image.Description,
+        destinationRegion,
+        function (error) {
           expect(error).to.be.instanceOf(Error);
           done();
         }
       );
     });
-
   });
 
-  describe('cloneImage', function () {
+  describe('selectSourceImage', function () {
+    var newerImage;
 
     beforeEach(function () {
-      imageCloner.ec2.describeImage.yields(
-        null,
-        image
-      );
-      sandbox.stub(imageCloner, 'awaitImageCopyCompletion').yields();
-      sandbox.stub(imageCloner, 'cloneImageToRegion').yields(
-        null,
-        clonedImage.ImageId
-      );
+      image.CreationDate = '2026-10-01T10:00:00.000Z';
+      newerImage = _.extend({}, image, {
+        ImageId: 'ami-99999999',
+        CreationDate: '2026-10-02T10:00:00.000Z'
+      });
+
+      imageCloner.config.sourceImageFilter = {
+        name: 'app-*',
+        tags: {
+          release: '2026.10'
+        },
+        owners: ['111222333444']
+      };
+      imageCloner.ec2.findImagesByFilter.yields(null, [image]);
     });
 
     it('functions as expected', function (done) {
-      imageCloner.cloneImage(function (error, result) {
-        expect(result).eql({
-          'eu-west-1': {
-            imageId: clonedImage.ImageId,
-            success: true
-          }
-        });
+      imageCloner.selectSourceImage(function (error, selectedImage) {
+        expect(selectedImage).to.equal(image);
 
         sinon.assert.calledWith(
-          imageCloner.ec2.describeImage,
-          image.ImageId,
-          sourceRegion,
-          sinon.match.func
-        );
-        sinon.assert.calledWith(
-          imageCloner.ec2.describeImageAttribute,
-          image.ImageId,
+          imageCloner.ec2.findImagesByFilter,
+          {
+            name: 'app-*',
+            description: undefined,
+            tags: [
+              {
+                Key: 'release',
+                Value: '2026.10'
+              }
+            ],
+            owners: ['111222333444'],
+            states: [constants.imageStates.AVAILABLE]
+          },
           sourceRegion,
-          constants.imageAttributes.LAUNCH_PERMISSION,
           sinon.match.func
         );
-        sinon.assert.calledWith(
+
+        done(error);
+      });
+    });
+
+    it('selects the newest image if mostRecent is set', function (done) {
+      imageCloner.config.sourceImageFilter.mostRecent = true;
+      imageCloner.ec2.findImagesByFilter.yields(null, [newerImage, image]);
+
+      imageCloner.selectSourceImage(function (error, selectedImage) {
+        expect(selectedImage).to.equal(newerImage);
+        done(error);
+      });
+    });
+
+    it('calls back with error if several images match', function (done) {
+      imageCloner.ec2.findImagesByFilter.yields(null, [image, newerImage]);
+
+      imageCloner.selectSourceImage(function (error) {
+        expect(error.code).to.equal(
+          constants.errorCodes.SOURCE_IMAGE_AMBIGUOUS
+        );
+        expect(error.message).to.contain(newerImage.ImageId);
+        done();
+      });
+    });
+
+    it('calls back with error if no image matches', function (done) {
+      imageCloner.ec2.findImagesByFilter.yields(null, []);
+
+      imageCloner.selectSourceImage(function (error) {
+        expect(error.code).to.equal(
+          constants.errorCodes.SOURCE_IMAGE_NOT_FOUND
+        );
+        done();
+      });
+    });
+  });
+
+  describe('getCopyOptions', function () {
+    it('functions as expected without encryption', function () {
+      expect(imageCloner.getCopyOptions(destinationRegion)).to.eql({
+        encrypted: false
+      });
+    });
+
+    it('uses the default encryption key', function () {
+      imageCloner.config.encrypted = true;
+
+      expect(imageCloner.getCopyOptions(destinationRegion)).to.eql({
+        encrypted: true
+      });
+    });
+
+    it('uses the configured key, overridden by region', function () {
+      imageCloner.config.encrypted = true;
+      imageCloner.config.kmsKeyId = 'alias/default';
+      imageCloner.config.regionOverrides = {
+        'us-west-2': {
+          kmsKeyId: 'alias/override'
+        }
+      };
+
+      expect(imageCloner.getCopyOptions(destinationRegion)).to.eql({
+        encrypted: true,
+        kmsKeyId: 'alias/default'
+      });
+      expect(imageCloner.getCopyOptions('us-west-2')).to.eql({
+        encrypted: true,
+        kmsKeyId: 'alias/override'
+      });
+    });
+  });
+
+  describe('getCopyClientToken', function () {
+    it('is stable within a run', function () {
+      var token;
+
+      imageCloner.runDetails = {
+        startedAt: '2026-10-01T10:00:00.000Z'
+      };
+      token = imageCloner.getCopyClientToken(image.ImageId, destinationRegion);
+
+      expect(token).to.match(/^[0-9a-f]{64}$/);
+      expect(
+        imageCloner.getCopyClientToken(image.ImageId, destinationRegion)
+      ).to.equal(token);
+      expect(
+        imageCloner.getCopyClientToken(image.ImageId, 'us-west-2')
+      ).to.not.equal(token);
+      expect(
+        imageCloner.getCopyClientToken('ami-11111111', destinationRegion)
+      ).to.not.equal(token);
+
+      imageCloner.runDetails.startedAt = '2026-10-01T11:00:00.000Z';
+      expect(
+        imageCloner.getCopyClientToken(image.ImageId, destinationRegion)
+      ).to.not.equal(token);
+    });
+  });
+
+  describe('replicateImageAttributes', function () {
+    beforeEach(function () {
+      _.extend(image, {
+        BootMode: 'uefi',
+        DeprecationTime: '2099-01-01T00:00:00.000Z',
+        DeregistrationProtection: constants.DEREGISTRATION_PROTECTION_WITH_COOLDOWN,
+        ImdsSupport: constants.IMDS_SUPPORT_V2
+      });
+      clonedImage.BootMode = 'uefi';
+      imageCloner.config.copyImageAttributes = _.values(
+        constants.copyableImageAttributes
+      );
+    });
+
+    it('functions as expected', function (done) {
+      imageCloner.replicateImageAttributes(
+        image,
+        clonedImage.ImageId,
+        'new description',
+        destinationRegion,
+        function (error, report) {
+          expect(report).to.eql({
+            copiedAttributes: [
+              constants.copyableImageAttributes.DEPRECATION_TIME,
+              constants.copyableImageAttributes.DEREGISTRATION_PROTECTION,
+              constants.copyableImageAttributes.IMDS_SUPPORT,
+              constants.copyableImageAttributes.DESCRIPTION
+            ],
+            attributeMismatches: []
+          });
+
+          sinon.assert.calledWith(
+            imageCloner.ec2.enableImageDeprecation,
+            clonedImage.ImageId,
+            destinationRegion,
+            new Date(image.DeprecationTime),
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.enableImageDeregistrationProtection,
+            clonedImage.ImageId,
+            destinationRegion,
+            true,
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.modifyImageAttribute,
+            clonedImage.ImageId,
+            destinationRegion,
+            constants.imageAttributes.IMDS_SUPPORT,
+            {
+              Value: constants.IMDS_SUPPORT_V2
+            },
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.modifyImageAttribute,
+            clonedImage.ImageId,
+            destinationRegion,
+            constants.imageAttributes.DESCRIPTION,
+            {
+              Value: 'new description'
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('leaves settings the clone already has or the source lacks', function (done) {
+      delete image.DeprecationTime;
+      image.DeregistrationProtection = 'disabled';
+      clonedImage.ImdsSupport = constants.IMDS_SUPPORT_V2;
+
+      imageCloner.replicateImageAttributes(
+        image,
+        clonedImage.ImageId,
+        clonedImage.Description,
+        destinationRegion,
+        function (error, report) {
+          expect(report.copiedAttributes).to.eql([]);
+          sinon.assert.notCalled(imageCloner.ec2.enableImageDeprecation);
+          sinon.assert.notCalled(
+            imageCloner.ec2.enableImageDeregistrationProtection
+          );
+          sinon.assert.notCalled(imageCloner.ec2.modifyImageAttribute);
+
+          done(error);
+        }
+      );
+    });
+
+    it('deprecates a minute from now if the time has passed', function (done) {
+      var now = Date.now();
+
+      image.DeprecationTime = '2020-01-01T00:00:00.000Z';
+      imageCloner.config.copyImageAttributes = [
+        constants.copyableImageAttributes.DEPRECATION_TIME
+      ];
+
+      imageCloner.replicateImageAttributes(
+        image,
+        clonedImage.ImageId,
+        clonedImage.Description,
+        destinationRegion,
+        function (error) {
+          var deprecateAt = imageCloner.ec2.enableImageDeprecation.firstCall.args[2];
+
+          expect(deprecateAt.getTime()).to.be.at.least(now + 60 * 1000);
+          done(error);
+        }
+      );
+    });
+
+    it('reports mismatched settings copied by AWS', function (done) {
+      imageCloner.config.copyImageAttributes = undefined;
+      image.TpmSupport = 'v2.0';
+      clonedImage.BootMode = 'legacy-bios';
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(result.attributeMismatches).to.eql([
+            {
+              attribute: constants.imageAttributes.BOOT_MODE,
+              expected: 'uefi',
+              actual: 'legacy-bios'
+            },
+            {
+              attribute: constants.imageAttributes.TPM_SUPPORT,
+              expected: 'v2.0',
+              actual: null
+            }
+          ]);
+          expect(result).to.not.have.property('copiedAttributes');
+
+          done(error);
+        }
+      );
+    });
+  });
+
+  describe('verifyClone', function () {
+    var tags;
+
+    beforeEach(function () {
+      _.extend(image, {
+        Architecture: 'x86_64',
+        VirtualizationType: 'hvm',
+        RootDeviceName: '/dev/xvda',
+        RootDeviceType: 'ebs',
+        EnaSupport: true,
+        BlockDeviceMappings: [
+          {
+            DeviceName: '/dev/xvda',
+            Ebs: {
+              SnapshotId: 'snap-11111111',
+              VolumeSize: 8,
+              VolumeType: 'gp3'
+            }
+          }
+        ]
+      });
+      _.extend(clonedImage, _.cloneDeep(_.pick(image, [
+        'Architecture',
+        'VirtualizationType',
+        'RootDeviceName',
+        'RootDeviceType',
+        'EnaSupport',
+        'BlockDeviceMappings'
+      ])), {
+        Tags: image.Tags.concat({
+          Key: 'other',
+          Value: 'value'
+        })
+      });
+      clonedImage.BlockDeviceMappings[0].Ebs.SnapshotId = 'snap-22222222';
+      tags = image.Tags;
+    });
+
+    it('yields no differences for a matching clone', function (done) {
+      imageCloner.verifyClone(
+        image,
+        clonedImage.ImageId,
+        tags,
+        launchPermissions,
+        destinationRegion,
+        function (error, differences) {
+          expect(differences).to.eql([]);
+          sinon.assert.calledWith(
+            imageCloner.ec2.describeImageAttribute,
+            clonedImage.ImageId,
+            destinationRegion,
+            constants.imageAttributes.LAUNCH_PERMISSION,
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('yields the differences', function (done) {
+      clonedImage.Architecture = 'arm64';
+      delete clonedImage.EnaSupport;
+      clonedImage.BlockDeviceMappings[0].Ebs.VolumeSize = 16;
+      clonedImage.Tags = [];
+      imageCloner.ec2.describeImageAttribute.yields(null, []);
+
+      imageCloner.verifyClone(
+        image,
+        clonedImage.ImageId,
+        tags,
+        launchPermissions,
+        destinationRegion,
+        function (error, differences) {
+          expect(differences).to.eql([
+            {
+              property: 'architecture',
+              expected: 'x86_64',
+              actual: 'arm64'
+            },
+            {
+              property: 'enaSupport',
+              expected: true,
+              actual: null
+            },
+            {
+              property: 'blockDeviceMappings',
+              expected: [
+                {
+                  deviceName: '/dev/xvda',
+                  volumeSize: 8,
+                  volumeType: 'gp3'
+                }
+              ],
+              actual: [
+                {
+                  deviceName: '/dev/xvda',
+                  volumeSize: 16,
+                  volumeType: 'gp3'
+                }
+              ]
+            },
+            {
+              property: 'tags',
+              expected: {
+                key: 'value'
+              },
+              actual: {
+                key: null
+              }
+            },
+            {
+              property: 'launchPermissions',
+              expected: launchPermissions,
+              actual: []
+            }
+          ]);
+
+          done(error);
+        }
+      );
+    });
+
+    it('lists differences in the region result', function (done) {
+      imageCloner.config.verification = constants.verificationModes.REPORT;
+      clonedImage.Architecture = 'arm64';
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(_.map(result.differences, 'property')).to.eql(['architecture']);
+
+          done(error);
+        }
+      );
+    });
+
+    it('fails the region for differences in strict mode', function (done) {
+      imageCloner.config.verification = constants.verificationModes.STRICT;
+      clonedImage.Architecture = 'arm64';
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(error.message).to.equal(
+            'Clone clonedImageId differs from the source image: architecture'
+          );
+          expect(error.code).to.equal(
+            constants.errorCodes.VERIFICATION_FAILED
+          );
+          expect(error.differences).to.have.length(1);
+          expect(result.imageId).to.equal(clonedImage.ImageId);
+
+          done();
+        }
+      );
+    });
+  });
+
+  describe('shareImageSnapshots', function () {
+    var sourceSnapshotTags;
+
+    beforeEach(function () {
+      image.BlockDeviceMappings = [
+        {
+          DeviceName: '/dev/xvda',
+          Ebs: {
+            SnapshotId: 'snap-11111111'
+          }
+        },
+        {
+          DeviceName: '/dev/xvdb',
+          VirtualName: 'ephemeral0'
+        }
+      ];
+      clonedImage.BlockDeviceMappings = [
+        {
+          DeviceName: '/dev/xvda',
+          Ebs: {
+            SnapshotId: 'snap-22222222'
+          }
+        }
+      ];
+      sourceSnapshotTags = [
+        {
+          Key: 'key',
+          Value: 'value'
+        }
+      ];
+
+      imageCloner.ec2.describeSnapshots.yields(null, [
+        {
+          SnapshotId: 'snap-11111111',
+          Tags: sourceSnapshotTags.concat({
+            Key: 'aws:reserved',
+            Value: 'value'
+          })
+        }
+      ]);
+    });
+
+    it('functions as expected', function (done) {
+      launchPermissions = [
+        {
+          UserId: '111222333444'
+        },
+        {
+          OrganizationArn: 'arn:aws:organizations::111222333444:organization/o-abcdefghij'
+        }
+      ];
+
+      imageCloner.shareImageSnapshots(
+        image,
+        clonedImage.ImageId,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, snapshots) {
+          expect(snapshots).to.eql([
+            {
+              snapshotId: 'snap-22222222',
+              deviceName: '/dev/xvda',
+              sourceSnapshotId: 'snap-11111111',
+              shared: true,
+              tagged: true
+            }
+          ]);
+
+          sinon.assert.calledWith(
+            imageCloner.ec2.describeImage,
+            clonedImage.ImageId,
+            destinationRegion,
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.describeSnapshots,
+            ['snap-11111111'],
+            sourceRegion,
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.tagSnapshot,
+            'snap-22222222',
+            destinationRegion,
+            sourceSnapshotTags,
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.modifySnapshotAttribute,
+            'snap-22222222',
+            destinationRegion,
+            constants.snapshotAttributes.CREATE_VOLUME_PERMISSION,
+            {
+              Add: [
+                {
+                  UserId: '111222333444'
+                }
+              ]
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('does not share without account or public permissions', function (done) {
+      imageCloner.shareImageSnapshots(
+        image,
+        clonedImage.ImageId,
+        [],
+        sourceRegion,
+        destinationRegion,
+        function (error, snapshots) {
+          expect(snapshots[0].shared).to.equal(false);
+          sinon.assert.notCalled(imageCloner.ec2.modifySnapshotAttribute);
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error on failure', function (done) {
+      imageCloner.ec2.modifySnapshotAttribute.yields(new Error());
+
+      imageCloner.shareImageSnapshots(
+        image,
+        clonedImage.ImageId,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, snapshots) {
+          expect(error).to.be.instanceof(Error);
+          expect(snapshots[0].shared).to.equal(false);
+          done();
+        }
+      );
+    });
+  });
+
+  describe('prepareState', function () {
+    var savedState;
+
+    beforeEach(function () {
+      savedState = {
+        sourceImageId: image.ImageId,
+        sourceRegion: sourceRegion,
+        regions: {}
+      };
+      imageCloner.stateStore = {
+        load: sandbox.stub().yields(null, savedState),
+        save: sandbox.stub().yields()
+      };
+    });
+
+    it('starts and saves new state', function (done) {
+      imageCloner.prepareState(false, function (error) {
+        expect(imageCloner.state).to.eql(savedState);
+        sinon.assert.notCalled(imageCloner.stateStore.load);
+        sinon.assert.calledWith(
+          imageCloner.stateStore.save,
+          imageCloner.state,
+          sinon.match.func
+        );
+        done(error);
+      });
+    });
+
+    it('loads saved state to resume', function (done) {
+      imageCloner.prepareState(true, function (error) {
+        expect(imageCloner.state).to.equal(savedState);
+        sinon.assert.notCalled(imageCloner.stateStore.save);
+        done(error);
+      });
+    });
+
+    it('does not record state for a dry run', function (done) {
+      imageCloner.config.dryRun = true;
+
+      imageCloner.prepareState(false, function (error) {
+        expect(imageCloner.state).to.equal(undefined);
+        sinon.assert.notCalled(imageCloner.stateStore.save);
+        done(error);
+      });
+    });
+
+    it('calls back with error to resume without a state store', function (done) {
+      imageCloner.stateStore = undefined;
+
+      imageCloner.prepareState(true, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error to resume without saved state', function (done) {
+      imageCloner.stateStore.load.yields();
+
+      imageCloner.prepareState(true, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error to resume state for another image', function (done) {
+      savedState.sourceImageId = 'ami-99999999';
+
+      imageCloner.prepareState(true, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        expect(imageCloner.state).to.equal(undefined);
+        done();
+      });
+    });
+  });
+
+  describe('cloneImageToRegion', function () {
+
+    beforeEach(function () {
+      sandbox.stub(imageCloner, 'awaitImageCopyCompletion').yields();
+    });
+
+    it('functions as expected', function (done) {
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(_.omit(result, 'steps')).to.eql({
+            imageId: clonedImage.ImageId,
+            reused: false,
+            encrypted: false,
+            launchPermissions: launchPermissions,
+            tags: image.Tags
+          });
+          expect(_.map(result.steps, 'step')).to.eql([
+            constants.regionSteps.FIND_EXISTING,
+            constants.regionSteps.COPY,
+            constants.regionSteps.AWAIT,
+            constants.regionSteps.TAG,
+            constants.regionSteps.PERMISSIONS,
+            constants.regionSteps.ATTRIBUTES,
+            constants.regionSteps.SNAPSHOTS,
+            constants.regionSteps.VERIFY
+          ]);
+          _.each(result.steps, function (step) {
+            expect(step.startedAt).to.be.a('string');
+            expect(step.endedAt).to.be.a('string');
+            expect(step.durationInMilliseconds).to.equal(
+              Date.parse(step.endedAt) - Date.parse(step.startedAt)
+            );
+          });
+
+          sinon.assert.notCalled(imageCloner.ec2.findImages);
+
+          sinon.assert.calledWith(
+            imageCloner.ec2.copyImage,
+            image.ImageId,
+            image.Name,
+            image.Description,
+            sourceRegion,
+            destinationRegion,
+            {
+              encrypted: false,
+              clientToken: imageCloner.getCopyClientToken(
+                image.ImageId,
+                destinationRegion
+              )
+            },
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.awaitImageCopyCompletion,
+            clonedImage.ImageId,
+            destinationRegion,
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.tagImage,
+            clonedImage.ImageId,
+            destinationRegion,
+            image.Tags,
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.modifyImageAttribute,
+            clonedImage.ImageId,
+            destinationRegion,
+            constants.imageAttributes.LAUNCH_PERMISSION,
+            {
+              Add: launchPermissions
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('emits events', function (done) {
+      var events = [];
+
+      _.each(constants.events, function (eventName) {
+        imageCloner.on(eventName, function (event) {
+          expect(event.region).to.equal(destinationRegion);
+          expect(event.sourceImageId).to.equal(image.ImageId);
+          expect(event.timestamp).to.be.a('string');
+          events.push(event.event);
+        });
+      });
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(events).to.eql([
+            constants.events.COPY_STARTED,
+            constants.events.TAGGED,
+            constants.events.LAUNCH_PERMISSIONS_SET,
+            constants.events.COMPLETED
+          ]);
+          done(error);
+        }
+      );
+    });
+
+    it('shares snapshots', function (done) {
+      var snapshots = [
+        {
+          snapshotId: 'snap-22222222',
+          deviceName: '/dev/xvda',
+          sourceSnapshotId: 'snap-11111111',
+          shared: true,
+          tagged: false
+        }
+      ];
+      var sharedEvent;
+
+      imageCloner.config.shareSnapshots = true;
+      sandbox.stub(imageCloner, 'shareImageSnapshots').yields(null, snapshots);
+      imageCloner.on(constants.events.SNAPSHOTS_SHARED, function (event) {
+        sharedEvent = event;
+      });
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(result.snapshots).to.eql(snapshots);
+          expect(sharedEvent.snapshots).to.eql(snapshots);
+
+          sinon.assert.calledWith(
+            imageCloner.shareImageSnapshots,
+            image,
+            clonedImage.ImageId,
+            launchPermissions,
+            sourceRegion,
+            destinationRegion,
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('applies transformed tags', function (done) {
+      imageCloner.config.tags = {
+        SourceAmi: '{sourceImageId}'
+      };
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error) {
+          sinon.assert.calledWith(
+            imageCloner.ec2.tagImage,
+            clonedImage.ImageId,
+            destinationRegion,
+            image.Tags.concat({
+              Key: 'SourceAmi',
+              Value: image.ImageId
+            }),
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('names the clone from templates', function (done) {
+      imageCloner.config.reuseExistingImages = true;
+      imageCloner.config.nameTemplate = '{sourceName}-{destinationRegion}';
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error) {
+          sinon.assert.calledWith(
+            imageCloner.ec2.findImages,
+            'name-' + destinationRegion,
+            image.Description
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.copyImage,
+            image.ImageId,
+            'name-' + destinationRegion,
+            image.Description
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error for an invalid rendered name', function (done) {
+      imageCloner.config.nameTemplate = '{tag:key}:{sourceName}';
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error) {
+          expect(error).to.be.instanceOf(Error);
+          sinon.assert.notCalled(imageCloner.ec2.copyImage);
+          done();
+        }
+      );
+    });
+
+    it('does not tag if there are no tags', function (done) {
+      imageCloner.config.removeTags = ['key'];
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error) {
+          sinon.assert.notCalled(imageCloner.ec2.tagImage);
+          done(error);
+        }
+      );
+    });
+
+    it('records progress', function (done) {
+      var steps = [];
+
+      imageCloner.state = {
+        sourceImageId: image.ImageId,
+        sourceRegion: sourceRegion,
+        regions: {}
+      };
+      imageCloner.stateStore = {
+        save: sandbox.spy(function (state, callback) {
+          steps.push(state.regions[destinationRegion].step);
+          callback();
+        })
+      };
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(steps).to.eql([
+            constants.cloneSteps.COPY_STARTED,
+            constants.cloneSteps.COPY_COMPLETED,
+            constants.cloneSteps.TAGGED,
+            constants.cloneSteps.LAUNCH_PERMISSIONS_SET,
+            constants.cloneSteps.ATTRIBUTES_COPIED,
+            constants.cloneSteps.COMPLETED
+          ]);
+          expect(imageCloner.state.regions[destinationRegion]).to.eql({
+            step: constants.cloneSteps.COMPLETED,
+            imageId: clonedImage.ImageId,
+            reused: false,
+            copyStartedAt: imageCloner.state.regions[destinationRegion].copyStartedAt,
+            attributeReport: {
+              copiedAttributes: [],
+              attributeMismatches: []
+            },
+            result: result
+          });
+          expect(
+            imageCloner.state.regions[destinationRegion].copyStartedAt
+          ).to.be.a('string');
+
+          done(error);
+        }
+      );
+    });
+
+    it('resumes after the last finished step', function (done) {
+      imageCloner.state = {
+        sourceImageId: image.ImageId,
+        sourceRegion: sourceRegion,
+        regions: {}
+      };
+      imageCloner.state.regions[destinationRegion] = {
+        step: constants.cloneSteps.COPY_STARTED,
+        imageId: clonedImage.ImageId,
+        reused: false
+      };
+      imageCloner.stateStore = {
+        save: sandbox.stub().yields()
+      };
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(result.imageId).to.equal(clonedImage.ImageId);
+
+          sinon.assert.notCalled(imageCloner.ec2.findImages);
+          sinon.assert.notCalled(imageCloner.ec2.copyImage);
+          sinon.assert.calledWith(
+            imageCloner.awaitImageCopyCompletion,
+            clonedImage.ImageId,
+            destinationRegion,
+            sinon.match.func
+          );
+          sinon.assert.calledOnce(imageCloner.ec2.tagImage);
+          sinon.assert.calledOnce(imageCloner.ec2.modifyImageAttribute);
+
+          done(error);
+        }
+      );
+    });
+
+    it('forgets a failed copy so that resuming starts a new copy', function (done) {
+      imageCloner.state = {
+        sourceImageId: image.ImageId,
+        sourceRegion: sourceRegion,
+        regions: {}
+      };
+      imageCloner.stateStore = {
+        save: sandbox.stub().yields()
+      };
+      imageCloner.awaitImageCopyCompletion.yields(new errors.CloneError('failed', {
+        code: constants.errorCodes.COPY_FAILED
+      }));
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error) {
+          expect(error.code).to.equal(constants.errorCodes.COPY_FAILED);
+          expect(imageCloner.state.regions).to.eql({});
+          expect(
+            imageCloner.stateStore.save.lastCall.args[0].regions
+          ).to.eql({});
+
+          imageCloner.awaitImageCopyCompletion.yields();
+          imageCloner.cloneImageToRegion(
+            image,
+            launchPermissions,
+            sourceRegion,
+            destinationRegion,
+            function (resumeError, result) {
+              sinon.assert.calledTwice(imageCloner.ec2.copyImage);
+              expect(result.imageId).to.equal(clonedImage.ImageId);
+              done(resumeError);
+            }
+          );
+        }
+      );
+    });
+
+    it('keeps a timed out copy to wait on when resuming', function (done) {
+      imageCloner.state = {
+        sourceImageId: image.ImageId,
+        sourceRegion: sourceRegion,
+        regions: {}
+      };
+      imageCloner.stateStore = {
+        save: sandbox.stub().yields()
+      };
+      imageCloner.awaitImageCopyCompletion.yields(new errors.CloneError('timed out', {
+        code: constants.errorCodes.COPY_TIMED_OUT
+      }));
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error) {
+          expect(error.code).to.equal(constants.errorCodes.COPY_TIMED_OUT);
+          expect(imageCloner.state.regions[destinationRegion]).to.include({
+            step: constants.cloneSteps.COPY_STARTED,
+            imageId: clonedImage.ImageId
+          });
+          done();
+        }
+      );
+    });
+
+    it('reports a completed region without changes', function (done) {
+      var savedResult = {
+        imageId: clonedImage.ImageId,
+        reused: false,
+        encrypted: false,
+        launchPermissions: launchPermissions
+      };
+
+      imageCloner.state = {
+        sourceImageId: image.ImageId,
+        sourceRegion: sourceRegion,
+        regions: {}
+      };
+      imageCloner.state.regions[destinationRegion] = {
+        step: constants.cloneSteps.COMPLETED,
+        imageId: clonedImage.ImageId,
+        reused: false,
+        result: savedResult
+      };
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(result).to.eql(savedResult);
+
+          sinon.assert.notCalled(imageCloner.ec2.copyImage);
+          sinon.assert.notCalled(imageCloner.awaitImageCopyCompletion);
+          sinon.assert.notCalled(imageCloner.ec2.tagImage);
+          sinon.assert.notCalled(imageCloner.ec2.modifyImageAttribute);
+
+          done(error);
+        }
+      );
+    });
+
+    it('emits failed event on error', function (done) {
+      var failedEvent;
+
+      imageCloner.ec2.tagImage.yields(new Error());
+      imageCloner.on(constants.events.FAILED, function (event) {
+        failedEvent = event;
+      });
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(failedEvent.imageId).to.equal(clonedImage.ImageId);
+          expect(failedEvent.error).to.equal(error);
+          done();
+        }
+      );
+    });
+
+    it('copies with encryption', function (done) {
+      imageCloner.config.encrypted = true;
+      imageCloner.config.kmsKeyId = 'alias/example';
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(_.omit(result, 'steps')).to.eql({
+            imageId: clonedImage.ImageId,
+            reused: false,
+            encrypted: true,
+            kmsKeyId: 'alias/example',
+            launchPermissions: launchPermissions,
+            tags: image.Tags
+          });
+
+          sinon.assert.calledWith(
+            imageCloner.ec2.copyImage,
+            image.ImageId,
+            image.Name,
+            image.Description,
+            sourceRegion,
+            destinationRegion,
+            {
+              encrypted: true,
+              kmsKeyId: 'alias/example',
+              clientToken: imageCloner.getCopyClientToken(
+                image.ImageId,
+                destinationRegion
+              )
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('adds launch permissions', function (done) {
+      imageCloner.config.additionalLaunchPermissions = {
+        userIds: ['555666777888']
+      };
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          var expectedLaunchPermissions = launchPermissions.concat({
+            UserId: '555666777888'
+          });
+
+          expect(result.launchPermissions).to.eql(expectedLaunchPermissions);
+          sinon.assert.calledWith(
+            imageCloner.ec2.modifyImageAttribute,
+            clonedImage.ImageId,
+            destinationRegion,
+            constants.imageAttributes.LAUNCH_PERMISSION,
+            {
+              Add: expectedLaunchPermissions
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('reuses an available existing image', function (done) {
+      imageCloner.config.reuseExistingImages = true;
+      imageCloner.ec2.findImages.yields(null, [clonedImage]);
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(_.omit(result, 'steps')).to.eql({
+            imageId: clonedImage.ImageId,
+            reused: true,
+            encrypted: false,
+            launchPermissions: launchPermissions,
+            tags: image.Tags
+          });
+
+          sinon.assert.notCalled(imageCloner.ec2.copyImage);
+          sinon.assert.notCalled(imageCloner.awaitImageCopyCompletion);
+          sinon.assert.calledWith(
+            imageCloner.ec2.tagImage,
+            clonedImage.ImageId,
+            destinationRegion,
+            image.Tags,
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.modifyImageAttribute,
+            clonedImage.ImageId,
+            destinationRegion,
+            constants.imageAttributes.LAUNCH_PERMISSION,
+            {
+              Add: launchPermissions
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('awaits a pending existing image', function (done) {
+      imageCloner.config.reuseExistingImages = true;
+      imageCloner.ec2.findImages.yields(null, [
+        _.extend({}, clonedImage, {
+          State: 'pending'
+        })
+      ]);
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(result.reused).to.equal(true);
+
+          sinon.assert.notCalled(imageCloner.ec2.copyImage);
+          sinon.assert.calledWith(
+            imageCloner.awaitImageCopyCompletion,
+            clonedImage.ImageId,
+            destinationRegion,
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('copies the image if no existing image is found', function (done) {
+      imageCloner.config.reuseExistingImages = true;
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(result.reused).to.equal(false);
+
+          sinon.assert.calledOnce(imageCloner.ec2.findImages);
+          sinon.assert.calledOnce(imageCloner.ec2.copyImage);
+
+          done(error);
+        }
+      );
+    });
+
+    it('yields error on error in findExistingImage', function (done) {
+      imageCloner.config.reuseExistingImages = true;
+      imageCloner.ec2.findImages.yields(new Error());
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(error).to.be.instanceOf(Error);
+
+          sinon.assert.notCalled(imageCloner.ec2.copyImage);
+
+          done();
+        }
+      );
+    });
+
+    it('yields error on error in copyImage', function (done) {
+      imageCloner.ec2.copyImage.yields(new Error());
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, imageId) {
+          expect(error).to.be.instanceOf(Error);
+
+          sinon.assert.notCalled(
+            imageCloner.awaitImageCopyCompletion
+          );
+          sinon.assert.notCalled(
+            imageCloner.ec2.tagImage
+          );
+          sinon.assert.notCalled(
+            imageCloner.ec2.modifyImageAttribute
+          );
+
+          done();
+        }
+      );
+    });
+
+    it('yields error on error in awaitImageCopyCompletion', function (done) {
+      imageCloner.awaitImageCopyCompletion.yields(new Error());
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, result) {
+          expect(error).to.be.instanceOf(Error);
+          expect(_.omit(result, 'steps')).to.eql({
+            imageId: clonedImage.ImageId,
+            reused: false
+          });
+          expect(_.map(result.steps, 'step')).to.eql([
+            constants.regionSteps.FIND_EXISTING,
+            constants.regionSteps.COPY,
+            constants.regionSteps.AWAIT
+          ]);
+
+          sinon.assert.notCalled(
+            imageCloner.ec2.tagImage
+          );
+          sinon.assert.notCalled(
+            imageCloner.ec2.modifyImageAttribute
+          );
+
+          done();
+        }
+      );
+    });
+
+    it('yields error on error in tagImage', function (done) {
+      imageCloner.ec2.tagImage.yields(new Error());
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, imageId) {
+          expect(error).to.be.instanceOf(Error);
+          expect(error).to.be.instanceOf(errors.CloneError);
+          expect(error.step).to.equal(constants.regionSteps.TAG);
+          expect(error.region).to.equal(destinationRegion);
+          expect(error.imageId).to.equal(clonedImage.ImageId);
+
+          sinon.assert.notCalled(
+            imageCloner.ec2.modifyImageAttribute
+          );
+
+          done();
+        }
+      );
+    });
+
+    it('yields error on error in modifyImageAttribute', function (done) {
+      imageCloner.ec2.modifyImageAttribute.yields(new Error());
+
+      imageCloner.cloneImageToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, imageId) {
+          expect(error).to.be.instanceOf(Error);
+          done();
+        }
+      );
+    });
+
+  });
+
+  describe('planCloneToRegion', function () {
+    it('functions as expected', function (done) {
+      imageCloner.planCloneToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, plan) {
+          expect(plan).to.eql({
+            dryRun: true,
+            action: 'copy',
+            name: image.Name,
+            description: image.Description,
+            encrypted: false,
+            tags: image.Tags,
+            launchPermissions: launchPermissions,
+            authorization: {
+              copyImage: {
+                authorized: true
+              },
+              createTags: {
+                authorized: true
+              },
+              modifyImageAttribute: {
+                authorized: true
+              }
+            }
+          });
+
+          sinon.assert.calledWith(
+            imageCloner.ec2.dryRun,
+            'copyImage',
+            destinationRegion,
+            {
+              Name: image.Name,
+              SourceImageId: image.ImageId,
+              SourceRegion: sourceRegion,
+              Description: image.Description
+            },
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.dryRun,
+            'createTags',
+            destinationRegion,
+            {
+              Resources: [constants.DRY_RUN_IMAGE_ID],
+              Tags: image.Tags
+            },
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            imageCloner.ec2.dryRun,
+            'modifyImageAttribute',
+            destinationRegion,
+            {
+              Attribute: constants.imageAttributes.LAUNCH_PERMISSION,
+              ImageId: constants.DRY_RUN_IMAGE_ID,
+              LaunchPermission: {
+                Add: launchPermissions
+              }
+            },
+            sinon.match.func
+          );
+          sinon.assert.notCalled(imageCloner.ec2.copyImage);
+          sinon.assert.notCalled(imageCloner.ec2.tagImage);
+          sinon.assert.notCalled(imageCloner.ec2.modifyImageAttribute);
+
+          done(error);
+        }
+      );
+    });
+
+    it('plans reuse of an existing image', function (done) {
+      imageCloner.config.reuseExistingImages = true;
+      imageCloner.ec2.findImages.yields(null, [clonedImage]);
+
+      imageCloner.planCloneToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, plan) {
+          expect(plan.action).to.equal('reuse');
+          expect(plan.imageId).to.equal(clonedImage.ImageId);
+          done(error);
+        }
+      );
+    });
+
+    it('records authorization failures and errors', function (done) {
+      var dryRunError = new Error();
+
+      imageCloner.ec2.dryRun.withArgs('createTags').yields(null, {
+        authorized: false,
+        message: 'message'
+      });
+      imageCloner.ec2.dryRun.withArgs('modifyImageAttribute').yields(
+        dryRunError
+      );
+
+      imageCloner.planCloneToRegion(
+        image,
+        launchPermissions,
+        sourceRegion,
+        destinationRegion,
+        function (error, plan) {
+          expect(plan.authorization).to.eql({
+            copyImage: {
+              authorized: true
+            },
+            createTags: {
+              authorized: false,
+              message: 'message'
+            },
+            modifyImageAttribute: {
+              authorized: undefined,
+              error: dryRunError
+            }
+          });
+          expect(plan.error.message).to.equal(
+            'Dry run not authorized or failed for: createTags, modifyImageAttribute'
+          );
+          done(error);
+        }
+      );
+    });
+  });
+
+  describe('cloneImage', function () {
+
+    beforeEach(function () {
+      imageCloner.ec2.describeImage.yields(
+        null,
+        image
+      );
+      sandbox.stub(imageCloner, 'awaitImageCopyCompletion').yields();
+      sandbox.stub(imageCloner, 'cloneImageToRegion').yields(
+        null,
+        {
+          imageId: clonedImage.ImageId,
+          reused: false
+        }
+      );
+    });
+
+    it('records the run details for its report', function (done) {
+      imageCloner.cloneImage(function (error, result) {
+        var report = imageCloner.getReport(result);
+
+        expect(report.success).to.equal(true);
+        expect(Date.parse(report.endedAt)).to.be.at.least(
+          Date.parse(report.startedAt)
+        );
+        expect(report.retryCount).to.equal(0);
+        expect(report.sourceImages).to.eql([
+          {
+            imageId: image.ImageId,
+            name: image.Name,
+            description: image.Description,
+            region: sourceRegion,
+            ownerId: image.OwnerId,
+            creationDate: image.CreationDate,
+            architecture: image.Architecture
+          }
+        ]);
+        expect(_.map(report.regions, 'region')).to.eql([destinationRegion]);
+        done(error);
+      });
+    });
+
+    it('functions as expected', function (done) {
+      imageCloner.cloneImage(function (error, result) {
+        expect(result).eql({
+          'eu-west-1': {
+            imageId: clonedImage.ImageId,
+            reused: false,
+            success: true
+          }
+        });
+
+        sinon.assert.calledWith(
+          imageCloner.ec2.describeImage,
+          image.ImageId,
+          sourceRegion,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          imageCloner.ec2.describeImageAttribute,
+          image.ImageId,
+          sourceRegion,
+          constants.imageAttributes.LAUNCH_PERMISSION,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          imageCloner.cloneImageToRegion,
+          image,
+          launchPermissions,
+          sourceRegion,
+          destinationRegion,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('returns a promise if no callback is provided', function () {
+      return imageCloner.cloneImage().then(function (result) {
+        expect(result).eql({
+          'eu-west-1': {
+            imageId: clonedImage.ImageId,
+            reused: false,
+            success: true
+          }
+        });
+      });
+    });
+
+    it('rejects with error carrying results on failure', function () {
+      imageCloner.cloneImageToRegion.yields(new Error('failed'));
+
+      return imageCloner.cloneImage().then(function () {
+        throw new Error('Should not resolve.');
+      }, function (error) {
+        expect(error.message).to.equal(
+          'Cloning failed for 1 of 1 destination regions: eu-west-1: failed'
+        );
+        expect(error.results['eu-west-1'].success).equal(false);
+        expect(error.results['eu-west-1'].error.message).equal('failed');
+      });
+    });
+
+    it('yields results that can be serialized as JSON', function (done) {
+      var awsError = _.extend(new Error('Not found'), {
+        code: 'InvalidAMIID.NotFound',
+        statusCode: 400,
+        requestId: 'request-1',
+        retryable: false
+      });
+
+      imageCloner.cloneImageToRegion.yields(new errors.AwsError(
+        'copyImage',
+        'eu-west-1',
+        {},
+        awsError
+      ));
+
+      imageCloner.cloneImage(function (error, results) {
+        expect(JSON.parse(JSON.stringify(results))).to.eql({
+          'eu-west-1': {
+            success: false,
+            error: {
+              name: 'AwsError',
+              message: 'Call to copyImage failed: Error: Not found',
+              code: 'InvalidAMIID.NotFound',
+              statusCode: 400,
+              requestId: 'request-1',
+              retryable: false,
+              operation: 'copyImage',
+              region: 'eu-west-1'
+            }
+          }
+        });
+        done();
+      });
+    });
+
+    it('plans instead of cloning for a dry run', function (done) {
+      imageCloner.config.dryRun = true;
+      sandbox.stub(imageCloner, 'planCloneToRegion').yields(null, {
+        dryRun: true,
+        error: new Error('failed')
+      });
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error.message).to.equal(
+          'Dry run failed for 1 of 1 destination regions: eu-west-1: failed'
+        );
+        expect(result['eu-west-1'].dryRun).to.equal(true);
+        expect(result['eu-west-1'].success).to.equal(false);
+
+        sinon.assert.notCalled(imageCloner.cloneImageToRegion);
+        sinon.assert.calledWith(
+          imageCloner.planCloneToRegion,
+          image,
+          launchPermissions,
+          sourceRegion,
+          destinationRegion,
+          sinon.match.func
+        );
+
+        done();
+      });
+    });
+
+    it('clones to multiple regions', function (done) {
+      imageCloner.config.destinationRegions = ['eu-west-1', 'us-west-2'];
+      imageCloner.cloneImageToRegion.withArgs(
+        sinon.match.any,
+        sinon.match.any,
+        sinon.match.any,
+        'us-west-2'
+      ).yields(new Error());
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error).is.instanceOf(Error);
+        expect(result['eu-west-1'].success).equal(true);
+        expect(result['us-west-2'].success).equal(false);
+        expect(result['us-west-2'].error).is.instanceOf(Error);
+
+        sinon.assert.calledTwice(imageCloner.cloneImageToRegion);
+
+        done();
+      });
+    });
+
+    it('keeps the clone of a failed region', function (done) {
+      imageCloner.cloneImageToRegion.yields(new Error('failed'), {
+        imageId: clonedImage.ImageId,
+        reused: false
+      });
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error).to.be.instanceOf(Error);
+        expect(result['eu-west-1'].imageId).to.equal(clonedImage.ImageId);
+        expect(result['eu-west-1'].success).to.equal(false);
+        sinon.assert.notCalled(imageCloner.ec2.deregisterImage);
+
+        done();
+      });
+    });
+
+    it('rolls back created clones on failure', function (done) {
+      imageCloner.config.rollbackOnFailure = true;
+      imageCloner.config.destinationRegions = [
+        'eu-west-1',
+        'us-west-2',
+        'ap-south-1'
+      ];
+      imageCloner.cloneImageToRegion.withArgs(
+        sinon.match.any,
+        sinon.match.any,
+        sinon.match.any,
+        'us-west-2'
+      ).yields(new Error('failed'), {
+        imageId: 'failedImageId',
+        reused: false
+      });
+      imageCloner.cloneImageToRegion.withArgs(
+        sinon.match.any,
+        sinon.match.any,
+        sinon.match.any,
+        'ap-south-1'
+      ).yields(null, {
+        imageId: 'reusedImageId',
+        reused: true
+      });
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error.message).to.equal(
+          'Cloning failed for 1 of 3 destination regions: us-west-2: failed'
+        );
+        expect(result['eu-west-1'].rollback).to.eql({
+          imageId: clonedImage.ImageId,
+          deregistered: true,
+          deletedSnapshotIds: []
+        });
+        expect(result['us-west-2'].rollback.imageId).to.equal('failedImageId');
+        expect(result['ap-south-1'].rollback).to.equal(undefined);
+
+        sinon.assert.calledTwice(imageCloner.ec2.deregisterImage);
+        sinon.assert.calledWith(
+          imageCloner.ec2.deregisterImage,
+          'failedImageId',
+          'us-west-2'
+        );
+
+        done();
+      });
+    });
+
+    it('does not roll back on success', function (done) {
+      imageCloner.config.rollbackOnFailure = true;
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(result['eu-west-1'].rollback).to.equal(undefined);
+        sinon.assert.notCalled(imageCloner.ec2.deregisterImage);
+
+        done(error);
+      });
+    });
+
+    it('resumes from saved state', function (done) {
+      sandbox.stub(imageCloner, 'prepareState').yields();
+
+      imageCloner.resumeCloneImage(function (error, result) {
+        expect(result['eu-west-1'].success).equal(true);
+
+        sinon.assert.calledWith(
+          imageCloner.prepareState,
+          true,
+          sinon.match.func
+        );
+        sinon.assert.calledOnce(imageCloner.cloneImageToRegion);
+
+        done(error);
+      });
+    });
+
+    it('yields error on error in prepareState', function (done) {
+      imageCloner.stateStore = undefined;
+
+      imageCloner.resumeCloneImage(function (error, result) {
+        expect(error).is.instanceOf(Error);
+        expect(result['eu-west-1'].success).equal(false);
+
+        sinon.assert.notCalled(imageCloner.cloneImageToRegion);
+
+        done();
+      });
+    });
+
+    it('clones the image selected by a filter', function (done) {
+      var events = [];
+
+      delete imageCloner.config.sourceImageId;
+      imageCloner.sourceImageId = undefined;
+      imageCloner.config.sourceImageFilter = {
+        name: 'app-*'
+      };
+      image.ImageId = 'ami-99999999';
+      imageCloner.ec2.findImagesByFilter.yields(null, [image]);
+      imageCloner.cloneImageToRegion.restore();
+      sandbox.stub(imageCloner, 'cloneImageToRegion', function () {
+        this.emitEvent(constants.events.COMPLETED, destinationRegion, {});
+        _.last(arguments)(null, {});
+      });
+      imageCloner.on(constants.events.COMPLETED, function (event) {
+        events.push(event);
+      });
+
+      imageCloner.cloneImage(function (error) {
+        expect(events[0].sourceImageId).to.equal(image.ImageId);
+
+        sinon.assert.notCalled(imageCloner.ec2.describeImage);
+        sinon.assert.calledWith(
+          imageCloner.ec2.describeImageAttribute,
+          image.ImageId,
+          sourceRegion,
+          constants.imageAttributes.LAUNCH_PERMISSION,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
           imageCloner.cloneImageToRegion,
           image,
           launchPermissions,
           sourceRegion,
-          destinationRegion,
+          destinationRegion,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('clones to region waves in order', function (done) {
+      var started = [];
+      var finished = [];
+
+      imageCloner.config.destinationRegions = [
+        'eu-west-1',
+        'us-west-2',
+        'ap-south-1'
+      ];
+      imageCloner.config.regionWaves = [['us-west-2']];
+      imageCloner.config.maxConcurrentRegions = 1;
+      imageCloner.cloneImageToRegion.restore();
+      sandbox.stub(imageCloner, 'cloneImageToRegion', function () {
+        var destinationRegion = arguments[3];
+        var callback = _.last(arguments);
+
+        expect(started.length).to.equal(finished.length);
+        started.push(destinationRegion);
+        setTimeout(function () {
+          finished.push(destinationRegion);
+          callback(null, {});
+        }, 1);
+      });
+
+      imageCloner.cloneImage(function (error) {
+        expect(started).to.eql(['us-west-2', 'eu-west-1', 'ap-south-1']);
+        done(error);
+      });
+    });
+
+    it('skips later waves after failures', function (done) {
+      imageCloner.config.destinationRegions = ['eu-west-1', 'us-west-2'];
+      imageCloner.config.regionWaves = [['us-west-2']];
+      imageCloner.cloneImageToRegion.withArgs(
+        sinon.match.any,
+        sinon.match.any,
+        sinon.match.any,
+        'us-west-2'
+      ).yields(new Error('failed'));
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error).is.instanceOf(Error);
+        expect(result['eu-west-1'].success).equal(false);
+        expect(result['eu-west-1'].error.code).equal(
+          constants.errorCodes.REGION_SKIPPED
+        );
+
+        sinon.assert.calledOnce(imageCloner.cloneImageToRegion);
+
+        done();
+      });
+    });
+
+    it('continues with later waves within the failure threshold', function (done) {
+      imageCloner.config.destinationRegions = ['eu-west-1', 'us-west-2'];
+      imageCloner.config.regionWaves = [['us-west-2']];
+      imageCloner.config.waveFailureThreshold = 1;
+      imageCloner.cloneImageToRegion.withArgs(
+        sinon.match.any,
+        sinon.match.any,
+        sinon.match.any,
+        'us-west-2'
+      ).yields(new Error('failed'));
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(result['eu-west-1'].success).equal(true);
+        sinon.assert.calledTwice(imageCloner.cloneImageToRegion);
+
+        done();
+      });
+    });
+
+    it('yields error on error in describeImage', function (done) {
+      imageCloner.ec2.describeImage.yields(new Error());
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error).is.instanceOf(Error);
+        expect(result['eu-west-1'].success).equal(false);
+        expect(result['eu-west-1'].error).is.instanceOf(Error);
+
+        sinon.assert.notCalled(
+          imageCloner.ec2.describeImageAttribute
+        );
+        sinon.assert.notCalled(
+          imageCloner.cloneImageToRegion
+        );
+
+        done();
+      });
+    });
+
+    it('yields error on error in describeImageAttribute', function (done) {
+      imageCloner.ec2.describeImageAttribute.yields(new Error());
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error).is.instanceOf(Error);
+        expect(result['eu-west-1'].success).equal(false);
+        expect(result['eu-west-1'].error).is.instanceOf(Error);
+
+        sinon.assert.notCalled(
+          imageCloner.cloneImageToRegion
+        );
+
+        done();
+      });
+    });
+
+    it('yields error on error in cloneImageToRegion', function (done) {
+      imageCloner.cloneImageToRegion.yields(new Error());
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error).is.instanceOf(Error);
+        expect(result['eu-west-1'].success).equal(false);
+        expect(result['eu-west-1'].error).is.instanceOf(Error);
+
+        done();
+      });
+    });
+  });
+
+  describe('getRegionWaves', function () {
+    it('functions as expected', function () {
+      imageCloner.config.destinationRegions = [
+        'eu-west-1',
+        'us-west-2',
+        'ap-south-1'
+      ];
+      expect(imageCloner.getRegionWaves()).to.eql([
+        ['eu-west-1', 'us-west-2', 'ap-south-1']
+      ]);
+
+      imageCloner.config.regionWaves = [['us-west-2'], ['eu-west-1']];
+      expect(imageCloner.getRegionWaves()).to.eql([
+        ['us-west-2'],
+        ['eu-west-1'],
+        ['ap-south-1']
+      ]);
+
+      imageCloner.config.regionWaves = [['us-west-2', 'eu-west-2']];
+      imageCloner.config.destinationRegions = ['us-west-2'];
+      expect(imageCloner.getRegionWaves()).to.eql([
+        ['us-west-2']
+      ]);
+    });
+  });
+
+  describe('runCloneSourceImages', function () {
+    beforeEach(function () {
+      delete imageCloner.config.sourceImageId;
+      imageCloner.config.sourceImages = [
+        {
+          sourceImageId: 'ami-11111111'
+        },
+        {
+          sourceImageId: 'ami-22222222',
+          sourceRegion: 'us-west-2',
+          destinationRegions: ['eu-west-2', 'ap-south-1']
+        }
+      ];
+
+      sandbox.stub(ImageCloner.prototype, 'cloneImageToRegion').yields(
+        null,
+        {
+          imageId: clonedImage.ImageId,
+          reused: false
+        }
+      );
+    });
+
+    it('functions as expected', function (done) {
+      imageCloner.cloneImage(function (error, result) {
+        expect(result).to.eql({
+          'ami-11111111': {
+            'eu-west-1': {
+              imageId: clonedImage.ImageId,
+              reused: false,
+              success: true
+            }
+          },
+          'ami-22222222': {
+            'eu-west-2': {
+              imageId: clonedImage.ImageId,
+              reused: false,
+              success: true
+            },
+            'ap-south-1': {
+              imageId: clonedImage.ImageId,
+              reused: false,
+              success: true
+            }
+          }
+        });
+
+        sinon.assert.calledWith(
+          imageCloner.ec2.describeImage,
+          'ami-11111111',
+          sourceRegion,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          imageCloner.ec2.describeImage,
+          'ami-22222222',
+          'us-west-2',
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          ImageCloner.prototype.cloneImageToRegion,
+          clonedImage,
+          launchPermissions,
+          'us-west-2',
+          'ap-south-1',
+          sinon.match.func
+        );
+        sinon.assert.calledThrice(ImageCloner.prototype.cloneImageToRegion);
+
+        done(error);
+      });
+    });
+
+    it('limits concurrent copies across source images', function (done) {
+      var active = 0;
+      var maxActive = 0;
+
+      imageCloner = new ImageCloner(_.extend({}, imageCloner.config, {
+        maxConcurrentCopies: 2
+      }));
+      sandbox.stub(imageCloner.ec2, 'describeImage').yields(null, image);
+      sandbox.stub(imageCloner.ec2, 'describeImageAttribute').yields(
+        null,
+        launchPermissions
+      );
+      ImageCloner.prototype.cloneImageToRegion.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImageToRegion', function () {
+        var callback = _.last(arguments);
+
+        active++;
+        maxActive = Math.max(active, maxActive);
+        setTimeout(function () {
+          active--;
+          callback(null, {});
+        }, 5);
+      });
+
+      imageCloner.cloneImage(function (error) {
+        expect(maxActive).to.equal(2);
+        sinon.assert.calledThrice(ImageCloner.prototype.cloneImageToRegion);
+        done(error);
+      });
+    });
+
+    it('limits region waves to the regions of each source image', function () {
+      imageCloner.config.regionWaves = [['eu-west-2'], ['eu-west-1']];
+
+      expect(imageCloner.createSourceImageCloner(
+        imageCloner.config.sourceImages[1]
+      ).config.regionWaves).to.eql([['eu-west-2']]);
+    });
+
+    it('emits the events of each source image', function (done) {
+      var sourceImageIds = [];
+
+      ImageCloner.prototype.cloneImageToRegion.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImageToRegion', function () {
+        var callback = _.last(arguments);
+
+        this.emitEvent(constants.events.COMPLETED, arguments[3], {});
+        callback(null, {});
+      });
+
+      imageCloner.on(constants.events.COMPLETED, function (event) {
+        sourceImageIds.push(event.sourceImageId);
+      });
+
+      imageCloner.cloneImage(function (error) {
+        expect(sourceImageIds.sort()).to.eql([
+          'ami-11111111',
+          'ami-22222222',
+          'ami-22222222'
+        ]);
+        done(error);
+      });
+    });
+
+    it('yields error summarizing failed source images', function (done) {
+      imageCloner.ec2.describeImage.withArgs('ami-22222222').yields(
+        new Error('failed')
+      );
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error.message).to.equal(
+          'Cloning failed for 1 of 2 source images: ami-22222222: failed'
+        );
+        expect(result['ami-11111111']['eu-west-1'].success).to.equal(true);
+        expect(result['ami-22222222']['eu-west-2'].success).to.equal(false);
+
+        done();
+      });
+    });
+
+    it('rolls back every source image on failure', function (done) {
+      imageCloner.config.rollbackOnFailure = true;
+      ImageCloner.prototype.cloneImageToRegion.withArgs(
+        sinon.match.any,
+        sinon.match.any,
+        sinon.match.any,
+        'ap-south-1'
+      ).yields(new Error('failed'));
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(error).to.be.instanceOf(Error);
+        expect(result['ami-11111111']['eu-west-1'].rollback.deregistered).to.equal(
+          true
+        );
+        expect(result['ami-22222222']['eu-west-2'].rollback.deregistered).to.equal(
+          true
+        );
+        sinon.assert.calledTwice(imageCloner.ec2.deregisterImage);
+
+        done();
+      });
+    });
+
+    it('saves the state of each source image', function (done) {
+      imageCloner.stateStore = {
+        save: sandbox.stub().yields()
+      };
+
+      imageCloner.cloneImage(function (error) {
+        expect(_.keys(imageCloner.state.sourceImages).sort()).to.eql([
+          'ami-11111111',
+          'ami-22222222'
+        ]);
+        expect(imageCloner.state.sourceImages['ami-22222222']).to.eql({
+          sourceImageId: 'ami-22222222',
+          sourceRegion: 'us-west-2',
+          regions: {}
+        });
+        sinon.assert.calledWith(
+          imageCloner.stateStore.save,
+          imageCloner.state,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('starts source images without saved state afresh', function (done) {
+      imageCloner.stateStore = {
+        load: sandbox.stub().yields(null, {
+          sourceImages: {
+            'ami-11111111': {
+              sourceImageId: 'ami-11111111',
+              sourceRegion: sourceRegion,
+              regions: {}
+            }
+          }
+        }),
+        save: sandbox.stub().yields()
+      };
+
+      imageCloner.resumeCloneImage(function (error, result) {
+        expect(result['ami-11111111']['eu-west-1'].success).to.equal(true);
+        expect(result['ami-22222222']['eu-west-2'].success).to.equal(true);
+        expect(result['ami-22222222']['ap-south-1'].success).to.equal(true);
+        expect(
+          imageCloner.state.sourceImages['ami-22222222']
+        ).to.include({
+          sourceImageId: 'ami-22222222',
+          sourceRegion: 'us-west-2'
+        });
+
+        done(error);
+      });
+    });
+  });
+
+  describe('runCloneAccounts', function () {
+    var accountEc2s;
+
+    beforeEach(function () {
+      imageCloner.config.destinationAccounts = [
+        {
+          accountId: '111122223333',
+          roleArn: 'arn:aws:iam::111122223333:role/clone-ami',
+          externalId: 'example'
+        },
+        {
+          accountId: '444455556666',
+          roleArn: 'arn:aws:iam::444455556666:role/clone-ami',
+          destinationRegions: ['eu-west-2']
+        }
+      ];
+      image.BlockDeviceMappings = [
+        {
+          DeviceName: '/dev/xvda',
+          Ebs: {
+            SnapshotId: 'snap-11111111'
+          }
+        }
+      ];
+      imageCloner.ec2.describeImage.yields(null, image);
+
+      accountEc2s = {};
+      sandbox.stub(imageCloner.ec2, 'assumeRole', function (roleArn) {
+        var accountEc2 = {
+          deregisterImage: sandbox.stub().yields(),
+          deleteSnapshot: sandbox.stub().yields(),
+          describeImage: sandbox.stub().yields(null, clonedImage),
+          retryCount: 0
+        };
+
+        accountEc2s[roleArn.split(':')[4]] = accountEc2;
+        return accountEc2;
+      });
+      sandbox.stub(ImageCloner.prototype, 'cloneImageToRegion', function () {
+        _.last(arguments)(null, {
+          imageId: clonedImage.ImageId,
+          reused: false,
+          ec2: this.ec2,
+          sourceEc2: this.sourceEc2
+        });
+      });
+    });
+
+    it('does not share clones with the other accounts', function (done) {
+      var clonePermissions = {};
+
+      // As left by sharing the source image with both accounts in an earlier
+      // run.
+      imageCloner.ec2.describeImageAttribute.yields(null, [
+        {
+          UserId: '111122223333'
+        },
+        {
+          UserId: '444455556666'
+        },
+        {
+          UserId: '777788889999'
+        }
+      ]);
+      ImageCloner.prototype.cloneImageToRegion.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImageToRegion', function (
+        image,
+        sourceLaunchPermissions,
+        sourceRegion,
+        destinationRegion,
+        callback
+      ) {
+        clonePermissions[this.destinationAccountId] = this.getLaunchPermissions(
+          sourceLaunchPermissions,
+          destinationRegion
+        );
+        callback(null, {
+          imageId: clonedImage.ImageId,
+          reused: false
+        });
+      });
+
+      imageCloner.cloneImage(function (error) {
+        expect(clonePermissions).to.eql({
+          111122223333: [
+            {
+              UserId: '777788889999'
+            }
+          ],
+          444455556666: [
+            {
+              UserId: '777788889999'
+            }
+          ]
+        });
+        done(error);
+      });
+    });
+
+    it('records the run details of every account', function (done) {
+      ImageCloner.prototype.cloneImageToRegion.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImageToRegion', function () {
+        this.ec2.retryCount++;
+        _.last(arguments)(null, {
+          imageId: clonedImage.ImageId,
+          reused: false
+        });
+      });
+
+      imageCloner.cloneImage(function (error, result) {
+        expect(imageCloner.runDetails.retryCount).to.equal(2);
+        expect(_.map(imageCloner.runDetails.sourceImages, 'imageId')).to.eql([
+          image.ImageId
+        ]);
+        expect(imageCloner.getReport(result).regions).to.have.length(2);
+        done(error);
+      });
+    });
+
+    it('starts accounts without saved state afresh', function (done) {
+      imageCloner.stateStore = {
+        load: sandbox.stub().yields(null, {
+          accounts: {
+            111122223333: {
+              sourceImageId: image.ImageId,
+              sourceRegion: sourceRegion,
+              regions: {}
+            }
+          }
+        }),
+        save: sandbox.stub().yields()
+      };
+
+      imageCloner.resumeCloneImage(function (error, result) {
+        expect(result['111122223333']['eu-west-1'].success).to.equal(true);
+        expect(result['444455556666']['eu-west-2'].success).to.equal(true);
+        expect(
+          imageCloner.state.accounts['444455556666']
+        ).to.include({
+          sourceImageId: image.ImageId,
+          sourceRegion: sourceRegion
+        });
+
+        done(error);
+      });
+    });
+
+    it('functions as expected', function (done) {
+      imageCloner.cloneImage(function (error, result) {
+        expect(_.keys(result)).to.eql(['111122223333', '444455556666']);
+        expect(_.keys(result['111122223333'])).to.eql(['eu-west-1']);
+        expect(_.keys(result['444455556666'])).to.eql(['eu-west-2']);
+        expect(result['444455556666']['eu-west-2'].ec2).to.equal(
+          accountEc2s['444455556666']
+        );
+        expect(result['444455556666']['eu-west-2'].sourceEc2).to.equal(
+          imageCloner.ec2
+        );
+
+        sinon.assert.calledWith(
+          imageCloner.ec2.assumeRole,
+          'arn:aws:iam::111122223333:role/clone-ami',
+          'example'
+        );
+        sinon.assert.calledWith(
+          imageCloner.ec2.modifyImageAttribute,
+          image.ImageId,
+          sourceRegion,
+          constants.imageAttributes.LAUNCH_PERMISSION,
+          {
+            Add: [
+              {
+                UserId: '444455556666'
+              }
+            ]
+          },
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          imageCloner.ec2.modifySnapshotAttribute,
+          'snap-11111111',
+          sourceRegion,
+          constants.snapshotAttributes.CREATE_VOLUME_PERMISSION,
+          {
+            Add: [
+              {
+                UserId: '111122223333'
+              }
+            ]
+          },
           sinon.match.func
         );
 
@@ -314,48 +2967,456 @@ describe('lib/imageCloner', function () {
       });
     });
 
-    it('yields error on error in describeImage', function (done) {
-      imageCloner.ec2.describeImage.yields(new Error());
+    it('emits events with the account ID', function (done) {
+      var accountIds = [];
+
+      ImageCloner.prototype.cloneImageToRegion.restore();
+      sandbox.stub(ImageCloner.prototype, 'cloneImageToRegion', function () {
+        this.emitEvent(constants.events.COMPLETED, arguments[3], {});
+        _.last(arguments)(null, {});
+      });
+
+      imageCloner.on(constants.events.COMPLETED, function (event) {
+        accountIds.push(event.accountId);
+      });
+
+      imageCloner.cloneImage(function (error) {
+        expect(accountIds.sort()).to.eql(['111122223333', '444455556666']);
+        done(error);
+      });
+    });
+
+    it('yields error if the source image cannot be shared', function (done) {
+      imageCloner.ec2.modifyImageAttribute.yields(new Error('failed'));
 
       imageCloner.cloneImage(function (error, result) {
-        expect(error).is.instanceOf(Error);
-        expect(result['eu-west-1'].success).equal(false);
-        expect(result['eu-west-1'].error).is.instanceOf(Error);
+        expect(error.message).to.equal(
+          'Cloning failed for 2 of 2 destination accounts: ' +
+          '111122223333: Failed to share image ' + image.ImageId +
+          ' with account 111122223333: failed; ' +
+          '444455556666: Failed to share image ' + image.ImageId +
+          ' with account 444455556666: failed'
+        );
+        expect(result['111122223333']['eu-west-1'].success).to.equal(false);
+        sinon.assert.notCalled(ImageCloner.prototype.cloneImageToRegion);
 
-        sinon.assert.notCalled(
-          imageCloner.ec2.describeImageAttribute
+        done();
+      });
+    });
+
+    it('excludes the destination account from launch permissions', function () {
+      var accountImageCloner = imageCloner.createAccountImageCloners()[
+        '111122223333'
+      ];
+
+      expect(accountImageCloner.getLaunchPermissions(
+        [
+          {
+            UserId: '111122223333'
+          },
+          {
+            UserId: '111222333444'
+          }
+        ],
+        destinationRegion
+      )).to.eql([
+        {
+          UserId: '111222333444'
+        }
+      ]);
+    });
+
+    it('cleans up clones in each account', function (done) {
+      imageCloner.cleanUp({
+        444455556666: {
+          'eu-west-2': {
+            imageId: clonedImage.ImageId,
+            success: true
+          }
+        }
+      }, function (error, report) {
+        expect(report['444455556666']['eu-west-2'].deregistered).to.equal(true);
+        sinon.assert.calledWith(
+          accountEc2s['444455556666'].deregisterImage,
+          clonedImage.ImageId,
+          'eu-west-2',
+          sinon.match.func
         );
-        sinon.assert.notCalled(
-          imageCloner.cloneImageToRegion
+        sinon.assert.notCalled(imageCloner.ec2.deregisterImage);
+
+        done(error);
+      });
+    });
+  });
+
+  describe('deleteClone', function () {
+    beforeEach(function () {
+      clonedImage.BlockDeviceMappings = [
+        {
+          DeviceName: '/dev/xvda',
+          Ebs: {
+            SnapshotId: 'snap-11111111'
+          }
+        },
+        {
+          DeviceName: '/dev/xvdb',
+          Ebs: {
+            SnapshotId: 'snap-22222222'
+          }
+        }
+      ];
+    });
+
+    it('functions as expected', function (done) {
+      var deletedEvent;
+
+      imageCloner.on(constants.events.CLONE_DELETED, function (event) {
+        deletedEvent = event;
+      });
+
+      imageCloner.deleteClone(
+        clonedImage.ImageId,
+        destinationRegion,
+        function (error, deletion) {
+          expect(deletion).to.eql({
+            imageId: clonedImage.ImageId,
+            deregistered: true,
+            deletedSnapshotIds: ['snap-11111111', 'snap-22222222']
+          });
+          expect(deletedEvent.region).to.equal(destinationRegion);
+
+          sinon.assert.calledWith(
+            imageCloner.ec2.deregisterImage,
+            clonedImage.ImageId,
+            destinationRegion
+          );
+          sinon.assert.callOrder(
+            imageCloner.ec2.deregisterImage,
+            imageCloner.ec2.deleteSnapshot
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('yields what was deleted on error', function (done) {
+      imageCloner.ec2.deleteSnapshot.withArgs('snap-22222222').yields(
+        new Error()
+      );
+
+      imageCloner.deleteClone(
+        clonedImage.ImageId,
+        destinationRegion,
+        function (error, deletion) {
+          expect(error).to.be.instanceOf(Error);
+          expect(deletion).to.eql({
+            imageId: clonedImage.ImageId,
+            deregistered: true,
+            deletedSnapshotIds: ['snap-11111111']
+          });
+
+          done();
+        }
+      );
+    });
+
+    it('does not deregister an image that cannot be described', function (done) {
+      imageCloner.ec2.describeImage.yields(new Error());
+
+      imageCloner.deleteClone(
+        clonedImage.ImageId,
+        destinationRegion,
+        function (error, deletion) {
+          expect(error).to.be.instanceOf(Error);
+          expect(deletion.deregistered).to.equal(false);
+          sinon.assert.notCalled(imageCloner.ec2.deregisterImage);
+
+          done();
+        }
+      );
+    });
+  });
+
+  describe('rollBack', function () {
+    it('discards the saved progress of deleted clones', function (done) {
+      var results = {
+        'eu-west-1': {
+          imageId: clonedImage.ImageId,
+          success: true
+        },
+        'us-west-2': {
+          error: new Error(),
+          success: false
+        }
+      };
+
+      imageCloner.stateStore = {
+        save: sandbox.stub().yields()
+      };
+      imageCloner.state = {
+        regions: {
+          'eu-west-1': {
+            step: constants.cloneSteps.COMPLETED
+          }
+        }
+      };
+
+      imageCloner.rollBack(results, function (error) {
+        expect(results['eu-west-1'].rollback.deregistered).to.equal(true);
+        expect(results['us-west-2'].rollback).to.equal(undefined);
+        expect(imageCloner.state.regions).to.eql({});
+        sinon.assert.calledOnce(imageCloner.stateStore.save);
+
+        done(error);
+      });
+    });
+  });
+
+  describe('cleanUp', function () {
+    it('deletes the clones in results', function (done) {
+      imageCloner.cleanUp({
+        'eu-west-1': {
+          imageId: clonedImage.ImageId,
+          reused: true,
+          success: true
+        },
+        'us-west-2': {
+          error: 'failed',
+          success: false
+        },
+        'ap-south-1': {
+          dryRun: true,
+          imageId: 'ami-11223344',
+          success: true
+        }
+      }, function (error, report) {
+        expect(report).to.eql({
+          'eu-west-1': {
+            success: true,
+            imageId: clonedImage.ImageId,
+            deregistered: true,
+            deletedSnapshotIds: []
+          }
+        });
+        sinon.assert.calledOnce(imageCloner.ec2.deregisterImage);
+
+        done(error);
+      });
+    });
+
+    it('deletes the clones of several source images', function (done) {
+      imageCloner.ec2.deregisterImage.withArgs('ami-22222222').yields(
+        new Error('failed')
+      );
+
+      imageCloner.cleanUp({
+        'ami-11223344': {
+          'eu-west-1': {
+            imageId: 'ami-11111111',
+            success: true
+          },
+          'us-west-2': {
+            imageId: 'ami-22222222',
+            success: true
+          }
+        }
+      }, function (error, report) {
+        expect(error.message).to.equal(
+          'Cleanup failed for 1 of 2 clones: ami-22222222 in us-west-2: failed'
         );
+        expect(report['ami-11223344']['eu-west-1'].success).to.equal(true);
+        expect(report['ami-11223344']['us-west-2'].success).to.equal(false);
+        expect(report['ami-11223344']['us-west-2'].deregistered).to.equal(false);
+        expect(error).to.be.instanceOf(errors.CloneError);
+        expect(
+          report['ami-11223344']['us-west-2'].error.toJSON()
+        ).to.include({
+          message: 'failed',
+          region: 'us-west-2'
+        });
 
         done();
       });
     });
+  });
 
-    it('yields error on error in describeImageAttribute', function (done) {
-      imageCloner.ec2.describeImageAttribute.yields(new Error());
+  describe('pruneImages', function () {
+    var images;
 
-      imageCloner.cloneImage(function (error, result) {
-        expect(error).is.instanceOf(Error);
-        expect(result['eu-west-1'].success).equal(false);
-        expect(result['eu-west-1'].error).is.instanceOf(Error);
+    beforeEach(function () {
+      var now = Date.now();
 
-        sinon.assert.notCalled(
-          imageCloner.cloneImageToRegion
+      function daysAgo (days) {
+        return new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+      }
+
+      images = _.map([2, 40, 10, 30, 50], function (days, index) {
+        return {
+          ImageId: 'ami-' + index,
+          Name: 'app-' + index,
+          CreationDate: daysAgo(days),
+          BlockDeviceMappings: [
+            {
+              DeviceName: '/dev/xvda',
+              Ebs: {
+                SnapshotId: 'snap-' + index
+              }
+            }
+          ]
+        };
+      });
+
+      imageCloner.config.retention = {
+        name: 'app-*',
+        tags: {
+          App: 'app'
+        },
+        keepCount: 2
+      };
+      imageCloner.ec2.findImagesByFilter.yields(null, images);
+      imageCloner.ec2.findImageUsages.yields(null, {
+        'ami-4': [constants.imageUsages.LAUNCH_TEMPLATE]
+      });
+      imageCloner.ec2.describeImage.withArgs('ami-1').yields(null, images[1]);
+      imageCloner.ec2.describeImage.withArgs('ami-3').yields(null, images[3]);
+    });
+
+    it('functions as expected', function (done) {
+      imageCloner.pruneImages(function (error, results) {
+        var result = results[destinationRegion];
+
+        expect(result.success).to.equal(true);
+        expect(_.map(result.kept, 'imageId')).to.eql(['ami-0', 'ami-2']);
+        expect(result.inUse).to.eql([
+          {
+            imageId: 'ami-4',
+            name: 'app-4',
+            creationDate: images[4].CreationDate,
+            usages: [constants.imageUsages.LAUNCH_TEMPLATE]
+          }
+        ]);
+        expect(result.pruned).to.eql([
+          {
+            imageId: 'ami-3',
+            name: 'app-3',
+            creationDate: images[3].CreationDate,
+            snapshotIds: ['snap-3'],
+            deregistered: true,
+            deletedSnapshotIds: ['snap-3']
+          },
+          {
+            imageId: 'ami-1',
+            name: 'app-1',
+            creationDate: images[1].CreationDate,
+            snapshotIds: ['snap-1'],
+            deregistered: true,
+            deletedSnapshotIds: ['snap-1']
+          }
+        ]);
+
+        sinon.assert.calledWith(
+          imageCloner.ec2.findImagesByFilter,
+          {
+            name: 'app-*',
+            description: undefined,
+            tags: [
+              {
+                Key: 'App',
+                Value: 'app'
+              }
+            ],
+            states: [constants.imageStates.AVAILABLE]
+          },
+          destinationRegion
+        );
+        sinon.assert.calledWith(
+          imageCloner.ec2.findImageUsages,
+          ['ami-3', 'ami-1', 'ami-4'],
+          destinationRegion
+        );
+        sinon.assert.calledTwice(imageCloner.ec2.deregisterImage);
+
+        done(error);
+      });
+    });
+
+    it('keeps images newer than an age', function (done) {
+      imageCloner.config.retention.keepCount = 1;
+      imageCloner.config.retention.keepNewerThanInDays = 35;
+
+      imageCloner.pruneImages(function (error, results) {
+        expect(_.map(results[destinationRegion].kept, 'imageId')).to.eql([
+          'ami-0',
+          'ami-2',
+          'ami-3'
+        ]);
+        expect(_.map(results[destinationRegion].pruned, 'imageId')).to.eql([
+          'ami-1'
+        ]);
+
+        done(error);
+      });
+    });
+
+    it('deletes nothing for a dry run', function (done) {
+      imageCloner.config.dryRun = true;
+
+      imageCloner.pruneImages(function (error, results) {
+        expect(results[destinationRegion].dryRun).to.equal(true);
+        expect(results[destinationRegion].pruned[0]).to.eql({
+          imageId: 'ami-3',
+          name: 'app-3',
+          creationDate: images[3].CreationDate,
+          snapshotIds: ['snap-3']
+        });
+        sinon.assert.notCalled(imageCloner.ec2.deregisterImage);
+        sinon.assert.notCalled(imageCloner.ec2.deleteSnapshot);
+
+        done(error);
+      });
+    });
+
+    it('yields error summarizing failures', function (done) {
+      imageCloner.config.destinationRegions = ['eu-west-1', 'us-west-2'];
+      imageCloner.ec2.findImagesByFilter.withArgs(
+        sinon.match.any,
+        'us-west-2'
+      ).yields(new Error('failed'));
+      imageCloner.ec2.deregisterImage.withArgs('ami-1').yields(
+        new Error('in use')
+      );
+
+      imageCloner.pruneImages(function (error, results) {
+        expect(error.message).to.equal(
+          'Pruning failed for 2 of 2 destination regions: ' +
+          'eu-west-1: Failed to delete 1 of 2 images: ami-1: in use; ' +
+          'us-west-2: failed'
         );
+        expect(error).to.be.instanceOf(errors.CloneError);
+        expect(results['eu-west-1'].pruned[1].error.message).to.equal('in use');
+        expect(results['eu-west-1'].pruned[1].error.toJSON()).to.include({
+          region: 'eu-west-1',
+          imageId: 'ami-1'
+        });
+        expect(results['eu-west-1'].error).to.be.instanceOf(errors.CloneError);
+        expect(results['eu-west-1'].error.region).to.equal('eu-west-1');
+        expect(results['us-west-2'].success).to.equal(false);
+        expect(results['us-west-2'].error.toJSON()).to.include({
+          message: 'failed',
+          region: 'us-west-2'
+        });
 
         done();
       });
     });
 
-    it('yields error on error in cloneImageToRegion', function (done) {
-      imageCloner.cloneImageToRegion.yields(new Error());
+    it('calls back with error for invalid configuration', function (done) {
+      delete imageCloner.config.retention;
 
-      imageCloner.cloneImage(function (error, result) {
-        expect(error).is.instanceOf(Error);
-        expect(result['eu-west-1'].success).equal(false);
-        expect(result['eu-west-1'].error).is.instanceOf(Error);
+      imageCloner.pruneImages(function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(imageCloner.ec2.findImagesByFilter);
 
         done();
       });
@@ -365,7 +3426,21 @@ describe('lib/imageCloner', function () {
   describe('fillConfigurationDefaults', function () {
     it('functions as expected', function () {
       expect(imageCloner.fillConfigurationDefaults({})).to.eql({
-        progressCheckIntervalInSeconds: 30
+        apiMaxAttempts: 5,
+        apiRetryBaseDelayInMilliseconds: 200,
+        apiRetryMaxDelayInMilliseconds: 20000,
+        backoffJitterRatio: 0.5,
+        dryRun: false,
+        encrypted: false,
+        maxCopyWaitInSeconds: 10800,
+        progressCheckBackoffMultiplier: 1.5,
+        progressCheckIntervalInSeconds: 30,
+        progressCheckMaxIntervalInSeconds: 120,
+        reuseExistingImages: false,
+        rollbackOnFailure: false,
+        shareSnapshots: false,
+        verification: constants.verificationModes.OFF,
+        waveFailureThreshold: 0
       });
     });
   });
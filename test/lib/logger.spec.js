@@ -0,0 +1,73 @@
+/**
+ * @fileOverview Tests for logging.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var constants = require('../../lib/constants');
+var logger = require('../../lib/logger');
+
+describe('lib/logger', function () {
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('wrap', function () {
+    it('functions as expected', function () {
+      var target = {
+        info: sandbox.stub()
+      };
+      var wrapped = logger.wrap(target);
+
+      wrapped.info({
+        region: 'eu-west-1'
+      }, 'message');
+      wrapped.debug({}, 'message');
+
+      sinon.assert.calledWith(target.info, {
+        region: 'eu-west-1'
+      }, 'message');
+    });
+
+    it('logs nothing without a logger', function () {
+      var wrapped = logger.wrap();
+
+      wrapped.error({}, 'message');
+      expect(wrapped).to.have.all.keys(_.values(constants.logLevels));
+    });
+  });
+
+  describe('createJsonLinesLogger', function () {
+    it('functions as expected', function () {
+      var stream = {
+        write: sandbox.stub()
+      };
+      var line;
+
+      logger.createJsonLinesLogger(stream).warn({
+        operation: 'copyImage',
+        error: new Error('failed')
+      }, 'AWS API call failed');
+
+      line = stream.write.getCall(0).args[0];
+      expect(line).to.match(/\n$/);
+      line = JSON.parse(line);
+      expect(line.time).to.be.a('string');
+      delete line.time;
+      expect(line).to.eql({
+        level: constants.logLevels.WARN,
+        msg: 'AWS API call failed',
+        operation: 'copyImage',
+        error: 'failed'
+      });
+    });
+  });
+});
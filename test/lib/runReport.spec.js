@@ -0,0 +1,163 @@
+/**
+ * @fileOverview Tests for lib/runReport.
+ */
+
+// Local.
+var errors = require('../../lib/errors');
+var runReport = require('../../lib/runReport');
+
+describe('lib/runReport', function () {
+  var report;
+  var results;
+  var runDetails;
+
+  beforeEach(function () {
+    results = {
+      'eu-west-1': {
+        imageId: 'ami-55667788',
+        reused: false,
+        steps: [
+          {
+            step: 'copy',
+            startedAt: '2026-10-01T10:00:00.000Z',
+            endedAt: '2026-10-01T10:00:01.000Z',
+            durationInMilliseconds: 1000
+          },
+          {
+            step: 'await',
+            startedAt: '2026-10-01T10:00:01.000Z',
+            endedAt: '2026-10-01T10:02:01.500Z',
+            durationInMilliseconds: 120500
+          }
+        ],
+        success: true
+      },
+      'us-west-2': {
+        error: new Error('Failed <badly> & | oddly'),
+        imageId: undefined,
+        success: false
+      }
+    };
+    runDetails = {
+      startedAt: '2026-10-01T10:00:00.000Z',
+      endedAt: '2026-10-01T10:05:00.000Z',
+      retryCount: 2,
+      sourceImages: [
+        runReport.describeSourceImage({
+          ImageId: 'ami-11223344',
+          Name: 'app',
+          Description: 'An application image',
+          OwnerId: '111122223333',
+          CreationDate: '2026-09-01T10:00:00.000Z',
+          Architecture: 'x86_64'
+        }, 'us-east-1')
+      ]
+    };
+    report = runReport.createReport(results, runDetails);
+  });
+
+  describe('createReport', function () {
+    it('functions as expected', function () {
+      expect(report.success).to.equal(false);
+      expect(report.durationInMilliseconds).to.equal(300000);
+      expect(report.retryCount).to.equal(2);
+      expect(report.sourceImages).to.eql([
+        {
+          imageId: 'ami-11223344',
+          name: 'app',
+          description: 'An application image',
+          region: 'us-east-1',
+          ownerId: '111122223333',
+          creationDate: '2026-09-01T10:00:00.000Z',
+          architecture: 'x86_64'
+        }
+      ]);
+      expect(report.regions[0]).to.eql({
+        region: 'eu-west-1',
+        success: true,
+        durationInMilliseconds: 121500,
+        imageId: 'ami-55667788',
+        reused: false,
+        steps: results['eu-west-1'].steps
+      });
+      expect(report.regions[1].error).to.be.instanceOf(errors.CloneError);
+      expect(report.regions[1].durationInMilliseconds).to.equal(0);
+    });
+
+    it('includes the source image or account of each region', function () {
+      report = runReport.createReport({
+        111122223333: results
+      }, runDetails);
+
+      expect(report.regions[0].accountId).to.equal('111122223333');
+    });
+  });
+
+  describe('formatJson', function () {
+    it('functions as expected', function () {
+      var json = JSON.parse(runReport.formatJson(report));
+
+      expect(json.regions[1].error).to.eql({
+        name: 'CloneError',
+        message: 'Failed <badly> & | oddly'
+      });
+    });
+  });
+
+  describe('formatMarkdown', function () {
+    it('functions as expected', function () {
+      expect(runReport.formatMarkdown(report)).to.equal([
+        '## Image Clone Report',
+        '',
+        'Cloning failed for 1 of 2 destination regions.',
+        '',
+        'Started at 2026-10-01T10:00:00.000Z and took 5m 0.0s, with 2 ' +
+          'retried AWS API requests.',
+        '',
+        '### Source Images',
+        '',
+        '| Image ID | Name | Region | Created |',
+        '| --- | --- | --- | --- |',
+        '| ami-11223344 | app | us-east-1 | 2026-09-01T10:00:00.000Z |',
+        '',
+        '### Destination Regions',
+        '',
+        '| Region | Success | Image ID | Duration | Error |',
+        '| --- | --- | --- | --- | --- |',
+        '| eu-west-1 | yes | ami-55667788 | 2m 1.5s | - |',
+        '| us-west-2 | no | - | 0.0s | Failed <badly> & \\| oddly |'
+      ].join('\n'));
+    });
+  });
+
+  describe('formatJUnit', function () {
+    it('functions as expected', function () {
+      expect(runReport.formatJUnit(report)).to.equal([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="clone-ami-to-region" tests="2" failures="1" ' +
+          'time="300.000">',
+        '  <testsuite name="ami-11223344" tests="2" failures="1" ' +
+          'time="121.500" timestamp="2026-10-01T10:00:00.000Z">',
+        '    <testcase name="eu-west-1" classname="ami-11223344" ' +
+          'time="121.500"/>',
+        '    <testcase name="us-west-2" classname="ami-11223344" ' +
+          'time="0.000">',
+        '      <failure type="Error" ' +
+          'message="Failed &lt;badly&gt; &amp; | oddly">' +
+          'Failed &lt;badly&gt; &amp; | oddly</failure>',
+        '    </testcase>',
+        '  </testsuite>',
+        '</testsuites>'
+      ].join('\n'));
+    });
+
+    it('has a test suite for each source image', function () {
+      report = runReport.createReport({
+        'ami-11223344': results,
+        'ami-99887766': results
+      }, runDetails);
+
+      expect(runReport.formatJUnit(report).match(/<testsuite /g)).to.have.length(2);
+    });
+  });
+});
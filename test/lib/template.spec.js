@@ -0,0 +1,46 @@
+/**
+ * @fileOverview Tests for template rendering.
+ */
+
+// Local.
+var template = require('../../lib/template');
+
+describe('lib/template', function () {
+
+  describe('getVariableNames', function () {
+    it('functions as expected', function () {
+      expect(template.getVariableNames(
+        '{sourceImageId} in {sourceRegion} from {sourceImageId}'
+      )).to.eql(['sourceImageId', 'sourceRegion']);
+      expect(template.getVariableNames('value')).to.eql([]);
+    });
+
+    it('includes prefixed names', function () {
+      expect(template.getVariableNames('{tag:Team}-{tag:aws:x y}')).to.eql([
+        'tag:Team',
+        'tag:aws:x y'
+      ]);
+    });
+  });
+
+  describe('render', function () {
+    it('functions as expected', function () {
+      expect(template.render('{sourceImageId} in {sourceRegion}', {
+        sourceImageId: 'ami-11223344',
+        sourceRegion: 'us-east-1'
+      })).to.equal('ami-11223344 in us-east-1');
+    });
+
+    it('leaves variables without values unchanged', function () {
+      expect(template.render('{unknown} {sourceRegion}', {
+        sourceRegion: 'us-east-1'
+      })).to.equal('{unknown} us-east-1');
+    });
+
+    it('uses the default value for variables without values', function () {
+      expect(template.render('{tag:Team}-{sourceRegion}', {
+        sourceRegion: 'us-east-1'
+      }, '')).to.equal('-us-east-1');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileOverview Tests for utility functions.
+ */
+
+// Local.
+var utilities = require('../../lib/utilities');
+
+describe('lib/utilities', function () {
+
+  describe('getBackoffDelay', function () {
+    var sandbox;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      sandbox.stub(Math, 'random').returns(0.5);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('backs off exponentially up to the maximum', function () {
+      expect(utilities.getBackoffDelay(1, 100, 2, 1000, 0)).to.equal(100);
+      expect(utilities.getBackoffDelay(2, 100, 2, 1000, 0)).to.equal(200);
+      expect(utilities.getBackoffDelay(3, 100, 2, 1000, 0)).to.equal(400);
+      expect(utilities.getBackoffDelay(5, 100, 2, 1000, 0)).to.equal(1000);
+    });
+
+    it('applies jitter', function () {
+      expect(utilities.getBackoffDelay(1, 100, 2, 1000, 1)).to.equal(50);
+      expect(utilities.getBackoffDelay(2, 100, 2, 1000, 0.5)).to.equal(150);
+    });
+  });
+
+  describe('callbackOrPromise', function () {
+    var fn;
+    var wrapped;
+
+    beforeEach(function () {
+      fn = sinon.spy(function (a, b, callback) {
+        if (a === 'error') {
+          return callback(new Error(), b);
+        }
+
+        callback(null, a + b);
+      });
+      wrapped = utilities.callbackOrPromise(fn);
+    });
+
+    it('invokes the callback if provided', function (done) {
+      wrapped('a', 'b', function (error, result) {
+        expect(result).to.equal('ab');
+        done(error);
+      });
+    });
+
+    it('resolves a promise if no callback is provided', function () {
+      return wrapped('a', 'b').then(function (result) {
+        expect(result).to.equal('ab');
+      });
+    });
+
+    it('places the callback correctly when undefined is passed', function () {
+      return wrapped('a', 'b', undefined).then(function (result) {
+        sinon.assert.calledWith(fn, 'a', 'b', sinon.match.func);
+        expect(result).to.equal('ab');
+      });
+    });
+
+    it('rejects with error carrying results on error', function () {
+      return wrapped('error', 'b').then(function () {
+        throw new Error('Should not resolve.');
+      }, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        expect(error.results).to.equal('b');
+      });
+    });
+  });
+
+  describe('listRegionResults', function () {
+    it('lists results keyed by region', function () {
+      expect(utilities.listRegionResults({
+        'eu-west-1': {
+          success: true
+        }
+      })).to.eql([
+        {
+          region: 'eu-west-1',
+          result: {
+            success: true
+          }
+        }
+      ]);
+    });
+
+    it('lists results keyed by source image and region', function () {
+      expect(utilities.listRegionResults({
+        'ami-11223344': {
+          'eu-west-1': {
+            success: false
+          }
+        }
+      })).to.eql([
+        {
+          sourceImageId: 'ami-11223344',
+          region: 'eu-west-1',
+          result: {
+            success: false
+          }
+        }
+      ]);
+    });
+
+    it('lists results keyed by account and region', function () {
+      expect(utilities.listRegionResults({
+        111122223333: {
+          'eu-west-1': {
+            success: true
+          }
+        }
+      })).to.eql([
+        {
+          accountId: '111122223333',
+          region: 'eu-west-1',
+          result: {
+            success: true
+          }
+        }
+      ]);
+    });
+  });
+
+  describe('allowPromises', function () {
+    it('functions as expected', function () {
+      var prototype = {
+        method: function (value, callback) {
+          callback(null, this.prefix + value);
+        },
+        prefix: 'prefix-'
+      };
+
+      utilities.allowPromises(prototype, ['method']);
+
+      return prototype.method('value').then(function (result) {
+        expect(result).to.equal('prefix-value');
+      });
+    });
+  });
+});